@@ -0,0 +1,87 @@
+const { sendError } = require('shared/api-errors');
+
+// Проверки доступа на уровне ресурса, дополняющие requireRoles.
+// Правило описывается как { roles, ownerRoles }:
+//   roles      — роли с доступом к любому ресурсу, ресурс при этом не загружается;
+//   ownerRoles — роли с доступом только к собственным ресурсам (resource.userId === user.id).
+
+const ROLES = {
+    CUSTOMER: 'Customer',
+    ENGINEER: 'Engineer',
+    MANAGER: 'Manager',
+    ADMIN: 'Admin'
+};
+
+const ORDER_POLICIES = {
+    create: { roles: [ROLES.MANAGER, ROLES.ADMIN], ownerRoles: [ROLES.CUSTOMER] },
+    read: { roles: [ROLES.ENGINEER, ROLES.MANAGER, ROLES.ADMIN], ownerRoles: [ROLES.CUSTOMER] },
+    cancel: { roles: [ROLES.MANAGER, ROLES.ADMIN], ownerRoles: [ROLES.CUSTOMER] }
+};
+
+function hasAnyRole(user, roles) {
+    return Array.isArray(user.roles) && roles.some(role => user.roles.includes(role));
+}
+
+function isOwner(user, resource) {
+    return Boolean(resource) && resource.userId !== undefined && String(resource.userId) === String(user.id);
+}
+
+// Может ли пользователь обращаться к любому ресурсу без проверки владельца
+function hasFullAccess(user, policy) {
+    return hasAnyRole(user, policy.roles);
+}
+
+function isAllowed(user, policy, resource) {
+    return hasFullAccess(user, policy) || (hasAnyRole(user, policy.ownerRoles || []) && isOwner(user, resource));
+}
+
+// Middleware: загружает ресурс через loadResource(req) только если доступ зависит от владельца.
+// loadResource возвращает ответ downstream-сервиса { status, data } с ресурсом в data.data;
+// ответ, отличный от 200, передается клиенту как есть. Загруженный ответ сохраняется
+// в req.resourceResult, чтобы обработчик не запрашивал ресурс повторно.
+function authorizeResource(policy, loadResource, logger) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return sendError(res, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+        }
+
+        if (hasFullAccess(req.user, policy)) {
+            return next();
+        }
+
+        if (!hasAnyRole(req.user, policy.ownerRoles || [])) {
+            return sendError(res, 'FORBIDDEN', `Access denied. Required roles: ${policy.roles.concat(policy.ownerRoles || []).join(', ')}`);
+        }
+
+        try {
+            const result = await loadResource(req);
+
+            if (result.status !== 200) {
+                if (result.headers && result.headers['retry-after']) {
+                    res.set('Retry-After', result.headers['retry-after']);
+                }
+                return result.data
+                    ? res.status(result.status).json(result.data)
+                    : sendError(res, 'UPSTREAM_UNAVAILABLE', 'Resource is temporarily unavailable');
+            }
+
+            const resource = result.data && result.data.data;
+            if (!isAllowed(req.user, policy, resource)) {
+                logger.warn({ userId: req.user.id, path: req.originalUrl }, 'Access to resource of another user denied');
+                return sendError(res, 'FORBIDDEN', 'Access denied to this resource');
+            }
+
+            req.resourceResult = result;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    ORDER_POLICIES,
+    hasFullAccess,
+    authorizeResource
+};
@@ -1,9 +1,13 @@
+const { createBrokerAdapter } = require('shared/message-broker');
+
 const EVENT_TYPES = {
     ORDER_CREATED: 'order.created',
     ORDER_STATUS_UPDATED: 'order.status.updated',
     ORDER_CANCELLED: 'order.cancelled',
     USER_CREATED: 'user.created',
-    USER_UPDATED: 'user.updated'
+    USER_UPDATED: 'user.updated',
+    USER_LOGIN_FAILED: 'user.login.failed',
+    USER_LOCKED: 'user.locked'
 };
 
 class DomainEvent {
@@ -21,61 +25,42 @@ class DomainEvent {
     }
 }
 
-class OrderCreatedEvent extends DomainEvent {
-    constructor(order) {
-        super(EVENT_TYPES.ORDER_CREATED, {
-            orderId: order.id,
-            userId: order.userId,
-            items: order.items,
-            totalAmount: order.totalAmount,
-            status: order.status,
-            createdAt: order.createdAt
-        }, order.id);
-    }
-}
-
-class OrderStatusUpdatedEvent extends DomainEvent {
-    constructor(orderId, oldStatus, newStatus, updatedBy) {
-        super(EVENT_TYPES.ORDER_STATUS_UPDATED, {
-            orderId,
-            oldStatus,
-            newStatus,
-            updatedBy,
-            updatedAt: new Date().toISOString()
-        }, orderId);
-    }
-}
-
-class OrderCancelledEvent extends DomainEvent {
-    constructor(orderId, reason, cancelledBy) {
-        super(EVENT_TYPES.ORDER_CANCELLED, {
-            orderId,
-            reason: reason || 'Cancelled by user request',
-            cancelledBy,
-            cancelledAt: new Date().toISOString()
-        }, orderId);
-    }
-}
-
 class EventPublisher {
-    constructor(logger) {
+    constructor(logger, options = {}) {
         this.logger = logger;
         this.subscribers = new Map();
         
         this.messageBroker = null;
         this.isMessageBrokerEnabled = false;
+
+        this.processedEventIds = new Set();
+        this.maxProcessedEventIds = options.maxProcessedEventIds || 10000;
     }
 
+    // brokerConfig: { type, adapter?, maxRetries, retryDelayMs, ...параметры адаптера }
     async connectMessageBroker(brokerConfig) {
-        try {
-            // TODO: В следующих итерациях подключить реальный брокер
-            
-            this.logger.info('Message broker connection prepared (placeholder)');
-            this.isMessageBrokerEnabled = false;
-            
-        } catch (error) {
-            this.logger.error('Failed to connect to message broker:', error);
-            throw error;
+        const adapter = brokerConfig.adapter || createBrokerAdapter({ logger: this.logger, ...brokerConfig });
+        const maxRetries = brokerConfig.maxRetries !== undefined ? brokerConfig.maxRetries : 5;
+        const retryDelayMs = brokerConfig.retryDelayMs !== undefined ? brokerConfig.retryDelayMs : 1000;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await adapter.connect();
+
+                this.messageBroker = adapter;
+                this.isMessageBrokerEnabled = true;
+                this.logger.info({ type: brokerConfig.type }, 'Connected to message broker');
+                return;
+            } catch (error) {
+                if (attempt >= maxRetries) {
+                    this.logger.error({ error: error.message, attempts: attempt + 1 }, 'Failed to connect to message broker');
+                    throw error;
+                }
+
+                const delay = retryDelayMs * Math.pow(2, attempt);
+                this.logger.warn({ error: error.message, attempt: attempt + 1, retryInMs: delay }, 'Message broker connection failed, retrying');
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
     }
 
@@ -88,6 +73,8 @@ class EventPublisher {
                 timestamp: event.timestamp
             }, `Domain event published: ${event.type}`);
 
+            // Событие вернется из брокера в этот же экземпляр — повторно оно не обрабатывается
+            this.markProcessed(event.id);
             await this.notifyLocalSubscribers(event);
 
             if (this.isMessageBrokerEnabled && this.messageBroker) {
@@ -108,29 +95,56 @@ class EventPublisher {
 
     async publishToMessageBroker(event) {
         try {
-            // TODO: Реализовать в следующих итерациях
-            
-            // Пример для RabbitMQ:
-            // const channel = await this.messageBroker.createChannel();
-            // await channel.publish('domain_events', event.type, Buffer.from(JSON.stringify(event)));
-            
-            // Пример для Apache Kafka:
-            // await this.messageBroker.send({
-            //     topic: 'domain-events',
-            //     messages: [{ key: event.aggregateId, value: JSON.stringify(event) }]
-            // });
-            
-            // Пример для Redis Pub/Sub:
-            // await this.messageBroker.publish('domain:events', JSON.stringify(event));
+            const messageId = await this.messageBroker.publish({
+                topic: event.type,
+                key: String(event.aggregateId),
+                payload: event
+            });
 
-            this.logger.info(`Event ${event.id} would be published to message broker`);
+            this.logger.debug({ eventId: event.id, messageId }, 'Event published to message broker');
             
         } catch (error) {
-            this.logger.error('Failed to publish to message broker:', error);
+            this.logger.error({ eventId: event.id, error: error.message }, 'Failed to publish to message broker');
             throw error;
         }
     }
 
+    // События заказов публикует Orders Service (transactional outbox); шлюз получает их из брокера.
+    // Доставка at-least-once, поэтому повторно полученные события отбрасываются по event.id.
+    // options.handler заменяет рассылку локальным подписчикам (receive) для этой подписки.
+    async consumeFromMessageBroker(eventTypes, options = {}) {
+        const { handler = event => this.receive(event), ...brokerOptions } = options;
+
+        for (const eventType of eventTypes) {
+            await this.messageBroker.subscribe(eventType, message => handler(message.payload), brokerOptions);
+            this.logger.info(`Consuming event type from message broker: ${eventType}`);
+        }
+    }
+
+    // Ошибка обработчика возвращается брокеру, и он доставит событие повторно
+    async receive(event) {
+        if (this.processedEventIds.has(event.id)) {
+            this.logger.debug({ eventId: event.id, eventType: event.type }, 'Duplicate domain event skipped');
+            return;
+        }
+
+        this.markProcessed(event.id);
+
+        const failed = await this.notifyLocalSubscribers(event);
+        if (failed > 0) {
+            this.processedEventIds.delete(event.id);
+            throw new Error(`${failed} handler(s) failed for event ${event.id}`);
+        }
+    }
+
+    markProcessed(eventId) {
+        this.processedEventIds.add(eventId);
+        if (this.processedEventIds.size > this.maxProcessedEventIds) {
+            const oldest = this.processedEventIds.values().next().value;
+            this.processedEventIds.delete(oldest);
+        }
+    }
+
     subscribe(eventType, handler) {
         if (!this.subscribers.has(eventType)) {
             this.subscribers.set(eventType, []);
@@ -140,13 +154,16 @@ class EventPublisher {
         this.logger.info(`Subscribed to event type: ${eventType}`);
     }
 
+    // Возвращает число упавших обработчиков
     async notifyLocalSubscribers(event) {
         const handlers = this.subscribers.get(event.type) || [];
-        
+        let failed = 0;
+
         for (const handler of handlers) {
             try {
                 await handler(event);
             } catch (error) {
+                failed += 1;
                 this.logger.error({
                     eventId: event.id,
                     eventType: event.type,
@@ -154,17 +171,22 @@ class EventPublisher {
                 }, 'Event handler failed');
             }
         }
+
+        return failed;
     }
 
     async disconnect() {
         try {
             if (this.messageBroker) {
-                // TODO: Реализовать закрытие соединения для конкретного брокера
-                // await this.messageBroker.close();
+                const broker = this.messageBroker;
+                this.messageBroker = null;
+                this.isMessageBrokerEnabled = false;
+
+                await broker.disconnect();
                 this.logger.info('Disconnected from message broker');
             }
         } catch (error) {
-            this.logger.error('Error disconnecting from message broker:', error);
+            this.logger.error({ error: error.message }, 'Error disconnecting from message broker');
         }
     }
 }
@@ -203,9 +225,6 @@ class OrderEventHandlers {
 module.exports = {
     EVENT_TYPES,
     DomainEvent,
-    OrderCreatedEvent,
-    OrderStatusUpdatedEvent,
-    OrderCancelledEvent,
     EventPublisher,
     OrderEventHandlers
 };
\ No newline at end of file
@@ -1,89 +1,224 @@
+const path = require('path');
+const os = require('os');
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const CircuitBreaker = require('opossum');
 const jwt = require('jsonwebtoken');
 const pino = require('pino');
-const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
-const { specs } = require('./swagger');
+const { createSpecs } = require('./swagger');
 const { 
-    OrderCreatedEvent, 
-    OrderStatusUpdatedEvent, 
-    OrderCancelledEvent, 
+    EVENT_TYPES,
+    DomainEvent,
     EventPublisher, 
     OrderEventHandlers 
 } = require('./domain-events');
+const { TokenRevocationList } = require('./token-revocation');
+const { JwksKeyStore } = require('./jwks-key-store');
+const { ORDER_POLICIES, hasFullAccess, authorizeResource } = require('./access-policy');
+const { SPAN_KIND, SPAN_STATUS, createTracer } = require('shared/tracing');
+const { Metrics } = require('shared/metrics');
+const { createServiceRegistry } = require('./service-registry');
+const { DEFAULT_TIMEOUT_MS, loadRouteTable, createRouter } = require('./route-table');
+const { RetryBudget, sendWithRetries } = require('./retry-policy');
+const { StaleResponseCache } = require('./stale-cache');
+const { cacheKey, createResponseCache } = require('./response-cache');
+const { createRateLimiterFactory } = require('./rate-limit');
+const { errorBody, sendError, asyncHandler, notFoundHandler, errorHandler } = require('shared/api-errors');
+const { createUserDetailsHandler } = require('./user-details');
 
 const logger = pino({
     level: process.env.LOG_LEVEL || 'info'
 });
 
+const tracer = createTracer('api-gateway', logger);
+const metrics = new Metrics('api-gateway');
 const eventPublisher = new EventPublisher(logger);
 const orderEventHandlers = new OrderEventHandlers(logger);
 
-eventPublisher.subscribe('order.created', orderEventHandlers.handleOrderCreated.bind(orderEventHandlers));
-eventPublisher.subscribe('order.status.updated', orderEventHandlers.handleOrderStatusUpdated.bind(orderEventHandlers));
-eventPublisher.subscribe('order.cancelled', orderEventHandlers.handleOrderCancelled.bind(orderEventHandlers));
+const rateLimitRejections = metrics.counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by rate limiters',
+    labelNames: ['limiter', 'tier']
+});
+
+const domainEventsReceived = metrics.counter({
+    name: 'domain_events_received_total',
+    help: 'Domain events received from the message broker',
+    labelNames: ['type']
+});
+
+eventPublisher.subscribe(EVENT_TYPES.ORDER_CREATED, orderEventHandlers.handleOrderCreated.bind(orderEventHandlers));
+eventPublisher.subscribe(EVENT_TYPES.ORDER_STATUS_UPDATED, orderEventHandlers.handleOrderStatusUpdated.bind(orderEventHandlers));
+eventPublisher.subscribe(EVENT_TYPES.ORDER_CANCELLED, orderEventHandlers.handleOrderCancelled.bind(orderEventHandlers));
+
+// Попытки подбора пароля: Users Service считает неудачные входы по учетной записи
+eventPublisher.subscribe(EVENT_TYPES.USER_LOCKED, event => {
+    logger.warn({ userId: event.data.userId, attempts: event.data.attempts, lockedUntil: event.data.lockedUntil }, 'User account locked after failed login attempts');
+});
+
+for (const type of [
+    EVENT_TYPES.ORDER_CREATED,
+    EVENT_TYPES.ORDER_STATUS_UPDATED,
+    EVENT_TYPES.ORDER_CANCELLED,
+    EVENT_TYPES.USER_LOGIN_FAILED,
+    EVENT_TYPES.USER_LOCKED
+]) {
+    eventPublisher.subscribe(type, event => domainEventsReceived.inc({ type: event.type }));
+}
+
+const responseCacheLookups = metrics.counter({
+    name: 'gateway_cache_lookups_total',
+    help: 'Response cache lookups by result',
+    labelNames: ['result']
+});
+
+const responseCacheInvalidations = metrics.counter({
+    name: 'gateway_cache_invalidations_total',
+    help: 'Response cache entries removed by invalidation reason',
+    labelNames: ['reason']
+});
+
+// Кэш ответов сервисов: RESPONSE_CACHE_DRIVER=memory | redis
+const responseCache = createResponseCache(logger, {
+    onLookup: hit => responseCacheLookups.inc({ result: hit ? 'hit' : 'miss' }),
+    onInvalidate: (reason, removed) => responseCacheInvalidations.inc({ reason }, removed)
+});
+
+// Теги кэша, которые устаревают после события; изменения заказов приходят из Orders Service через брокер
+const CACHE_INVALIDATION_TAGS = {
+    [EVENT_TYPES.ORDER_STATUS_UPDATED]: event => [`order/${event.data.orderId}`],
+    [EVENT_TYPES.ORDER_CANCELLED]: event => [`order/${event.data.orderId}`],
+    [EVENT_TYPES.USER_UPDATED]: event => [`user/${event.data.userId}`]
+};
+
+function invalidateResponseCache(event) {
+    return responseCache.invalidate(CACHE_INVALIDATION_TAGS[event.type](event), event.type);
+}
+
+for (const type of Object.keys(CACHE_INVALIDATION_TAGS)) {
+    eventPublisher.subscribe(type, invalidateResponseCache);
+}
+
+// Общую consumer group шлюза каждое событие читает только один экземпляр. Кэш в памяти у каждого
+// экземпляра свой, поэтому события инвалидации он дополнительно читает в собственной группе
+const RESPONSE_CACHE_PER_INSTANCE = (process.env.RESPONSE_CACHE_DRIVER || 'memory') === 'memory';
 
 const app = express();
 const PORT = process.env.PORT || 8000;
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
-
-const generalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: {
-        success: false,
-        error: 'Too many requests from this IP, please try again later.'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
+
+// Access-токены подписывает Users Service (RS256/ES256), ключи проверки берутся из его JWKS по kid.
+// JWT_SECRET нужен только на время перехода: пока он задан, принимаются HS256-токены без kid, выпущенные раньше
+const LEGACY_JWT_SECRET = process.env.JWT_SECRET || null;
+const DEV_JWT_SECRET = 'dev-secret-change-me';
+
+if (process.env.NODE_ENV === 'production' && LEGACY_JWT_SECRET === DEV_JWT_SECRET) {
+    logger.fatal('JWT_SECRET is set to the default development value, refusing to start in production');
+    process.exit(1);
+}
+
+// Таблица проксируемых маршрутов
+const routes = loadRouteTable(process.env.ROUTES_CONFIG_PATH || path.join(__dirname, 'routes.yaml'));
+
+// Message broker: none | memory | redis
+const MESSAGE_BROKER = process.env.MESSAGE_BROKER || 'none';
+
+function decodeTokenHeader(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    return decoded ? decoded.header : null;
+}
+
+// jwksKey — ключ из JWKS для kid из заголовка токена
+function verifyAccessToken(token, header, jwksKey) {
+    if (header && header.kid && jwksKey) {
+        return jwt.verify(token, jwksKey.key, { algorithms: [jwksKey.alg] });
+    }
+    if (header && !header.kid && LEGACY_JWT_SECRET) {
+        return jwt.verify(token, LEGACY_JWT_SECRET, { algorithms: ['HS256'] });
+    }
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+}
+
+// Пользователь для rate limiting: лимитеры стоят до authenticateJWT, поэтому токен проверяется здесь же.
+// Недействительный или отозванный токен не ошибка — запрос считается анонимным и лимитируется по IP.
+// Ключи JWKS здесь не догружаются: токен с новым kid до синхронизации тоже считается анонимным
+function rateLimitIdentity(req) {
+    const authHeader = req.headers['authorization'];
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+
+    try {
+        const token = authHeader.substring(7);
+        const header = decodeTokenHeader(token);
+        const decoded = verifyAccessToken(token, header, header && header.kid ? jwksKeyStore.get(header.kid) : null);
+        return tokenRevocationList.isRevoked(decoded) ? null : { id: decoded.id, roles: decoded.roles };
+    } catch (jwtError) {
+        return null;
+    }
+}
+
+// Хранилище счетчиков: RATE_LIMIT_STORE=memory | redis; с redis все экземпляры gateway делят один бюджет
+const rateLimiterFactory = createRateLimiterFactory(logger, {
+    identify: rateLimitIdentity,
+    onReject: (limiter, tier) => rateLimitRejections.inc({ limiter, tier })
 });
 
-const authLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 5,
-    message: {
-        success: false,
-        error: 'Too many authentication attempts, please try again later.'
+// Именованные политики; маршрут routes.yaml ссылается на них по имени или задает свою
+const RATE_LIMIT_POLICIES = {
+    general: {
+        windowSeconds: 15 * 60,
+        limits: { anonymous: 100, default: 300, Manager: 600, Admin: 1000 }
     },
-    standardHeaders: true,
-    legacyHeaders: false,
-    skipSuccessfulRequests: true,
-});
+    auth: {
+        windowSeconds: 15 * 60,
+        limits: { default: 5 },
+        skipSuccessfulRequests: true,
+        message: 'Too many authentication attempts, please try again later.'
+    }
+};
+
+const generalLimiter = rateLimiterFactory.create('general', RATE_LIMIT_POLICIES.general);
+const authLimiter = rateLimiterFactory.create('auth', RATE_LIMIT_POLICIES.auth);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Prometheus scrape endpoint: не трассируется и не попадает под rate limiting
+app.get('/metrics', metrics.handler());
+
+app.use(metrics.middleware());
+app.use(tracer.middleware());
 app.use(generalLimiter);
 
+// Access-лог: строка на каждый запрос с пользователем из JWT и traceId
 app.use((req, res, next) => {
-    const startTime = Date.now();
-    
+    const startedAt = Date.now();
+
     res.on('finish', () => {
-        const duration = (Date.now() - startTime) / 1000;
-        const timestamp = new Date().toISOString().replace('T', ' ').slice(0, -5);
-        const remoteAddr = req.ip || req.connection.remoteAddress || '-';
-        const remoteUser = req.user ? req.user.id : '-';
-        const request = `${req.method} ${req.originalUrl} HTTP/${req.httpVersion}`;
-        const status = res.statusCode;
-        const bodyBytesSent = res.get('content-length') || '-';
-        const httpReferer = req.headers.referer || '-';
-        const httpUserAgent = req.headers['user-agent'] || '-';
-        const requestTime = duration.toFixed(3);
-        
-        // Format: $remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent" $request_time
-        const logLine = `${remoteAddr} - ${remoteUser} [${timestamp}] "${request}" ${status} ${bodyBytesSent} "${httpReferer}" "${httpUserAgent}" ${requestTime}`;
-        
-        console.log(logLine);
+        logger.info({
+            traceId: req.span ? req.span.traceId : null,
+            spanId: req.span ? req.span.spanId : null,
+            remoteAddress: req.ip,
+            userId: req.user ? req.user.id : null,
+            method: req.method,
+            path: req.originalUrl,
+            httpVersion: req.httpVersion,
+            status: res.statusCode,
+            responseBytes: parseInt(res.get('content-length'), 10) || 0,
+            referer: req.get('referer') || null,
+            userAgent: req.get('user-agent') || null,
+            durationMs: Date.now() - startedAt
+        }, 'Request completed');
     });
-    
+
     next();
 });
 
 // Swagger UI
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(createSpecs(routes), {
     explorer: true,
     customCss: '.swagger-ui .topbar { display: none }'
 }));
@@ -91,491 +226,421 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
 // API Version
 const API_VERSION = '/api/v1';
 
-// Service URLs
-const USERS_SERVICE_URL = 'http://service_users:8000';
-const ORDERS_SERVICE_URL = 'http://service_orders:8000';
+// Upstream-сервисы: USERS_SERVICE_URL / ORDERS_SERVICE_URL (несколько экземпляров через запятую)
+// или файл UPSTREAMS_CONFIG_PATH
+const serviceRegistry = createServiceRegistry({
+    service_users: {
+        envVar: 'USERS_SERVICE_URL',
+        defaultUrl: 'http://service_users:8000',
+        healthPath: '/users/health'
+    },
+    service_orders: {
+        envVar: 'ORDERS_SERVICE_URL',
+        defaultUrl: 'http://service_orders:8000',
+        healthPath: '/orders/health'
+    }
+}, logger);
 
 // Circuit Breaker configuration
+// Таймаут запроса задается маршрутом (timeoutMs) и применяется в callService
 const circuitOptions = {
-    timeout: 3000, // Timeout for requests (3 seconds)
+    timeout: false,
     errorThresholdPercentage: 50, // Open circuit after 50% of requests fail
-    resetTimeout: 3000, // Wait 30 seconds before trying to close the circuit
+    resetTimeout: 3000, // Wait 3 seconds before trying to close the circuit
 };
 
-// Create circuit breakers for each service
-const usersCircuit = new CircuitBreaker(async (url, options = {}) => {
-    const response = await axios({
-        url, 
-        ...options,
-        validateStatus: () => true
-    });
-    return { data: response.data, status: response.status };
-}, circuitOptions);
-
-const ordersCircuit = new CircuitBreaker(async (url, options = {}) => {
-    const response = await axios({
-        url, 
-        ...options,
-        validateStatus: () => true
-    });
-    return { data: response.data, status: response.status };
-}, circuitOptions);
+const UPSTREAM_TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
 
-// Fallback functions
-usersCircuit.fallback(() => ({error: 'Users service temporarily unavailable'}));
-ordersCircuit.fallback(() => ({error: 'Orders service temporarily unavailable'}));
-
-function authenticateJWT(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
-
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            error: { message: 'Access token is missing or invalid' }
+// Одна попытка запроса к экземпляру сервиса в CLIENT span; traceparent передается downstream-сервису
+function sendToInstance(peerService, url, method, requestOptions) {
+    return tracer.trace(`${method} ${peerService}`, {
+        kind: SPAN_KIND.CLIENT,
+        attributes: {
+            'peer.service': peerService,
+            'http.request.method': method,
+            'url.full': url
+        }
+    }, async span => {
+        const response = await axios({
+            url, 
+            ...requestOptions,
+            headers: tracer.injectHeaders(requestOptions.headers),
+            validateStatus: () => true
         });
-    }
 
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
-    } catch (jwtError) {
-        return res.status(401).json({
-            success: false,
-            error: { message: 'Invalid or expired token' }
+        span.setAttribute('http.response.status_code', response.status);
+        if (response.status >= 500) {
+            span.setStatus(SPAN_STATUS.ERROR);
+        }
+        return { data: response.data, status: response.status, headers: response.headers };
+    });
+}
+
+// Запрос к сервису с повторами и hedging по политике upstream; каждая попытка уходит на экземпляр,
+// выбранный балансировщиком. upstreamPath — путь с query string. Circuit breaker получает только итог всех попыток
+function callService(circuitName, peerService) {
+    const retryBudget = new RetryBudget();
+
+    return (upstreamPath, options = {}) => {
+        const { timeoutMs = DEFAULT_TIMEOUT_MS, ...requestOptions } = options;
+        const method = (requestOptions.method || 'GET').toUpperCase();
+
+        return sendWithRetries(serviceRegistry.upstream(peerService), {
+            method,
+            headers: requestOptions.headers
+        }, (baseUrl, signal) => sendToInstance(peerService, `${baseUrl}${upstreamPath}`, method, {
+            ...requestOptions,
+            timeout: timeoutMs,
+            signal
+        }), {
+            budget: retryBudget,
+            onRetry: reason => circuitRetries.inc({ circuit: circuitName, reason }),
+            onHedge: result => circuitHedges.inc({ circuit: circuitName, result }),
+            onBudgetExhausted: () => circuitRetryBudgetExhausted.inc({ circuit: circuitName })
         });
-    }
+    };
 }
 
-function requireRoles(allowedRoles) {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({
-                success: false,
-                error: { message: 'Authentication required' }
-            });
-        }
+// Create circuit breakers for each service
+const usersCircuit = new CircuitBreaker(callService('users', 'service_users'), circuitOptions);
+
+const ordersCircuit = new CircuitBreaker(callService('orders', 'service_orders'), circuitOptions);
+
+// Ответ вместо ответа сервиса, когда вызов не удался, в том же формате { status, data, headers }:
+// таймаут попытки — 504, открытый circuit, ошибка соединения или отсутствие здоровых экземпляров — 503.
+// Retry-After — время до перехода circuit в half-open, а если он закрыт — resetTimeout.
+// fallback: true позволяет маршрутам отличить его от ответа сервиса
+function circuitFallback(circuit, serviceName) {
+    let openedAt = 0;
+    circuit.on('open', () => {
+        openedAt = Date.now();
+    });
 
-        if (!req.user.roles || !Array.isArray(req.user.roles)) {
-            return res.status(403).json({
-                success: false,
-                error: { message: 'User roles not found' }
-            });
+    return (...args) => {
+        const error = args[args.length - 1];
+        const retryAfterMs = circuit.opened
+            ? openedAt + circuitOptions.resetTimeout - Date.now()
+            : circuitOptions.resetTimeout;
+
+        let status = 503;
+        let code = 'UPSTREAM_UNAVAILABLE';
+        let message = `${serviceName} temporarily unavailable`;
+
+        if (error && error.code === 'EOPENBREAKER') {
+            code = 'CIRCUIT_OPEN';
+        } else if (error && UPSTREAM_TIMEOUT_CODES.includes(error.code)) {
+            status = 504;
+            code = 'UPSTREAM_TIMEOUT';
+            message = `${serviceName} did not respond in time`;
         }
 
-        const hasPermission = allowedRoles.some(role => req.user.roles.includes(role));
-
-        if (!hasPermission) {
-            return res.status(403).json({
-                success: false,
-                error: { 
-                    message: `Access denied. Required roles: ${allowedRoles.join(', ')}` 
-                }
-            });
-        }
+        const span = tracer.currentSpan();
 
-        next();
+        return {
+            status,
+            data: errorBody(code, message, { traceId: span ? span.traceId : undefined }),
+            headers: { 'retry-after': String(Math.max(1, Math.ceil(retryAfterMs / 1000))) },
+            fallback: true
+        };
     };
 }
 
-app.get(`${API_VERSION}/users/status`, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/status`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
+usersCircuit.fallback(circuitFallback(usersCircuit, 'Users service'));
+ordersCircuit.fallback(circuitFallback(ordersCircuit, 'Orders service'));
 
-app.get(`${API_VERSION}/users/health`, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/health`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
 
-app.get(`${API_VERSION}/users/profile`, authenticateJWT, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/profile/${req.user.id}`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+function circuitState(circuit) {
+    if (circuit.opened) {
+        return 'open';
     }
-});
+    return circuit.halfOpen ? 'half_open' : 'closed';
+}
 
-app.put(`${API_VERSION}/users/profile`, authenticateJWT, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/profile/${req.user.id}`, {
-            method: 'PUT',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+const circuits = { users: usersCircuit, orders: ordersCircuit };
+
+metrics.gauge({
+    name: 'circuit_breaker_state',
+    help: 'Current circuit breaker state (1 for the active state)',
+    labelNames: ['circuit', 'state'],
+    collect() {
+        for (const [name, circuit] of Object.entries(circuits)) {
+            const current = circuitState(circuit);
+            for (const state of CIRCUIT_STATES) {
+                this.set({ circuit: name, state }, state === current ? 1 : 0);
+            }
+        }
     }
 });
 
-app.get(`${API_VERSION}/users/:userId`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/${req.params.userId}`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const circuitTransitions = metrics.counter({
+    name: 'circuit_breaker_transitions_total',
+    help: 'Circuit breaker state transitions',
+    labelNames: ['circuit', 'state']
 });
 
-app.post(`${API_VERSION}/users`, authenticateJWT, requireRoles(['Admin']), async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users`, {
-            method: 'POST',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const circuitCalls = metrics.counter({
+    name: 'circuit_breaker_calls_total',
+    help: 'Circuit breaker call outcomes',
+    labelNames: ['circuit', 'result']
 });
 
-app.get(`${API_VERSION}/users`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            role,
-            email,
-            name,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        const pageNum = Math.max(1, parseInt(page, 10));
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10)));
-
-        const queryParams = new URLSearchParams({
-            page: pageNum.toString(),
-            limit: limitNum.toString(),
-            sortBy,
-            sortOrder
-        });
-
-        if (role) queryParams.append('role', role);
-        if (email) queryParams.append('email', email);
-        if (name) queryParams.append('name', name);
-
-        const url = `${USERS_SERVICE_URL}/users?${queryParams.toString()}`;
-        
-        logger.info({ 
-            adminId: req.user.id,
-            filters: { role, email, name },
-            pagination: { page: pageNum, limit: limitNum },
-            sorting: { sortBy, sortOrder }
-        }, 'Admin fetching users list with filters');
-
-        const result = await usersCircuit.fire(url);
-        
-        if (result.status === 200 && result.data) {
-            const response = {
-                success: true,
-                data: result.data.users || result.data,
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total: result.data.total || (result.data.users ? result.data.users.length : 0),
-                    totalPages: result.data.totalPages || Math.ceil((result.data.total || 0) / limitNum)
-                },
-                filters: {
-                    role: role || null,
-                    email: email || null,
-                    name: name || null
-                },
-                sorting: {
-                    sortBy,
-                    sortOrder
-                }
-            };
-            
-            res.status(200).json(response);
-        } else {
-            res.status(result.status).json(result.data);
-        }
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
-    }
+const circuitRetries = metrics.counter({
+    name: 'circuit_breaker_retries_total',
+    help: 'Upstream request retries made inside a circuit breaker call',
+    labelNames: ['circuit', 'reason']
 });
 
-app.delete(`${API_VERSION}/users/:userId`, authenticateJWT, requireRoles(['Admin']), async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/${req.params.userId}`, {
-            method: 'DELETE'
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const circuitHedges = metrics.counter({
+    name: 'circuit_breaker_hedged_requests_total',
+    help: 'Hedged upstream requests by outcome (won when the hedge answered first)',
+    labelNames: ['circuit', 'result']
 });
 
-app.put(`${API_VERSION}/users/:userId`, authenticateJWT, requireRoles(['Admin']), async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/${req.params.userId}`, {
-            method: 'PUT',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const circuitRetryBudgetExhausted = metrics.counter({
+    name: 'circuit_breaker_retry_budget_exhausted_total',
+    help: 'Retries skipped because the retry budget was exhausted',
+    labelNames: ['circuit']
 });
 
-app.post(`${API_VERSION}/users/register`, authLimiter, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/register`, {
-            method: 'POST',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
+for (const [name, circuit] of Object.entries(circuits)) {
+    circuit.on('open', () => circuitTransitions.inc({ circuit: name, state: 'open' }));
+    circuit.on('close', () => circuitTransitions.inc({ circuit: name, state: 'closed' }));
+    circuit.on('halfOpen', () => circuitTransitions.inc({ circuit: name, state: 'half_open' }));
 
-app.post(`${API_VERSION}/users/login`, authLimiter, async (req, res) => {
-    try {
-        const result = await usersCircuit.fire(`${USERS_SERVICE_URL}/users/login`, {
-            method: 'POST',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+    for (const result of ['success', 'failure', 'timeout', 'reject', 'fallback']) {
+        circuit.on(result, () => circuitCalls.inc({ circuit: name, result }));
     }
-});
+}
 
-app.get(`${API_VERSION}/orders/health`, async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/health`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+metrics.gauge({
+    name: 'upstream_instance_healthy',
+    help: 'Upstream instance health check state (1 for healthy)',
+    labelNames: ['upstream', 'instance'],
+    collect() {
+        this.reset();
+        for (const [name, upstream] of serviceRegistry.upstreams) {
+            for (const instance of upstream.instances) {
+                this.set({ upstream: name, instance: instance.url }, instance.healthy ? 1 : 0);
+            }
+        }
     }
 });
 
-app.get(`${API_VERSION}/orders/status`, async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/status`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const tokenRevocationList = new TokenRevocationList(logger, async cursor => {
+    const result = await usersCircuit.fire(`/users/tokens/revoked${cursor ? `?since=${encodeURIComponent(cursor)}` : ''}`);
+    return result.status === 200 && result.data && result.data.success ? result.data.data : null;
+}, {
+    syncIntervalMs: parseInt(process.env.REVOCATION_SYNC_INTERVAL_MS, 10) || 10000
 });
 
-app.get(`${API_VERSION}/orders/my`, authenticateJWT, async (req, res) => {
-    try {
-        const queryParams = new URLSearchParams();
-        if (req.query.page) queryParams.append('page', req.query.page);
-        if (req.query.limit) queryParams.append('limit', req.query.limit);
-        if (req.query.sortBy) queryParams.append('sortBy', req.query.sortBy);
-        if (req.query.sortOrder) queryParams.append('sortOrder', req.query.sortOrder);
-        if (req.query.status) queryParams.append('status', req.query.status);
-        
-        const queryString = queryParams.toString();
-        const url = `${ORDERS_SERVICE_URL}/orders/user/${req.user.id}${queryString ? '?' + queryString : ''}`;
-        
-        const result = await ordersCircuit.fire(url);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
+const jwksKeyStore = new JwksKeyStore(logger, async () => {
+    const result = await usersCircuit.fire('/.well-known/jwks.json');
+    return result.status === 200 ? result.data : null;
+}, {
+    syncIntervalMs: parseInt(process.env.JWKS_SYNC_INTERVAL_MS, 10) || 5 * 60 * 1000
 });
 
-app.get(`${API_VERSION}/orders/:orderId`, authenticateJWT, requireRoles(['Engineer', 'Manager', 'Admin']), async (req, res) => {
+// Подпись не сошлась с ключом из кэша: JWKS загружается заново (с тем же ограничением частоты),
+// и токен проверяется еще раз, если под его kid теперь другой ключ
+async function verifyWithJwksRefresh(token, header, jwksKey) {
     try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${req.params.orderId}`);
-        res.status(result.status).json(result.data);
+        return verifyAccessToken(token, header, jwksKey);
     } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
+        if (!jwksKey || error.name !== 'JsonWebTokenError' || error.message !== 'invalid signature') {
+            throw error;
+        }
 
-app.post(`${API_VERSION}/orders`, authenticateJWT, requireRoles(['Customer', 'Manager', 'Admin']), async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders`, {
-            method: 'POST',
-            data: req.body
-        });
-        
-        if (result.status === 201 && result.data && result.data.success) {
-            try {
-                const orderData = result.data.data || result.data;
-                const orderCreatedEvent = new OrderCreatedEvent({
-                    id: orderData.id,
-                    userId: req.user.id,
-                    items: orderData.items || req.body.items,
-                    totalAmount: orderData.totalAmount,
-                    status: orderData.status || 'pending',
-                    createdAt: orderData.createdAt || new Date().toISOString()
-                });
-                
-                await eventPublisher.publish(orderCreatedEvent);
-            } catch (eventError) {
-                logger.error('Failed to publish order created event:', eventError);
-            }
+        const refreshedKey = await jwksKeyStore.resolve(header.kid, jwksKey);
+        if (!refreshedKey || refreshedKey === jwksKey) {
+            throw error;
         }
-        
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+        return verifyAccessToken(token, header, refreshedKey);
     }
-});
+}
 
-app.get(`${API_VERSION}/orders`, authenticateJWT, requireRoles(['Engineer', 'Manager', 'Admin']), async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders`);
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
+async function authenticateJWT(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
 
-app.delete(`${API_VERSION}/orders/:orderId`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${req.params.orderId}`, {
-            method: 'DELETE'
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+    if (!token) {
+        return sendError(res, 'AUTHENTICATION_REQUIRED', 'Access token is missing or invalid');
     }
-});
 
-app.patch(`${API_VERSION}/orders/:orderId/status`, authenticateJWT, requireRoles(['Engineer', 'Manager', 'Admin']), async (req, res) => {
     try {
-        const orderId = req.params.orderId;
-        const newStatus = req.body.status;
-        
-        let oldStatus = null;
-        try {
-            const currentOrderResult = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${orderId}`);
-            if (currentOrderResult.status === 200 && currentOrderResult.data) {
-                const orderData = currentOrderResult.data.data || currentOrderResult.data;
-                oldStatus = orderData.status;
-            }
-        } catch (error) {
-            logger.warn('Could not fetch current order status for event:', error.message);
+        const header = decodeTokenHeader(token);
+        const jwksKey = header && header.kid ? await jwksKeyStore.resolve(header.kid) : null;
+        const decoded = await verifyWithJwksRefresh(token, header, jwksKey);
+        if (!(await tokenRevocationList.ready())) {
+            return sendError(res, 'UPSTREAM_UNAVAILABLE', 'Token revocation list is not loaded yet, try again later');
         }
-        
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${orderId}/status`, {
-            method: 'PATCH',
-            data: req.body
-        });
-        
-        if (result.status === 200 && result.data && result.data.success) {
-            try {
-                const statusUpdatedEvent = new OrderStatusUpdatedEvent(
-                    orderId,
-                    oldStatus,
-                    newStatus,
-                    req.user.id
-                );
-                
-                await eventPublisher.publish(statusUpdatedEvent);
-            } catch (eventError) {
-                logger.error('Failed to publish order status updated event:', eventError);
-            }
+        if (tokenRevocationList.isRevoked(decoded)) {
+            return sendError(res, 'TOKEN_REVOKED', 'Token has been revoked');
         }
-        
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+        req.user = decoded;
+        next();
+    } catch (jwtError) {
+        return sendError(res, 'INVALID_TOKEN', 'Invalid or expired token');
     }
-});
+}
 
-app.patch(`${API_VERSION}/orders/:orderId/cancel`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const orderId = req.params.orderId;
-        
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${orderId}/cancel`, {
-            method: 'PATCH'
-        });
-        
-        if (result.status === 200 && result.data && result.data.success) {
-            try {
-                const orderCancelledEvent = new OrderCancelledEvent(
-                    orderId,
-                    req.body.reason || 'Cancelled by admin/manager',
-                    req.user.id
-                );
-                
-                await eventPublisher.publish(orderCancelledEvent);
-            } catch (eventError) {
-                logger.error('Failed to publish order cancelled event:', eventError);
-            }
+function requireRoles(allowedRoles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return sendError(res, 'AUTHENTICATION_REQUIRED', 'Authentication required');
         }
-        
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
-    }
-});
 
-app.put(`${API_VERSION}/orders/:orderId`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const result = await ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders/${req.params.orderId}`, {
-            method: 'PUT',
-            data: req.body
-        });
-        res.status(result.status).json(result.data);
-    } catch (error) {
-        res.status(500).json({error: 'Internal server error'});
+        if (!req.user.roles || !Array.isArray(req.user.roles)) {
+            return sendError(res, 'FORBIDDEN', 'User roles not found');
+        }
+
+        const hasPermission = allowedRoles.some(role => req.user.roles.includes(role));
+
+        if (!hasPermission) {
+            return sendError(res, 'FORBIDDEN', `Access denied. Required roles: ${allowedRoles.join(', ')}`);
+        }
+
+        next();
+    };
+}
+
+// Загружает заказ для проверки владельца в authorizeResource
+// Заказ берется из кэша с тем же ключом и тегом, что у GET /orders/:orderId в таблице маршрутов
+const orderRoute = routes.find(route => route.method === 'GET' && route.path === '/orders/:orderId');
+
+function loadOrder(req) {
+    const orderId = encodeURIComponent(req.params.orderId);
+    const request = { method: 'GET', path: `/orders/${orderId}`, headers: {} };
+    const send = () => ordersCircuit.fire(request.path);
+
+    if (!orderRoute || !orderRoute.gatewayCache) {
+        return send();
     }
-});
 
-// Gateway Aggregation: Get user details with their orders
-app.get(`${API_VERSION}/users/:userId/details`, authenticateJWT, requireRoles(['Manager', 'Admin']), async (req, res) => {
-    try {
-        const userId = req.params.userId;
+    return responseCache.fetch(cacheKey('service_orders', request), {
+        ttlSeconds: orderRoute.gatewayCache.ttlSeconds,
+        tags: [`order/${orderId}`]
+    }, send);
+}
 
-        // Get user details
-        const userPromise = usersCircuit.fire(`${USERS_SERVICE_URL}/users/${userId}`);
+// Обработчики маршрутов таблицы, которым нужна логика помимо проксирования:
+// prepare(req, request) меняет запрос к сервису, complete(req, result) получает его ответ
+const routeHooks = {
+    // Покупатель создает заказы только от своего имени: userId берется из токена
+    ownOrder: {
+        prepare(req, request) {
+            return hasFullAccess(req.user, ORDER_POLICIES.create)
+                ? request
+                : { ...request, data: { ...request.data, userId: req.user.id } };
+        }
+    },
 
-        // Get user's orders (assuming orders have a userId field)
-        const ordersPromise = ordersCircuit.fire(`${ORDERS_SERVICE_URL}/orders`);
+    usersList: {
+        complete(req, result) {
+            if (result.status !== 200 || !result.data) {
+                return result;
+            }
 
-        // Wait for both requests to complete
-        const [userResult, ordersResult] = await Promise.all([userPromise, ordersPromise]);
+            const { users, success, ...rest } = result.data;
+            return { ...result, data: { success, data: users, ...rest } };
+        }
+    },
 
-        // If user not found, return 404
-        if (userResult.status === 404) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
+    logout: {
+        prepare(req, request) {
+            return {
+                ...request,
+                data: {
+                    userId: req.user.id,
+                    refreshToken: req.body.refreshToken,
+                    jti: req.user.jti,
+                    exp: req.user.exp
+                }
+            };
+        },
+        complete(req, result) {
+            if (result.status === 200) {
+                tokenRevocationList.revokeToken(req.user.jti, req.user.exp * 1000);
+            }
+            return result;
         }
+    },
 
-        // Filter orders for this user
-        const userOrders = ordersResult.data.data ? 
-            ordersResult.data.data.filter(order => order.userId == userId) : [];
+    // Users Service не публикует события: об изменении пользователя сообщает gateway.
+    // Свой кэш экземпляр сбрасывает сразу, остальные — получив событие из брокера
+    // (в собственной consumer group при кэше в памяти)
+    userUpdated: {
+        complete(req, result) {
+            if (result.status >= 200 && result.status < 300) {
+                const userId = Number(req.params.userId || req.user.id);
+                eventPublisher.publish(new DomainEvent(EVENT_TYPES.USER_UPDATED, {
+                    userId,
+                    deleted: req.method === 'DELETE',
+                    updatedBy: req.user.id
+                }, userId)).catch(() => {});
+            }
+            return result;
+        }
+    },
 
-        // Return aggregated response in standard format
-        res.json({
-            success: true,
-            data: {
-                user: userResult.data,
-                orders: userOrders
+    // Подтверждение email приходит без access-токена, пользователь берется из ответа сервиса
+    emailVerified: {
+        complete(req, result) {
+            if (result.status === 200 && result.data && result.data.success) {
+                const userId = result.data.data.user.id;
+                eventPublisher.publish(new DomainEvent(EVENT_TYPES.USER_UPDATED, {
+                    userId,
+                    deleted: false,
+                    updatedBy: userId
+                }, userId)).catch(() => {});
             }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+            return result;
+        }
+    },
+
+    logoutAll: {
+        complete(req, result) {
+            if (result.status === 200 && result.data && result.data.success) {
+                tokenRevocationList.revokeSessions(req.user.id, result.data.data.sessionVersion);
+            }
+            return result;
+        }
+    },
+
+    // Сброс пароля приходит без access-токена, пользователь берется из ответа сервиса
+    passwordReset: {
+        complete(req, result) {
+            if (result.status === 200 && result.data && result.data.success) {
+                tokenRevocationList.revokeSessions(result.data.data.userId, result.data.data.sessionVersion);
+            }
+            return result;
+        }
     }
-});
+};
+
+app.use(API_VERSION, createRouter(routes, {
+    circuits: { service_users: usersCircuit, service_orders: ordersCircuit },
+    authenticate: authenticateJWT,
+    requireRoles,
+    rateLimiters: { auth: authLimiter },
+    createRateLimiter: (name, policy) => rateLimiterFactory.create(name, policy),
+    policies: {
+        'orders.read': authorizeResource(ORDER_POLICIES.read, loadOrder, logger),
+        'orders.cancel': authorizeResource(ORDER_POLICIES.cancel, loadOrder, logger)
+    },
+    hooks: routeHooks,
+    responseCache,
+    staleCache: new StaleResponseCache({ maxEntries: parseInt(process.env.STALE_CACHE_MAX_ENTRIES, 10) || 1000 }),
+    logger
+}));
+
+// Gateway Aggregation: Get user details with their orders and order statistics.
+// Если Orders Service недоступен, пользователь возвращается с orders/stats = null и partial: true
+app.get(`${API_VERSION}/users/:userId/details`, authenticateJWT, requireRoles(['Manager', 'Admin']), asyncHandler(createUserDetailsHandler({
+    usersCircuit,
+    ordersCircuit,
+    logger
+})));
 
 // Health check endpoint that shows circuit breaker status
 app.get(`${API_VERSION}/health`, (req, res) => {
@@ -590,7 +655,10 @@ app.get(`${API_VERSION}/health`, (req, res) => {
                 status: ordersCircuit.status,
                 stats: ordersCircuit.stats
             }
-        }
+        },
+        upstreams: serviceRegistry.stats,
+        tokenRevocation: tokenRevocationList.stats,
+        jwks: jwksKeyStore.stats
     });
 });
 
@@ -598,10 +666,51 @@ app.get(`${API_VERSION}/status`, (req, res) => {
     res.json({status: 'API Gateway is running'});
 });
 
+app.use(notFoundHandler);
+app.use(errorHandler(logger));
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     logger.info(`API Gateway running on port ${PORT}`);
 
+    if (MESSAGE_BROKER !== 'none') {
+        const BROKER_CONSUMER_GROUP = process.env.BROKER_CONSUMER_GROUP || 'api-gateway';
+
+        eventPublisher.connectMessageBroker({
+            type: MESSAGE_BROKER,
+            url: process.env.REDIS_URL,
+            streamPrefix: process.env.BROKER_STREAM_PREFIX,
+            partitions: parseInt(process.env.BROKER_PARTITIONS, 10) || 1,
+            retryAfterMs: parseInt(process.env.BROKER_RETRY_AFTER_MS, 10) || undefined,
+            maxDeliveries: parseInt(process.env.BROKER_MAX_DELIVERIES, 10) || undefined
+        })
+            .then(() => eventPublisher.consumeFromMessageBroker(
+                [
+                    EVENT_TYPES.ORDER_CREATED,
+                    EVENT_TYPES.ORDER_STATUS_UPDATED,
+                    EVENT_TYPES.ORDER_CANCELLED,
+                    EVENT_TYPES.USER_UPDATED,
+                    EVENT_TYPES.USER_LOGIN_FAILED,
+                    EVENT_TYPES.USER_LOCKED
+                ],
+                { group: BROKER_CONSUMER_GROUP }
+            ))
+            .then(() => RESPONSE_CACHE_PER_INSTANCE && eventPublisher.consumeFromMessageBroker(
+                Object.keys(CACHE_INVALIDATION_TAGS),
+                {
+                    group: `${BROKER_CONSUMER_GROUP}-cache-${os.hostname()}-${process.pid}`,
+                    startId: '$',
+                    ephemeral: true,
+                    handler: invalidateResponseCache
+                }
+            ))
+            .catch(() => logger.warn('Domain events from other services will not be received'));
+    }
+
+    tokenRevocationList.start();
+    jwksKeyStore.start();
+    serviceRegistry.start();
+
     // Log circuit breaker events for monitoring
     usersCircuit.on('open', () => logger.warn('Users circuit breaker opened'));
     usersCircuit.on('close', () => logger.info('Users circuit breaker closed'));
@@ -610,4 +719,21 @@ app.listen(PORT, () => {
     ordersCircuit.on('open', () => logger.warn('Orders circuit breaker opened'));
     ordersCircuit.on('close', () => logger.info('Orders circuit breaker closed'));
     ordersCircuit.on('halfOpen', () => logger.info('Orders circuit breaker half-open'));
-});
\ No newline at end of file
+});
+
+async function shutdown(signal) {
+    logger.info(`${signal} received, shutting down`);
+    tokenRevocationList.stop();
+    jwksKeyStore.stop();
+    serviceRegistry.stop();
+    server.close();
+    await eventPublisher.disconnect();
+    await responseCache.close();
+    await rateLimiterFactory.close();
+    await tracer.shutdown();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGHUP', () => serviceRegistry.reload());
\ No newline at end of file
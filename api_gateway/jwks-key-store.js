@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Публичные ключи подписи access-токенов из JWKS Users Service, по kid.
+// Набор периодически синхронизируется; токен с неизвестным kid (ключ появился после ротации)
+// или с подписью, не сошедшейся с ключом из кэша (под тем же kid опубликован другой ключ),
+// вызывает внеочередную загрузку, но не чаще minRefreshIntervalMs — поддельные токены не нагружают сервис.
+// При недоступности сервиса используется последний полученный набор.
+class JwksKeyStore {
+    constructor(logger, fetchJwks, options = {}) {
+        this.logger = logger;
+        this.fetchJwks = fetchJwks;
+        this.syncIntervalMs = options.syncIntervalMs || 5 * 60 * 1000;
+        this.minRefreshIntervalMs = options.minRefreshIntervalMs || 1000;
+
+        this.keys = new Map();
+        this.timer = null;
+        this.pending = null;
+        this.lastAttemptAt = 0;
+        this.lastSyncAt = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.sync();
+        this.timer = setInterval(() => this.sync(), this.syncIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Одновременные вызовы ждут одну загрузку
+    sync() {
+        if (!this.pending) {
+            this.lastAttemptAt = Date.now();
+            this.pending = this.load().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async load() {
+        try {
+            const jwks = await this.fetchJwks();
+            if (!jwks || !Array.isArray(jwks.keys)) {
+                return;
+            }
+
+            const keys = new Map();
+            for (const jwk of jwks.keys) {
+                if (!jwk.kid || !jwk.alg || (jwk.use && jwk.use !== 'sig')) {
+                    continue;
+                }
+
+                try {
+                    keys.set(jwk.kid, { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+                } catch (error) {
+                    this.logger.warn({ kid: jwk.kid, error: error.message }, 'Skipping invalid JWKS key');
+                }
+            }
+
+            this.keys = keys;
+            this.lastSyncAt = new Date().toISOString();
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Failed to sync JWKS');
+        }
+    }
+
+    get(kid) {
+        return this.keys.get(kid) || null;
+    }
+
+    // staleKey — ключ из кэша, с которым не сошлась подпись токена
+    async resolve(kid, staleKey = null) {
+        const cached = this.keys.get(kid);
+        if ((!cached || cached === staleKey) && (this.pending || Date.now() - this.lastAttemptAt >= this.minRefreshIntervalMs)) {
+            await this.sync();
+        }
+        return this.get(kid);
+    }
+
+    get stats() {
+        return {
+            kids: Array.from(this.keys.keys()),
+            lastSyncAt: this.lastSyncAt
+        };
+    }
+}
+
+module.exports = { JwksKeyStore };
@@ -0,0 +1,160 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { sendError } = require('shared/api-errors');
+
+// Политики rate limiting gateway. Политика — { windowSeconds, limits, skipSuccessfulRequests, message }:
+//   limits.anonymous — лимит для запросов без действительного access-токена, считается по IP;
+//   limits.default   — лимит пользователя, для ролей которого нет отдельного значения;
+//   limits.<Роль>    — лимит для роли; пользователю с несколькими ролями достается наибольший.
+// Запросы пользователя с токеном считаются по его id, поэтому пользователи за одним NAT
+// не делят бюджет. Счетчики хранятся в RATE_LIMIT_STORE: memory (в процессе) или redis
+// (общий бюджет для всех экземпляров gateway).
+
+// INCR и установка TTL одной командой, чтобы ключ не остался без срока жизни
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+function validateRateLimitPolicy(policy, name) {
+    const fail = message => {
+        throw new Error(`Rate limit policy ${name}: ${message}`);
+    };
+
+    if (!policy || typeof policy !== 'object') {
+        fail('must be an object');
+    }
+    if (!Number.isInteger(policy.windowSeconds) || policy.windowSeconds <= 0) {
+        fail('windowSeconds must be a positive integer');
+    }
+    if (!policy.limits || typeof policy.limits !== 'object' || policy.limits.default === undefined) {
+        fail('limits must be an object with a default limit');
+    }
+    for (const [tier, limit] of Object.entries(policy.limits)) {
+        if (!Number.isInteger(limit) || limit < 0) {
+            fail(`limit for ${tier} must be a non-negative integer`);
+        }
+    }
+}
+
+// Счетчики в Redis: ключ живет окно политики с первого запроса (fixed window), как в MemoryStore
+class RedisRateLimitStore {
+    constructor(client, prefix) {
+        this.client = client;
+        this.prefix = prefix;
+        this.localKeys = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const [totalHits, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+        return { totalHits, resetTime: new Date(Date.now() + ttl) };
+    }
+
+    async decrement(key) {
+        await this.client.decr(this.prefix + key);
+    }
+
+    async resetKey(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+// Создает rate limiter'ы по политикам с общим хранилищем.
+// options: identify(req) — { id, roles } пользователя или null, onReject(name, tier) — для метрик
+class RateLimiterFactory {
+    constructor(logger, options) {
+        this.logger = logger;
+        this.identify = options.identify;
+        this.onReject = options.onReject || (() => {});
+        this.storeType = options.store || 'memory';
+        this.keyPrefix = options.keyPrefix || 'rate-limit';
+        this.client = null;
+
+        if (this.storeType === 'redis') {
+            const Redis = require('ioredis');
+            this.client = new Redis(options.redisUrl || 'redis://localhost:6379', {
+                maxRetriesPerRequest: 1,
+                retryStrategy: times => Math.min(times * 200, 5000)
+            });
+            this.client.on('error', error => this.logger.warn({ error: error.message }, 'Redis rate limit store connection error'));
+        } else if (this.storeType !== 'memory') {
+            throw new Error(`Unknown RATE_LIMIT_STORE: ${this.storeType}`);
+        }
+    }
+
+    createStore(name) {
+        return this.client
+            ? new RedisRateLimitStore(this.client, `${this.keyPrefix}:${name}:`)
+            : new MemoryStore();
+    }
+
+    // Уровень лимита и ключ счетчика для запроса
+    classify(req, policy) {
+        if (req.rateLimitIdentity === undefined) {
+            req.rateLimitIdentity = this.identify(req);
+        }
+
+        const user = req.rateLimitIdentity;
+        if (!user) {
+            const tier = policy.limits.anonymous !== undefined ? 'anonymous' : 'default';
+            return { tier, limit: policy.limits[tier], key: `ip:${req.ip}` };
+        }
+
+        const roleTiers = (user.roles || []).filter(role => policy.limits[role] !== undefined);
+        const tier = roleTiers.length > 0
+            ? roleTiers.reduce((best, role) => (policy.limits[role] > policy.limits[best] ? role : best))
+            : 'default';
+        return { tier, limit: policy.limits[tier], key: `user:${user.id}` };
+    }
+
+    create(name, policy) {
+        validateRateLimitPolicy(policy, name);
+
+        return rateLimit({
+            windowMs: policy.windowSeconds * 1000,
+            limit: req => this.classify(req, policy).limit,
+            keyGenerator: req => this.classify(req, policy).key,
+            skipSuccessfulRequests: Boolean(policy.skipSuccessfulRequests),
+            standardHeaders: true,
+            legacyHeaders: false,
+            store: this.createStore(name),
+            // Недоступное хранилище не блокирует запросы
+            passOnStoreError: true,
+            handler: (req, res, next, options) => {
+                this.onReject(name, this.classify(req, policy).tier);
+                sendError(res, 'RATE_LIMITED', policy.message || 'Too many requests, please try again later.', { status: options.statusCode });
+            }
+        });
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.quit();
+        }
+    }
+}
+
+// RATE_LIMIT_STORE: memory | redis
+function createRateLimiterFactory(logger, options = {}, env = process.env) {
+    return new RateLimiterFactory(logger, {
+        ...options,
+        store: env.RATE_LIMIT_STORE,
+        redisUrl: env.REDIS_URL,
+        keyPrefix: env.RATE_LIMIT_KEY_PREFIX
+    });
+}
+
+module.exports = {
+    validateRateLimitPolicy,
+    RedisRateLimitStore,
+    RateLimiterFactory,
+    createRateLimiterFactory
+};
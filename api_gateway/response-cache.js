@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+// Кэш ответов сервисов в gateway для маршрутов с gatewayCache.
+// Запись — { status, data, etag }, хранится ttlSeconds и помечается тегами (order/5, user/1).
+// Инвалидация выполняется по тегу: после изменений через gateway (поле invalidates маршрута)
+// и по доменным событиям (order.status.updated, order.cancelled, user.updated).
+//
+// Хранилище реализует методы:
+//   get(key)                          — запись или null
+//   set(key, entry, ttlSeconds, tags) — сохранить запись
+//   invalidate(tags)                  — удалить записи с любым из тегов, вернуть их число
+//   close()                           — освободить ресурсы
+
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+function computeEtag(data) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url')}"`;
+}
+
+// Ключ учитывает заголовки запроса к сервису: ответ может зависеть от X-User-Id / X-User-Roles
+function cacheKey(upstream, request) {
+    return `${upstream} ${request.method || 'GET'} ${request.path} ${JSON.stringify(request.headers || {})}`;
+}
+
+// LRU в памяти процесса; при нескольких экземплярах gateway каждый хранит свою копию
+class InMemoryCacheStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) {
+            return null;
+        }
+
+        if (item.expiresAt <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry, ttlSeconds, tags) {
+        this.remove(key);
+        this.entries.set(key, { entry, tags, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(key);
+        }
+
+        if (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async invalidate(tags) {
+        let removed = 0;
+
+        for (const tag of tags) {
+            for (const key of this.tags.get(tag) || []) {
+                removed += this.remove(key) ? 1 : 0;
+            }
+        }
+
+        return removed;
+    }
+
+    remove(key) {
+        const item = this.entries.get(key);
+        if (!item) {
+            return false;
+        }
+
+        this.entries.delete(key);
+        for (const tag of item.tags) {
+            const keys = this.tags.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.tags.delete(tag);
+            }
+        }
+        return true;
+    }
+
+    async close() {}
+}
+
+// Общий кэш нескольких экземпляров gateway: запись — строка с TTL, тег — множество ключей.
+// Множество тега живет tagTtlSeconds, не меньше TTL любой записи, и удаляется при инвалидации.
+class RedisCacheStore {
+    constructor(options = {}) {
+        this.url = options.url || 'redis://localhost:6379';
+        this.keyPrefix = options.keyPrefix || 'gateway-cache';
+        this.tagTtlSeconds = options.tagTtlSeconds || MAX_TTL_SECONDS;
+        this.logger = options.logger;
+
+        const Redis = require('ioredis');
+        this.client = new Redis(this.url, {
+            maxRetriesPerRequest: 1,
+            retryStrategy: times => Math.min(times * 200, 5000)
+        });
+        this.client.on('error', error => {
+            if (this.logger) {
+                this.logger.warn({ error: error.message }, 'Redis cache connection error');
+            }
+        });
+    }
+
+    entryKey(key) {
+        return `${this.keyPrefix}:entry:${key}`;
+    }
+
+    tagKey(tag) {
+        return `${this.keyPrefix}:tag:${tag}`;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.entryKey(key));
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, entry, ttlSeconds, tags) {
+        const pipeline = this.client.multi().set(this.entryKey(key), JSON.stringify(entry), 'EX', ttlSeconds);
+        for (const tag of tags) {
+            pipeline.sadd(this.tagKey(tag), key).expire(this.tagKey(tag), this.tagTtlSeconds);
+        }
+        await pipeline.exec();
+    }
+
+    async invalidate(tags) {
+        let removed = 0;
+
+        for (const tag of tags) {
+            const keys = await this.client.smembers(this.tagKey(tag));
+            if (keys.length > 0) {
+                removed += await this.client.del(...keys.map(key => this.entryKey(key)));
+            }
+            await this.client.del(this.tagKey(tag));
+        }
+
+        return removed;
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+}
+
+// Ошибки хранилища не ломают запрос: чтение считается промахом, запись пропускается.
+// options: onLookup(hit), onInvalidate(reason, removed) — для метрик
+class ResponseCache {
+    constructor(store, logger, options = {}) {
+        this.store = store;
+        this.logger = logger;
+        this.onLookup = options.onLookup || (() => {});
+        this.onInvalidate = options.onInvalidate || (() => {});
+    }
+
+    // Результат load() с полями etag и cache: HIT | MISS; в кэш попадают только ответы 2xx
+    async fetch(key, { ttlSeconds, tags }, load) {
+        let entry = null;
+        try {
+            entry = await this.store.get(key);
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Failed to read response cache');
+        }
+
+        this.onLookup(Boolean(entry));
+        if (entry) {
+            return { status: entry.status, data: entry.data, headers: {}, etag: entry.etag, cache: 'HIT' };
+        }
+
+        const result = await load();
+        if (result.fallback || result.status < 200 || result.status >= 300) {
+            return result;
+        }
+
+        const etag = computeEtag(result.data);
+        try {
+            await this.store.set(key, { status: result.status, data: result.data, etag }, ttlSeconds, tags);
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Failed to write response cache');
+        }
+
+        return { ...result, etag, cache: 'MISS' };
+    }
+
+    // reason — тип события или route для инвалидации после запроса через gateway
+    async invalidate(tags, reason) {
+        try {
+            const removed = await this.store.invalidate(tags);
+            this.onInvalidate(reason, removed);
+            this.logger.debug({ tags, reason, removed }, 'Response cache invalidated');
+        } catch (error) {
+            this.logger.error({ tags, reason, error: error.message }, 'Failed to invalidate response cache');
+        }
+    }
+
+    async close() {
+        await this.store.close();
+    }
+}
+
+// RESPONSE_CACHE_DRIVER: memory | redis
+function createResponseCache(logger, options = {}, env = process.env) {
+    const driver = env.RESPONSE_CACHE_DRIVER || 'memory';
+    let store;
+
+    switch (driver) {
+        case 'memory':
+            store = new InMemoryCacheStore({ maxEntries: parseInt(env.RESPONSE_CACHE_MAX_ENTRIES, 10) || undefined });
+            break;
+        case 'redis':
+            store = new RedisCacheStore({ url: env.REDIS_URL, keyPrefix: env.RESPONSE_CACHE_KEY_PREFIX, logger });
+            break;
+        default:
+            throw new Error(`Unknown RESPONSE_CACHE_DRIVER: ${driver}`);
+    }
+
+    return new ResponseCache(store, logger, options);
+}
+
+module.exports = {
+    MAX_TTL_SECONDS,
+    computeEtag,
+    cacheKey,
+    InMemoryCacheStore,
+    RedisCacheStore,
+    ResponseCache,
+    createResponseCache
+};
@@ -0,0 +1,177 @@
+// Повторы и hedging запросов к upstream-сервисам по политикам из реестра (upstream.retry, upstream.hedging).
+// Повторяются только безопасные запросы: идемпотентные методы и запросы с Idempotency-Key.
+// Каждая попытка выбирает экземпляр заново, поэтому повтор обычно уходит на другой экземпляр.
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const HEDGED_METHODS = ['GET', 'HEAD'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const CONNECTION_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+function isRetryableRequest(method, headers = {}) {
+    return IDEMPOTENT_METHODS.includes(method)
+        || Object.keys(headers).some(header => header.toLowerCase() === 'idempotency-key');
+}
+
+// Причина повтора для метрик или null, если результат окончательный
+function retryReason(policy, error, result) {
+    if (error) {
+        if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+            return 'timeout';
+        }
+        return CONNECTION_ERROR_CODES.includes(error.code) ? 'connection_error' : null;
+    }
+    return policy.retryOn.includes(result.status) ? `status_${result.status}` : null;
+}
+
+// Экспоненциальная задержка с full jitter: случайное значение от 0 до base * 2^(retry - 1)
+function backoffDelay(policy, retry) {
+    return Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retry - 1));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Бюджет повторов upstream: за скользящее окно повторов (и hedged-запросов) может быть
+// не больше budgetRatio от числа запросов, но всегда разрешено minRetriesPerSecond в секунду.
+// Так при массовых отказах upstream повторы не умножают нагрузку на него.
+class RetryBudget {
+    constructor(windowSeconds = 10) {
+        this.windowSeconds = windowSeconds;
+        this.buckets = [];
+    }
+
+    currentBucket() {
+        const second = Math.floor(Date.now() / 1000);
+        const last = this.buckets[this.buckets.length - 1];
+
+        if (last && last.second === second) {
+            return last;
+        }
+
+        const bucket = { second, requests: 0, retries: 0 };
+        this.buckets.push(bucket);
+        this.buckets = this.buckets.filter(item => item.second > second - this.windowSeconds);
+        return bucket;
+    }
+
+    recordRequest() {
+        this.currentBucket().requests++;
+    }
+
+    tryAcquire(policy) {
+        const bucket = this.currentBucket();
+        const totals = this.buckets.reduce((sum, item) => ({
+            requests: sum.requests + item.requests,
+            retries: sum.retries + item.retries
+        }), { requests: 0, retries: 0 });
+
+        const allowed = Math.max(policy.minRetriesPerSecond * this.windowSeconds, totals.requests * policy.budgetRatio);
+        if (totals.retries >= allowed) {
+            return false;
+        }
+
+        bucket.retries++;
+        return true;
+    }
+}
+
+// Основной запрос и, если ответа нет через hedging.delayMs, еще один на другой экземпляр.
+// Побеждает первый окончательный результат, остальные запросы отменяются через AbortSignal.
+function sendHedged(upstream, send, options) {
+    const { budget, onHedge } = options;
+
+    return new Promise((resolve, reject) => {
+        const controllers = [];
+        let pending = 0;
+        let settled = false;
+        let timer = null;
+
+        // hedge: true — победил дополнительный запрос, false — основной, null — дополнительного не было
+        const finish = (outcome, hedge) => {
+            settled = true;
+            clearTimeout(timer);
+            controllers.forEach(controller => controller.abort());
+            if (hedge !== null) {
+                onHedge(hedge ? 'won' : 'lost');
+            }
+            return outcome.error ? reject(outcome.error) : resolve(outcome.result);
+        };
+
+        const launch = hedge => {
+            const controller = new AbortController();
+            controllers.push(controller);
+            pending++;
+
+            upstream.request(baseUrl => send(baseUrl, controller.signal))
+                .then(result => ({ error: null, result }), error => ({ error, result: null }))
+                .then(outcome => {
+                    pending--;
+                    if (settled) {
+                        return;
+                    }
+
+                    // Неудачный ответ ждет второй запрос, если тот еще выполняется
+                    if (pending === 0 || !retryReason(upstream.retry, outcome.error, outcome.result)) {
+                        finish(outcome, controllers.length > 1 ? hedge : null);
+                    }
+                });
+        };
+
+        launch(false);
+        timer = setTimeout(() => {
+            if (!settled && budget.tryAcquire(upstream.retry)) {
+                launch(true);
+            }
+        }, upstream.hedging.delayMs);
+    });
+}
+
+// Выполняет send(baseUrl, signal) с повторами и hedging по политикам upstream.
+// options: budget — RetryBudget upstream; onRetry(reason), onHedge(result), onBudgetExhausted() — для метрик
+async function sendWithRetries(upstream, request, send, options) {
+    const { budget, onRetry, onBudgetExhausted } = options;
+    const retryable = isRetryableRequest(request.method, request.headers);
+    const hedged = upstream.hedging.enabled && HEDGED_METHODS.includes(request.method);
+
+    budget.recordRequest();
+
+    for (let attempt = 1; ; attempt++) {
+        const policy = upstream.retry;
+        let error = null;
+        let result = null;
+
+        try {
+            result = hedged
+                ? await sendHedged(upstream, send, options)
+                : await upstream.request(baseUrl => send(baseUrl));
+        } catch (sendError) {
+            error = sendError;
+        }
+
+        const reason = retryReason(policy, error, result);
+        let retry = Boolean(reason) && retryable && attempt < policy.maxAttempts;
+
+        if (retry && !budget.tryAcquire(policy)) {
+            onBudgetExhausted();
+            retry = false;
+        }
+
+        if (!retry) {
+            if (error) {
+                throw error;
+            }
+            return result;
+        }
+
+        onRetry(reason);
+        await sleep(backoffDelay(policy, attempt));
+    }
+}
+
+module.exports = {
+    IDEMPOTENT_METHODS,
+    isRetryableRequest,
+    RetryBudget,
+    sendWithRetries
+};
@@ -0,0 +1,460 @@
+const fs = require('fs');
+const express = require('express');
+const YAML = require('yaml');
+const { MAX_TTL_SECONDS, cacheKey } = require('./response-cache');
+const { validateRateLimitPolicy } = require('./rate-limit');
+
+// Таблица маршрутов API Gateway (routes.yaml): каждый маршрут описывает публичный путь,
+// upstream-сервис и путь в нем, требования к доступу и политику rate limiting, кэширования и таймаута.
+// По этой же таблице строится раздел paths документации OpenAPI.
+//
+// Поля маршрута:
+//   method, path        — метод и путь относительно /api/v1, параметры в формате Express (:orderId)
+//   upstream            — имя upstream-сервиса из реестра (service_users, service_orders)
+//   upstreamPath        — шаблон пути в сервисе: :name берется из параметров пути, :user.id — из JWT
+//   auth                — требуется access-токен
+//   roles               — роли, которым доступен маршрут (требует auth)
+//   policy              — проверка доступа к ресурсу с учетом владельца (требует auth)
+//   rateLimit           — дополнительный лимитер поверх общего: имя политики (auth) или своя политика
+//                         { windowSeconds, limits: { default, anonymous, <Роль> } }, см. rate-limit.js
+//   cache               — { maxAgeSeconds, scope: private | public } для заголовка Cache-Control успешных GET
+//   staleFallback       — { maxAgeSeconds }: при недоступности сервиса GET отдает последний успешный ответ
+//   gatewayCache        — { ttlSeconds, tags }: GET отдается из кэша gateway с ETag; tags — шаблоны тегов (order/:orderId)
+//   invalidates         — шаблоны тегов, записи с которыми удаляются из кэша после успешного изменения
+//   timeoutMs           — таймаут одной попытки запроса к сервису
+//   query               — параметры query string, которые передаются в сервис
+//   actor               — передать X-User-Id / X-User-Roles пользователя
+//   forwardHeaders      — заголовки клиента, которые передаются в сервис
+//   exposeHeaders       — заголовки ответа сервиса, которые передаются клиенту
+//   reuseResource       — отдать ответ, загруженный проверкой policy, без повторного запроса
+//   hook                — обработчик из кода gateway для логики помимо проксирования
+//   openapi             — описание операции: summary, description, tags, parameters, requestBody, responses
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+const CACHE_SCOPES = ['private', 'public'];
+const DEFAULT_TIMEOUT_MS = 3000;
+
+const PATH_PARAM_PATTERN = /:([A-Za-z_]\w*)/g;
+const TEMPLATE_PARAM_PATTERN = /:([A-Za-z_][\w.]*)/g;
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+}
+
+function validateRoute(route, index) {
+    const name = route && route.method && route.path ? `${route.method} ${route.path}` : `#${index}`;
+    const fail = message => {
+        throw new Error(`Route ${name}: ${message}`);
+    };
+
+    if (!route || typeof route !== 'object') {
+        fail('must be an object');
+    }
+    if (!HTTP_METHODS.includes(route.method)) {
+        fail(`method must be one of ${HTTP_METHODS.join(', ')}`);
+    }
+    if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+        fail('path must start with /');
+    }
+    if (typeof route.upstream !== 'string' || route.upstream === '') {
+        fail('upstream is required');
+    }
+    if (typeof route.upstreamPath !== 'string' || !route.upstreamPath.startsWith('/')) {
+        fail('upstreamPath must start with /');
+    }
+
+    const pathParams = new Set(Array.from(route.path.matchAll(PATH_PARAM_PATTERN), match => match[1]));
+    const checkTemplateParams = template => {
+        for (const [, param] of template.matchAll(TEMPLATE_PARAM_PATTERN)) {
+            if (param === 'user.id') {
+                if (!route.auth) {
+                    fail(`:user.id in ${template} requires auth`);
+                }
+            } else if (!pathParams.has(param)) {
+                fail(`parameter :${param} of ${template} is not in path`);
+            }
+        }
+    };
+    checkTemplateParams(route.upstreamPath);
+
+    if (route.roles !== undefined && (!isStringList(route.roles) || route.roles.length === 0)) {
+        fail('roles must be a non-empty list of role names');
+    }
+    if ((route.roles || route.policy) && !route.auth) {
+        fail('roles and policy require auth');
+    }
+    if (route.cache !== undefined && (!route.cache || !Number.isInteger(route.cache.maxAgeSeconds)
+        || route.cache.maxAgeSeconds < 0 || !CACHE_SCOPES.includes(route.cache.scope || 'private'))) {
+        fail('cache must be { maxAgeSeconds, scope: private | public }');
+    }
+    if (route.cache !== undefined && route.method !== 'GET') {
+        fail('cache is only supported for GET routes');
+    }
+    if (route.staleFallback !== undefined && (route.method !== 'GET' || !route.staleFallback
+        || !Number.isInteger(route.staleFallback.maxAgeSeconds) || route.staleFallback.maxAgeSeconds <= 0)) {
+        fail('staleFallback must be { maxAgeSeconds } on a GET route');
+    }
+    if (route.gatewayCache !== undefined && (route.method !== 'GET' || !route.gatewayCache
+        || !Number.isInteger(route.gatewayCache.ttlSeconds) || route.gatewayCache.ttlSeconds <= 0
+        || route.gatewayCache.ttlSeconds > MAX_TTL_SECONDS
+        || (route.gatewayCache.tags !== undefined && !isStringList(route.gatewayCache.tags)))) {
+        fail(`gatewayCache must be { ttlSeconds: 1..${MAX_TTL_SECONDS}, tags } on a GET route`);
+    }
+    if (route.invalidates !== undefined && (route.method === 'GET' || !isStringList(route.invalidates))) {
+        fail('invalidates must be a list of cache tags on a non-GET route');
+    }
+    for (const template of [...(route.gatewayCache && route.gatewayCache.tags || []), ...(route.invalidates || [])]) {
+        checkTemplateParams(template);
+    }
+    if (route.rateLimit !== undefined && typeof route.rateLimit !== 'string') {
+        validateRateLimitPolicy(route.rateLimit, name);
+    }
+    if (route.timeoutMs !== undefined && (!Number.isInteger(route.timeoutMs) || route.timeoutMs <= 0)) {
+        fail('timeoutMs must be a positive integer');
+    }
+    for (const field of ['query', 'forwardHeaders', 'exposeHeaders']) {
+        if (route[field] !== undefined && !isStringList(route[field])) {
+            fail(`${field} must be a list of names`);
+        }
+    }
+}
+
+// Читает и проверяет таблицу маршрутов; ошибка прерывает запуск gateway
+function loadRouteTable(filePath) {
+    const config = YAML.parse(fs.readFileSync(filePath, 'utf8'));
+    const routes = config && config.routes;
+
+    if (!Array.isArray(routes)) {
+        throw new Error(`${filePath} must contain a routes list`);
+    }
+
+    routes.forEach(validateRoute);
+
+    const seen = new Set();
+    for (const route of routes) {
+        const key = `${route.method} ${route.path}`;
+        if (seen.has(key)) {
+            throw new Error(`Route ${key} is defined more than once`);
+        }
+        seen.add(key);
+    }
+
+    return routes;
+}
+
+// Подставляет в шаблон параметры пути и :user.id из JWT
+function resolveTemplate(template, req) {
+    return template.replace(TEMPLATE_PARAM_PATTERN, (match, param) => {
+        const value = param === 'user.id' ? req.user.id : req.params[param];
+        return encodeURIComponent(value);
+    });
+}
+
+function resolveUpstreamPath(route, req) {
+    const path = resolveTemplate(route.upstreamPath, req);
+
+    const queryParams = new URLSearchParams();
+    for (const param of route.query || []) {
+        if (typeof req.query[param] === 'string' && req.query[param] !== '') {
+            queryParams.append(param, req.query[param]);
+        }
+    }
+
+    const queryString = queryParams.toString();
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+function upstreamHeaders(route, req) {
+    const headers = {};
+
+    if (route.actor) {
+        headers['X-User-Id'] = req.user.id;
+        headers['X-User-Roles'] = (req.user.roles || []).join(',');
+    }
+
+    for (const header of route.forwardHeaders || []) {
+        const value = req.get(header);
+        if (value !== undefined) {
+            headers[header] = value;
+        }
+    }
+
+    return headers;
+}
+
+// Retry-After передается всегда: его выставляют и сервисы, и fallback circuit breaker.
+// Для ответов из кэша gateway (result.etag) If-None-Match с тем же ETag дает 304 без тела
+function sendResult(route, req, res, result) {
+    for (const header of ['Retry-After', ...(route.exposeHeaders || [])]) {
+        const value = result.headers && result.headers[header.toLowerCase()];
+        if (value !== undefined) {
+            res.set(header, value);
+        }
+    }
+
+    if (route.cache && result.status >= 200 && result.status < 300) {
+        res.set('Cache-Control', `${route.cache.scope || 'private'}, max-age=${route.cache.maxAgeSeconds}`);
+    }
+
+    if (result.etag) {
+        res.set('ETag', result.etag);
+        res.set('X-Cache', result.cache);
+
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim() === result.etag || tag.trim() === '*')) {
+            return res.status(304).end();
+        }
+    }
+
+    res.status(result.status).json(result.data);
+}
+
+// Ключ учитывает пользователя: ответы сервисов могут зависеть от X-User-Id / X-User-Roles
+function staleCacheKey(route, req, request) {
+    return `${req.user ? req.user.id : '-'} ${request.method} ${route.upstream}${request.path}`;
+}
+
+function proxyHandler(route, circuit, hook, options) {
+    const { logger, staleCache, responseCache } = options;
+
+    return async (req, res, next) => {
+        try {
+            if (route.reuseResource && req.resourceResult) {
+                return sendResult(route, req, res, req.resourceResult);
+            }
+
+            let request = {
+                path: resolveUpstreamPath(route, req),
+                method: route.method,
+                data: BODY_METHODS.includes(route.method) ? req.body : undefined,
+                headers: upstreamHeaders(route, req),
+                timeoutMs: route.timeoutMs || DEFAULT_TIMEOUT_MS
+            };
+
+            if (hook.prepare) {
+                request = hook.prepare(req, request);
+            }
+
+            logger.debug({ upstream: route.upstream, method: request.method, path: request.path }, 'Proxying request');
+
+            const send = () => circuit.fire(request.path, {
+                method: request.method,
+                data: request.data,
+                headers: request.headers,
+                timeoutMs: request.timeoutMs
+            });
+
+            let result = route.gatewayCache
+                ? await responseCache.fetch(cacheKey(route.upstream, request), {
+                    ttlSeconds: route.gatewayCache.ttlSeconds,
+                    tags: (route.gatewayCache.tags || []).map(tag => resolveTemplate(tag, req))
+                }, send)
+                : await send();
+
+            if (route.invalidates && result.status >= 200 && result.status < 300) {
+                await responseCache.invalidate(route.invalidates.map(tag => resolveTemplate(tag, req)), 'route');
+            }
+
+            if (hook.complete) {
+                result = hook.complete(req, result);
+            }
+
+            if (route.staleFallback) {
+                const key = staleCacheKey(route, req, request);
+
+                if (result.fallback) {
+                    const stale = staleCache.get(key, route.staleFallback.maxAgeSeconds * 1000);
+                    if (stale) {
+                        logger.warn({ upstream: route.upstream, path: request.path, ageSeconds: stale.ageSeconds }, 'Serving stale response');
+                        res.set('Age', String(stale.ageSeconds));
+                        res.set('X-Cache', 'STALE');
+                        return sendResult(route, req, res, stale.result);
+                    }
+                } else if (result.status >= 200 && result.status < 300) {
+                    staleCache.set(key, result);
+                }
+            }
+
+            sendResult(route, req, res, result);
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Router с маршрутами таблицы в порядке объявления.
+// options: circuits — circuit breaker по имени upstream; authenticate и requireRoles — middleware gateway;
+// rateLimiters и policies — middleware по имени; createRateLimiter(name, policy) — лимитер для политики маршрута; hooks — { prepare(req, request), complete(req, result) } по имени;
+// staleCache — StaleResponseCache для маршрутов со staleFallback; responseCache — ResponseCache для gatewayCache и invalidates
+function createRouter(routes, options) {
+    const router = express.Router();
+
+    for (const route of routes) {
+        const name = `${route.method} ${route.path}`;
+        const circuit = options.circuits[route.upstream];
+        if (!circuit) {
+            throw new Error(`Route ${name}: unknown upstream ${route.upstream}`);
+        }
+
+        const middlewares = [];
+
+        if (typeof route.rateLimit === 'string') {
+            if (!options.rateLimiters[route.rateLimit]) {
+                throw new Error(`Route ${name}: unknown rate limit policy ${route.rateLimit}`);
+            }
+            middlewares.push(options.rateLimiters[route.rateLimit]);
+        } else if (route.rateLimit) {
+            middlewares.push(options.createRateLimiter(name, route.rateLimit));
+        }
+
+        if (route.auth) {
+            middlewares.push(options.authenticate);
+        }
+
+        if (route.roles) {
+            middlewares.push(options.requireRoles(route.roles));
+        }
+
+        if (route.policy) {
+            if (!options.policies[route.policy]) {
+                throw new Error(`Route ${name}: unknown policy ${route.policy}`);
+            }
+            middlewares.push(options.policies[route.policy]);
+        }
+
+        const hook = route.hook ? options.hooks[route.hook] : {};
+        if (!hook) {
+            throw new Error(`Route ${name}: unknown hook ${route.hook}`);
+        }
+
+        router[route.method.toLowerCase()](route.path, ...middlewares, proxyHandler(route, circuit, hook, options));
+    }
+
+    return router;
+}
+
+function parameterKey(parameter, components) {
+    if (parameter.$ref) {
+        const resolved = components.parameters && components.parameters[parameter.$ref.split('/').pop()];
+        return resolved ? `${resolved.in}:${resolved.name.toLowerCase()}` : null;
+    }
+    return `${parameter.in}:${parameter.name.toLowerCase()}`;
+}
+
+// Операция OpenAPI: описание из таблицы, дополненное тем, что следует из настроек маршрута —
+// параметрами пути, query и заголовков, security и стандартными ответами 304/401/403/429/503/504;
+// ответам с ошибками без схемы назначается схема Error
+function routeOperation(route, components) {
+    const docs = route.openapi || {};
+    const parameters = (docs.parameters || []).slice();
+    const documented = new Set(parameters.map(parameter => parameterKey(parameter, components)));
+    const addParameter = parameter => {
+        if (!documented.has(`${parameter.in}:${parameter.name.toLowerCase()}`)) {
+            parameters.push(parameter);
+        }
+    };
+
+    for (const [, name] of route.path.matchAll(PATH_PARAM_PATTERN)) {
+        addParameter({ in: 'path', name, required: true, schema: { type: 'string' } });
+    }
+    for (const name of route.query || []) {
+        addParameter({ in: 'query', name, required: false, schema: { type: 'string' } });
+    }
+    for (const name of route.forwardHeaders || []) {
+        addParameter({ in: 'header', name, required: false, schema: { type: 'string' } });
+    }
+    if (route.gatewayCache) {
+        addParameter({
+            in: 'header',
+            name: 'If-None-Match',
+            required: false,
+            schema: { type: 'string' },
+            description: 'ETag из предыдущего ответа; если данные не изменились, ответ 304 без тела'
+        });
+    }
+
+    const responses = { ...docs.responses };
+    if (route.auth && !responses[401]) {
+        responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    }
+    if ((route.roles || route.policy) && !responses[403]) {
+        responses[403] = { $ref: '#/components/responses/Forbidden' };
+    }
+    if (route.gatewayCache && !responses[304]) {
+        responses[304] = { description: 'Не изменилось с ETag из If-None-Match' };
+    }
+    if (route.rateLimit && !responses[429]) {
+        responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+    }
+    if (!responses[503]) {
+        responses[503] = { $ref: '#/components/responses/ServiceUnavailable' };
+    }
+    if (!responses[504]) {
+        responses[504] = { $ref: '#/components/responses/GatewayTimeout' };
+    }
+    // Ошибки всех сервисов приходят в едином формате
+    for (const [status, response] of Object.entries(responses)) {
+        if (Number(status) >= 400 && !response.$ref && !response.content) {
+            responses[status] = {
+                ...response,
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+            };
+        }
+    }
+
+    const operation = {
+        ...docs,
+        security: route.auth ? [{ bearerAuth: [] }] : [],
+        responses,
+        'x-upstream': route.upstream,
+        'x-timeout-ms': route.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+    if (route.roles) {
+        operation['x-required-roles'] = route.roles;
+    }
+    if (route.policy) {
+        operation['x-access-policy'] = route.policy;
+    }
+    if (route.rateLimit) {
+        operation['x-rate-limit'] = route.rateLimit;
+    }
+    if (route.cache) {
+        operation['x-cache'] = route.cache;
+    }
+    if (route.staleFallback) {
+        operation['x-stale-fallback'] = route.staleFallback;
+    }
+    if (route.gatewayCache) {
+        operation['x-gateway-cache'] = route.gatewayCache;
+    }
+    if (route.invalidates) {
+        operation['x-invalidates'] = route.invalidates;
+    }
+
+    return operation;
+}
+
+// Раздел paths OpenAPI; пути с параметрами переводятся в формат {orderId}
+function routesToOpenApi(routes, { basePath = '', components = {} } = {}) {
+    const paths = {};
+
+    for (const route of routes) {
+        const path = basePath + route.path.replace(PATH_PARAM_PATTERN, '{$1}');
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = routeOperation(route, components);
+    }
+
+    return paths;
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT_MS,
+    loadRouteTable,
+    createRouter,
+    routesToOpenApi
+};
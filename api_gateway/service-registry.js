@@ -0,0 +1,395 @@
+const fs = require('fs');
+
+// Реестр upstream-сервисов: экземпляры, балансировка нагрузки и активные health checks.
+// Экземпляры задаются переменной окружения (список URL через запятую) или JSON-файлом
+// UPSTREAMS_CONFIG_PATH; файл перечитывается при изменении и по SIGHUP без перезапуска процесса.
+//
+// Формат файла:
+// {
+//     "service_users": {
+//         "instances": ["http://users-1:8000", "http://users-2:8000"],
+//         "balancer": "least_connections",
+//         "healthCheck": { "path": "/users/health", "intervalMs": 5000 },
+//         "retry": { "maxAttempts": 3, "baseDelayMs": 50 },
+//         "hedging": { "enabled": true, "delayMs": 100 }
+//     }
+// }
+//
+// Реестр только хранит политики retry и hedging; применяет их вызывающий код.
+
+const BALANCERS = ['round_robin', 'least_connections'];
+
+const DEFAULT_HEALTH_CHECK = {
+    path: '/health',
+    intervalMs: 5000,
+    timeoutMs: 2000,
+    // Подряд идущих неудачных проверок до исключения экземпляра и успешных до возврата
+    unhealthyThreshold: 2,
+    healthyThreshold: 1
+};
+
+// maxAttempts — всего попыток, включая первую; retryOn — статусы ответа, после которых запрос повторяется.
+// Доля повторов ограничена бюджетом: budgetRatio от числа запросов за окно, но не меньше minRetriesPerSecond
+const DEFAULT_RETRY = {
+    maxAttempts: 3,
+    baseDelayMs: 50,
+    maxDelayMs: 1000,
+    retryOn: [502, 503, 504],
+    budgetRatio: 0.2,
+    minRetriesPerSecond: 5
+};
+
+// Hedging: если ответа нет через delayMs, параллельно отправляется еще один запрос на другой экземпляр
+const DEFAULT_HEDGING = {
+    enabled: false,
+    delayMs: 100
+};
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function parseInstances(value) {
+    return String(value || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
+
+function validateUpstreamConfig(name, config) {
+    if (!Array.isArray(config.instances) || config.instances.length === 0) {
+        throw new Error(`Upstream ${name} must have at least one instance`);
+    }
+
+    for (const url of config.instances) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`Upstream ${name} has an invalid instance URL: ${url}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`Upstream ${name} has an invalid instance URL: ${url}`);
+        }
+    }
+
+    if (!BALANCERS.includes(config.balancer)) {
+        throw new Error(`Upstream ${name} has an unknown balancer: ${config.balancer}`);
+    }
+
+    const { retry, hedging } = config;
+    if (!Number.isInteger(retry.maxAttempts) || retry.maxAttempts < 1
+        || !['baseDelayMs', 'maxDelayMs', 'budgetRatio', 'minRetriesPerSecond'].every(field => isNonNegativeNumber(retry[field]))
+        || !Array.isArray(retry.retryOn) || !retry.retryOn.every(Number.isInteger)) {
+        throw new Error(`Upstream ${name} has an invalid retry policy`);
+    }
+
+    if (typeof hedging.enabled !== 'boolean' || !isNonNegativeNumber(hedging.delayMs)) {
+        throw new Error(`Upstream ${name} has an invalid hedging policy`);
+    }
+}
+
+class Upstream {
+    constructor(name, logger) {
+        this.name = name;
+        this.logger = logger;
+        this.instances = [];
+        this.balancer = 'round_robin';
+        this.healthCheck = { ...DEFAULT_HEALTH_CHECK };
+        this.retry = { ...DEFAULT_RETRY };
+        this.hedging = { ...DEFAULT_HEDGING };
+        this.nextIndex = 0;
+        this.timer = null;
+    }
+
+    // Состояние экземпляров, оставшихся в списке, сохраняется
+    configure({ instances, balancer, healthCheck, retry, hedging }) {
+        const previous = new Map(this.instances.map(instance => [instance.url, instance]));
+
+        this.instances = instances.map(url => url.replace(/\/$/, '')).map(url => previous.get(url) || {
+            url,
+            healthy: true,
+            activeRequests: 0,
+            consecutiveFailures: 0,
+            consecutiveSuccesses: 0,
+            lastCheckedAt: null,
+            lastError: null
+        });
+        this.balancer = balancer;
+        this.healthCheck = { ...DEFAULT_HEALTH_CHECK, ...healthCheck };
+        this.retry = retry;
+        this.hedging = hedging;
+        this.nextIndex = 0;
+
+        if (this.timer) {
+            this.stopHealthChecks();
+            this.startHealthChecks();
+        }
+    }
+
+    pick() {
+        const candidates = this.instances.filter(instance => instance.healthy);
+        if (candidates.length === 0) {
+            throw new Error(`No healthy instances of ${this.name}`);
+        }
+
+        if (this.balancer === 'least_connections') {
+            const minActive = Math.min(...candidates.map(instance => instance.activeRequests));
+            const least = candidates.filter(instance => instance.activeRequests === minActive);
+            return least[this.nextIndex++ % least.length];
+        }
+
+        return candidates[this.nextIndex++ % candidates.length];
+    }
+
+    // Выполняет send(baseUrl) на выбранном экземпляре; счетчик активных запросов нужен least_connections
+    async request(send) {
+        const instance = this.pick();
+        instance.activeRequests++;
+
+        try {
+            return await send(instance.url);
+        } finally {
+            instance.activeRequests--;
+        }
+    }
+
+    startHealthChecks() {
+        if (this.timer || !this.healthCheck.intervalMs) {
+            return;
+        }
+
+        this.checkHealth();
+        this.timer = setInterval(() => this.checkHealth(), this.healthCheck.intervalMs);
+        this.timer.unref();
+    }
+
+    stopHealthChecks() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    checkHealth() {
+        return Promise.all(this.instances.map(async instance => {
+            let error = null;
+
+            try {
+                const response = await fetch(`${instance.url}${this.healthCheck.path}`, {
+                    signal: AbortSignal.timeout(this.healthCheck.timeoutMs)
+                });
+                if (!response.ok) {
+                    error = `Health check responded with ${response.status}`;
+                }
+            } catch (fetchError) {
+                error = fetchError.message;
+            }
+
+            instance.lastCheckedAt = new Date().toISOString();
+            instance.lastError = error;
+
+            if (error) {
+                instance.consecutiveSuccesses = 0;
+                instance.consecutiveFailures++;
+                if (instance.healthy && instance.consecutiveFailures >= this.healthCheck.unhealthyThreshold) {
+                    instance.healthy = false;
+                    this.logger.warn({ upstream: this.name, instance: instance.url, error }, 'Upstream instance ejected');
+                }
+            } else {
+                instance.consecutiveFailures = 0;
+                instance.consecutiveSuccesses++;
+                if (!instance.healthy && instance.consecutiveSuccesses >= this.healthCheck.healthyThreshold) {
+                    instance.healthy = true;
+                    this.logger.info({ upstream: this.name, instance: instance.url }, 'Upstream instance restored');
+                }
+            }
+        }));
+    }
+
+    get stats() {
+        return {
+            balancer: this.balancer,
+            retry: this.retry,
+            hedging: this.hedging,
+            instances: this.instances.map(({ url, healthy, activeRequests, lastCheckedAt, lastError }) => ({
+                url,
+                healthy,
+                activeRequests,
+                lastCheckedAt,
+                lastError
+            }))
+        };
+    }
+}
+
+// definitions — upstream-сервисы процесса: { name: { envVar, defaultUrl, healthPath } }.
+// Настройки из файла перекрывают переменные окружения; сервисы, удаленные из файла,
+// возвращаются к значениям из окружения.
+class ServiceRegistry {
+    constructor(definitions, logger, options = {}) {
+        this.definitions = definitions;
+        this.logger = logger;
+        this.env = options.env || process.env;
+        this.configPath = options.configPath || null;
+        this.reloadIntervalMs = options.reloadIntervalMs || 2000;
+        this.upstreams = new Map();
+        this.started = false;
+    }
+
+    upstream(name) {
+        const upstream = this.upstreams.get(name);
+        if (!upstream) {
+            throw new Error(`Unknown upstream: ${name}`);
+        }
+        return upstream;
+    }
+
+    defaultConfig(name) {
+        const definition = this.definitions[name] || {};
+        const instances = parseInstances(this.env[definition.envVar]);
+
+        return {
+            instances: instances.length > 0 ? instances : parseInstances(definition.defaultUrl),
+            balancer: this.env.UPSTREAM_BALANCER || 'round_robin',
+            healthCheck: {
+                path: definition.healthPath || DEFAULT_HEALTH_CHECK.path,
+                intervalMs: this.env.HEALTH_CHECK_INTERVAL_MS !== undefined
+                    ? parseInt(this.env.HEALTH_CHECK_INTERVAL_MS, 10)
+                    : DEFAULT_HEALTH_CHECK.intervalMs
+            },
+            retry: {
+                ...DEFAULT_RETRY,
+                maxAttempts: parseInt(this.env.UPSTREAM_RETRY_MAX_ATTEMPTS, 10) || DEFAULT_RETRY.maxAttempts
+            },
+            hedging: this.env.UPSTREAM_HEDGE_DELAY_MS !== undefined
+                ? { enabled: true, delayMs: parseInt(this.env.UPSTREAM_HEDGE_DELAY_MS, 10) }
+                : { ...DEFAULT_HEDGING }
+        };
+    }
+
+    // Конфигурация проверяется целиком до применения, поэтому ошибка в файле не меняет текущие upstream
+    apply(fileConfig = {}) {
+        const names = new Set([...Object.keys(this.definitions), ...Object.keys(fileConfig)]);
+        const configs = new Map();
+
+        for (const name of names) {
+            const defaults = this.defaultConfig(name);
+            const override = fileConfig[name] || {};
+            const config = {
+                instances: override.instances || defaults.instances,
+                balancer: override.balancer || defaults.balancer,
+                healthCheck: { ...defaults.healthCheck, ...override.healthCheck },
+                retry: { ...defaults.retry, ...override.retry },
+                hedging: { ...defaults.hedging, ...override.hedging }
+            };
+
+            validateUpstreamConfig(name, config);
+            configs.set(name, config);
+        }
+
+        for (const [name, upstream] of this.upstreams) {
+            if (!configs.has(name)) {
+                upstream.stopHealthChecks();
+                this.upstreams.delete(name);
+            }
+        }
+
+        for (const [name, config] of configs) {
+            if (this.upstreams.has(name)) {
+                this.upstreams.get(name).configure(config);
+                continue;
+            }
+
+            const upstream = new Upstream(name, this.logger);
+            upstream.configure(config);
+            this.upstreams.set(name, upstream);
+            if (this.started) {
+                upstream.startHealthChecks();
+            }
+        }
+    }
+
+    readConfigFile() {
+        if (!this.configPath) {
+            return {};
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Upstreams config must be a JSON object');
+        }
+        return config;
+    }
+
+    // Начальная конфигурация; ошибка в файле при старте прерывает запуск
+    init() {
+        this.apply(this.readConfigFile());
+        return this;
+    }
+
+    reload() {
+        try {
+            this.apply(this.readConfigFile());
+            this.logger.info({
+                upstreams: Object.fromEntries(Array.from(this.upstreams, ([name, upstream]) => [
+                    name,
+                    upstream.instances.map(instance => instance.url)
+                ]))
+            }, 'Upstreams reloaded');
+        } catch (error) {
+            this.logger.error({ error: error.message }, 'Failed to reload upstreams, keeping previous configuration');
+        }
+    }
+
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+        for (const upstream of this.upstreams.values()) {
+            upstream.startHealthChecks();
+        }
+
+        if (this.configPath) {
+            fs.watchFile(this.configPath, { persistent: false, interval: this.reloadIntervalMs }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) {
+                    this.reload();
+                }
+            });
+        }
+    }
+
+    stop() {
+        this.started = false;
+        for (const upstream of this.upstreams.values()) {
+            upstream.stopHealthChecks();
+        }
+
+        if (this.configPath) {
+            fs.unwatchFile(this.configPath);
+        }
+    }
+
+    get stats() {
+        return Object.fromEntries(Array.from(this.upstreams, ([name, upstream]) => [name, upstream.stats]));
+    }
+}
+
+function createServiceRegistry(definitions, logger, env = process.env) {
+    return new ServiceRegistry(definitions, logger, {
+        env,
+        configPath: env.UPSTREAMS_CONFIG_PATH,
+        reloadIntervalMs: parseInt(env.UPSTREAMS_RELOAD_INTERVAL_MS, 10) || undefined
+    }).init();
+}
+
+module.exports = {
+    BALANCERS,
+    DEFAULT_RETRY,
+    DEFAULT_HEDGING,
+    Upstream,
+    ServiceRegistry,
+    createServiceRegistry
+};
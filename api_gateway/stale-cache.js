@@ -0,0 +1,45 @@
+// Последние успешные ответы сервисов для маршрутов с staleFallback.
+// Копия отдается клиенту, только если сервис недоступен (fallback circuit breaker) и она не старше maxAgeMs.
+// Размер ограничен maxEntries: при переполнении вытесняется запись, к которой дольше всего не обращались.
+class StaleResponseCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+    }
+
+    set(key, result) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            result: { status: result.status, data: result.data, headers: {} },
+            storedAt: Date.now()
+        });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    // { result, ageSeconds } или null
+    get(key, maxAgeMs) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs > maxAgeMs) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { result: entry.result, ageSeconds: Math.floor(ageMs / 1000) };
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = { StaleResponseCache };
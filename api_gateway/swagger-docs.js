@@ -13,176 +13,10 @@
 
 /**
  * @swagger
- * /api/v1/users/register:
- *   post:
- *     summary: Регистрация нового пользователя
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RegisterRequest'
- *     responses:
- *       201:
- *         description: Пользователь успешно зарегистрирован
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       400:
- *         description: Ошибка валидации данных
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       429:
- *         description: Слишком много попыток регистрации
- */
-
-/**
- * @swagger
- * /api/v1/users/login:
- *   post:
- *     summary: Авторизация пользователя
- *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/LoginRequest'
- *     responses:
- *       200:
- *         description: Успешная авторизация
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: object
- *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
- *                     token:
- *                       type: string
- *                       description: JWT токен
- *       401:
- *         description: Неверные учетные данные
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       429:
- *         description: Слишком много попыток входа
- */
-
-/**
- * @swagger
- * /api/v1/users/profile:
- *   get:
- *     summary: Получить профиль текущего пользователя
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Профиль пользователя
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Не авторизован
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *   put:
- *     summary: Обновить профиль текущего пользователя
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Новое имя пользователя
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Новый email пользователя
- *     responses:
- *       200:
- *         description: Профиль успешно обновлен
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Не авторизован
- *       400:
- *         description: Ошибка валидации данных
- */
-
-/**
- * @swagger
- * /api/v1/users/{userId}:
+ * /api/v1/users/{userId}/details:
  *   get:
- *     summary: Получить пользователя по ID (только для Manager, Admin)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID пользователя
- *     responses:
- *       200:
- *         description: Информация о пользователе
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Пользователь не найден
- *   put:
- *     summary: Обновить пользователя по ID (только для Admin)
+ *     summary: Получить детальную информацию о пользователе с его заказами (только для Manager, Admin)
+ *     description: При недоступности одного из сервисов возвращает доступные данные с partial true, недоступные части равны null
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -193,133 +27,29 @@
  *         schema:
  *           type: string
  *         description: ID пользователя
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Новое имя пользователя
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Новый email пользователя
- *               roles:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [Customer, Engineer, Manager, Admin]
- *                 description: Новые роли пользователя
- *     responses:
- *       200:
- *         description: Пользователь успешно обновлен
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Пользователь не найден
- *   delete:
- *     summary: Удалить пользователя по ID (только для Admin)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
+ *       - in: query
+ *         name: include
  *         schema:
  *           type: string
- *         description: ID пользователя
- *     responses:
- *       200:
- *         description: Пользователь успешно удален
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Пользователь не найден
- */
-
-/**
- * @swagger
- * /api/v1/users:
- *   get:
- *     summary: Получить список всех пользователей (только для Manager, Admin)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     parameters:
+ *           default: orders
+ *           example: orders,stats
+ *         description: Дополнительные данные через запятую - orders, stats
+ *       - $ref: '#/components/parameters/Cursor'
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
- *           minimum: 1
  *           default: 1
- *         description: Номер страницы
+ *         description: Страница заказов
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           minimum: 1
- *           maximum: 100
  *           default: 10
- *         description: Количество пользователей на странице
- *       - in: query
- *         name: role
- *         schema:
- *           type: string
- *           enum: [Customer, Engineer, Manager, Admin]
- *         description: Фильтр по роли
- *       - in: query
- *         name: email
- *         schema:
- *           type: string
- *         description: Фильтр по email
- *       - in: query
- *         name: name
- *         schema:
- *           type: string
- *         description: Фильтр по имени
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [createdAt, updatedAt, name, email]
- *           default: createdAt
- *         description: Поле для сортировки
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Порядок сортировки
+ *         description: Количество заказов на странице
  *     responses:
  *       200:
- *         description: Список пользователей с пагинацией
+ *         description: Детальная информация о пользователе и его заказах
  *         content:
  *           application/json:
  *             schema:
@@ -327,396 +57,73 @@
  *               properties:
  *                 success:
  *                   type: boolean
- *                 data:
+ *                 partial:
+ *                   type: boolean
+ *                   description: Часть данных недоступна
+ *                 unavailable:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/User'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *   post:
- *     summary: Создать нового пользователя (только для Admin)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RegisterRequest'
- *     responses:
- *       201:
- *         description: Пользователь успешно создан
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       400:
- *         description: Ошибка валидации данных
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа (требуется роль Admin)
- */
-
-/**
- * @swagger
- * /api/v1/users/{userId}/details:
- *   get:
- *     summary: Получить детальную информацию о пользователе с его заказами (только для Manager, Admin)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID пользователя
- *     responses:
- *       200:
- *         description: Детальная информация о пользователе и его заказах
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
+ *                     type: string
+ *                     enum: [user, orders, stats]
  *                 data:
  *                   type: object
  *                   properties:
  *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/User'
  *                     orders:
  *                       type: array
+ *                       nullable: true
  *                       items:
  *                         $ref: '#/components/schemas/Order'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Пользователь не найден
- */
-
-/**
- * @swagger
- * /api/v1/orders/my:
- *   get:
- *     summary: Получить заказы текущего пользователя (любой авторизованный)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Номер страницы
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Количество заказов на странице
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [createdAt, updatedAt, totalAmount]
- *           default: createdAt
- *         description: Поле для сортировки
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Порядок сортировки
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, processing, completed, cancelled]
- *         description: Фильтр по статусу заказа
- *     responses:
- *       200:
- *         description: Список заказов пользователя
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Order'
- *       401:
- *         description: Не авторизован
- */
-
-/**
- * @swagger
- * /api/v1/orders:
- *   post:
- *     summary: Создать новый заказ (только для Customer, Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CreateOrderRequest'
- *     responses:
- *       201:
- *         description: Заказ успешно создан
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Order'
+ *                     ordersPagination:
+ *                       type: object
+ *                     stats:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         totalOrders:
+ *                           type: integer
+ *                         byStatus:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: integer
+ *                         lifetimeSpend:
+ *                           type: number
+ *                           description: Сумма заказов без отмененных
+ *                         averageOrderValue:
+ *                           type: number
+ *                         firstOrderAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         lastOrderAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
  *       400:
- *         description: Ошибка валидации данных
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *   get:
- *     summary: Получить все заказы (только для Engineer, Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Список всех заказов
+ *         description: Неизвестное значение include (VALIDATION_FAILED)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Order'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- */
-
-/**
- * @swagger
- * /api/v1/orders/{orderId}:
- *   get:
- *     summary: Получить заказ по ID (только для Engineer, Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID заказа
- *     responses:
- *       200:
- *         description: Информация о заказе
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Order'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Заказ не найден
- *   put:
- *     summary: Обновить заказ по ID (только для Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID заказа
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CreateOrderRequest'
- *     responses:
- *       200:
- *         description: Заказ успешно обновлен
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Order'
- *       400:
- *         description: Ошибка валидации данных
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Заказ не найден
- *   delete:
- *     summary: Удалить заказ по ID (только для Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID заказа
- *     responses:
- *       200:
- *         description: Заказ успешно удален
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Не авторизован
+ *         $ref: '#/components/responses/Unauthorized'
  *       403:
- *         description: Недостаточно прав доступа
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Заказ не найден
- */
-
-/**
- * @swagger
- * /api/v1/orders/{orderId}/status:
- *   patch:
- *     summary: Обновить статус заказа (только для Engineer, Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID заказа
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/UpdateOrderStatusRequest'
- *     responses:
- *       200:
- *         description: Статус заказа успешно обновлен
+ *         description: Пользователь не найден (USER_NOT_FOUND)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Order'
- *       400:
- *         description: Ошибка валидации данных
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Заказ не найден
- */
-
-/**
- * @swagger
- * /api/v1/orders/{orderId}/cancel:
- *   patch:
- *     summary: Отменить заказ (только для Manager, Admin)
- *     tags: [Orders]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID заказа
- *     responses:
- *       200:
- *         description: Заказ успешно отменен
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Оба сервиса недоступны (UPSTREAM_UNAVAILABLE, заголовок Retry-After)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Order'
- *       401:
- *         description: Не авторизован
- *       403:
- *         description: Недостаточно прав доступа
- *       404:
- *         description: Заказ не найден
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
@@ -753,6 +160,39 @@
  *                           type: string
  *                         stats:
  *                           type: object
+ *                 upstreams:
+ *                   type: object
+ *                   description: Экземпляры upstream-сервисов и результаты health checks
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       balancer:
+ *                         type: string
+ *                         enum: [round_robin, least_connections]
+ *                       retry:
+ *                         type: object
+ *                         description: Политика повторов (maxAttempts, baseDelayMs, maxDelayMs, retryOn, budgetRatio, minRetriesPerSecond)
+ *                       hedging:
+ *                         type: object
+ *                         description: Политика hedged-запросов (enabled, delayMs)
+ *                       instances:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             url:
+ *                               type: string
+ *                             healthy:
+ *                               type: boolean
+ *                             activeRequests:
+ *                               type: integer
+ *                             lastCheckedAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             lastError:
+ *                               type: string
+ *                               nullable: true
  */
 
 /**
@@ -772,86 +212,4 @@
  *                 status:
  *                   type: string
  *                   example: "API Gateway is running"
- */
-
-/**
- * @swagger
- * /api/v1/users/health:
- *   get:
- *     summary: Проверка состояния Users Service
- *     tags: [System]
- *     responses:
- *       200:
- *         description: Информация о состоянии Users Service
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "Users Service is running"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- */
-
-/**
- * @swagger
- * /api/v1/users/status:
- *   get:
- *     summary: Простая проверка статуса Users Service
- *     tags: [System]
- *     responses:
- *       200:
- *         description: Статус Users Service
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "Users Service is running"
- */
-
-/**
- * @swagger
- * /api/v1/orders/health:
- *   get:
- *     summary: Проверка состояния Orders Service
- *     tags: [System]
- *     responses:
- *       200:
- *         description: Информация о состоянии Orders Service
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "Orders Service is running"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- */
-
-/**
- * @swagger
- * /api/v1/orders/status:
- *   get:
- *     summary: Простая проверка статуса Orders Service
- *     tags: [System]
- *     responses:
- *       200:
- *         description: Статус Orders Service
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "Orders Service is running"
  */
\ No newline at end of file
@@ -1,4 +1,7 @@
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
+const { routesToOpenApi } = require('./route-table');
+const { ERROR_STATUS } = require('shared/api-errors');
 
 const PORT = process.env.PORT || 8000;
 
@@ -28,6 +31,60 @@ const swaggerOptions = {
                     bearerFormat: 'JWT'
                 }
             },
+            parameters: {
+                Cursor: {
+                    in: 'query',
+                    name: 'cursor',
+                    required: false,
+                    schema: { type: 'string' },
+                    description: 'Курсор из pagination.nextCursor / prevCursor. Пустое значение - первая страница в режиме курсора. Сортировка берется из курсора, фильтры нужно передавать повторно'
+                },
+                IdempotencyKey: {
+                    in: 'header',
+                    name: 'Idempotency-Key',
+                    required: false,
+                    schema: { type: 'string', maxLength: 255 },
+                    description: 'Уникальный ключ запроса. Повтор с тем же ключом и телом возвращает сохраненный ответ с заголовком Idempotent-Replayed: true'
+                }
+            },
+            responses: {
+                Unauthorized: {
+                    description: 'Не авторизован (AUTHENTICATION_REQUIRED, INVALID_TOKEN, TOKEN_REVOKED)',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                Forbidden: {
+                    description: 'Недостаточно прав (FORBIDDEN)',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                TooManyRequests: {
+                    description: 'Слишком много запросов (RATE_LIMITED)',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                IdempotencyKeyReused: {
+                    description: 'Idempotency-Key уже использован с другим телом запроса',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                IdempotencyInProgress: {
+                    description: 'Запрос с этим Idempotency-Key еще выполняется',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                ServiceUnavailable: {
+                    description: 'Сервис недоступен или circuit breaker открыт (код UPSTREAM_UNAVAILABLE или CIRCUIT_OPEN)',
+                    headers: { 'Retry-After': { $ref: '#/components/headers/RetryAfter' } },
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                GatewayTimeout: {
+                    description: 'Сервис не ответил вовремя (код UPSTREAM_TIMEOUT)',
+                    headers: { 'Retry-After': { $ref: '#/components/headers/RetryAfter' } },
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            headers: {
+                RetryAfter: {
+                    schema: { type: 'integer' },
+                    description: 'Через сколько секунд повторить запрос: до перехода circuit breaker в half-open или resetTimeout'
+                }
+            },
             schemas: {
                 User: {
                     type: 'object',
@@ -43,6 +100,7 @@ const swaggerOptions = {
                             },
                             description: 'Роли пользователя'
                         },
+                        emailVerified: { type: 'boolean', description: 'Email подтвержден; без подтверждения Customer не может создавать заказы' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' }
                     }
@@ -54,7 +112,7 @@ const swaggerOptions = {
                         userId: { type: 'string', description: 'ID пользователя' },
                         status: { 
                             type: 'string', 
-                            enum: ['pending', 'processing', 'completed', 'cancelled'],
+                            enum: ['created', 'in_progress', 'completed', 'cancelled'],
                             description: 'Статус заказа'
                         },
                         items: {
@@ -76,12 +134,32 @@ const swaggerOptions = {
                 },
                 Error: {
                     type: 'object',
+                    description: 'Единый формат ошибок шлюза и сервисов',
+                    required: ['success', 'error'],
                     properties: {
                         success: { type: 'boolean', example: false },
-                        error: { 
+                        error: {
                             type: 'object',
+                            required: ['code', 'message'],
                             properties: {
-                                message: { type: 'string', description: 'Сообщение об ошибке' }
+                                code: {
+                                    type: 'string',
+                                    enum: Object.keys(ERROR_STATUS),
+                                    description: 'Машиночитаемый код ошибки'
+                                },
+                                message: { type: 'string', description: 'Сообщение об ошибке' },
+                                details: {
+                                    type: 'array',
+                                    description: 'Ошибки отдельных полей (VALIDATION_FAILED)',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', example: 'email' },
+                                            message: { type: 'string', example: 'Invalid email format' }
+                                        }
+                                    }
+                                },
+                                traceId: { type: 'string', description: 'Идентификатор трассировки, совпадает с заголовком X-Trace-Id' }
                             }
                         }
                     }
@@ -112,8 +190,8 @@ const swaggerOptions = {
                         },
                         password: {
                             type: 'string',
-                            minLength: 6,
-                            description: 'Пароль (минимум 6 символов)'
+                            minLength: 8,
+                            description: 'Пароль: по умолчанию от 8 символов, минимум 3 класса символов (строчные, заглавные, цифры, прочие), не из списка распространенных паролей'
                         },
                         name: {
                             type: 'string',
@@ -153,10 +231,61 @@ const swaggerOptions = {
                     properties: {
                         status: {
                             type: 'string',
-                            enum: ['pending', 'processing', 'completed', 'cancelled'],
+                            enum: ['created', 'in_progress', 'completed', 'cancelled'],
                             description: 'Новый статус заказа'
                         }
                     }
+                },
+                Pagination: {
+                    type: 'object',
+                    properties: {
+                        page: { type: 'integer', nullable: true, description: 'Номер страницы; null в режиме курсора' },
+                        limit: { type: 'integer' },
+                        total: { type: 'integer' },
+                        totalPages: { type: 'integer' },
+                        nextCursor: { type: 'string', nullable: true, description: 'Курсор следующей страницы; null - страница последняя' },
+                        prevCursor: { type: 'string', nullable: true, description: 'Курсор предыдущей страницы; null - страница первая' }
+                    }
+                },
+                OrderHistoryEntry: {
+                    type: 'object',
+                    properties: {
+                        orderId: { type: 'integer', example: 1 },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        action: {
+                            type: 'string',
+                            enum: ['created', 'updated', 'status_changed', 'cancelled', 'deleted']
+                        },
+                        changedBy: { type: 'integer', nullable: true, description: 'ID пользователя, выполнившего действие' },
+                        fromStatus: { type: 'string', nullable: true },
+                        toStatus: { type: 'string', nullable: true },
+                        reason: { type: 'string', nullable: true, description: 'Причина отмены' },
+                        changes: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Измененные поля при редактировании'
+                        }
+                    }
+                },
+                TransitionError: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', example: false },
+                        error: {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string', enum: ['INVALID_STATUS_TRANSITION', 'FORBIDDEN'] },
+                                message: { type: 'string', example: "Cannot change order status from 'completed' to 'created'" },
+                                currentStatus: { type: 'string', example: 'completed' },
+                                allowedTransitions: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Статусы, в которые текущий пользователь может перевести заказ'
+                                },
+                                traceId: { type: 'string' }
+                            }
+                        }
+                    }
                 }
             }
         },
@@ -166,9 +295,17 @@ const swaggerOptions = {
             }
         ]
     },
-    apis: ['./swagger-docs.js']
+    // Собственные эндпоинты gateway; проксируемые маршруты описаны в таблице маршрутов
+    apis: [path.join(__dirname, 'swagger-docs.js')]
 };
 
-const specs = swaggerJsdoc(swaggerOptions);
+function createSpecs(routes) {
+    const specs = swaggerJsdoc(swaggerOptions);
+    specs.paths = {
+        ...routesToOpenApi(routes, { basePath: '/api/v1', components: specs.components }),
+        ...specs.paths
+    };
+    return specs;
+}
 
-module.exports = { specs, swaggerOptions };
\ No newline at end of file
+module.exports = { createSpecs, swaggerOptions };
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, ORDER_POLICIES, hasFullAccess, authorizeResource } = require('../access-policy');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const CUSTOMER = { id: 1, roles: [ROLES.CUSTOMER] };
+const OTHER_CUSTOMER = { id: 2, roles: [ROLES.CUSTOMER] };
+const ENGINEER = { id: 3, roles: [ROLES.ENGINEER] };
+const MANAGER = { id: 4, roles: [ROLES.MANAGER] };
+
+function orderResult(userId) {
+    return { status: 200, data: { success: true, data: { id: 10, userId } }, headers: {} };
+}
+
+// Вызывает middleware с поддельными req/res; результат — ответ клиенту или next
+async function authorize(policy, user, loadResult) {
+    const loads = [];
+    const req = { user, params: { orderId: '10' }, originalUrl: '/api/v1/orders/10' };
+    const response = { status: null, body: null, headers: {}, next: false, error: undefined };
+    const res = {
+        status(code) {
+            response.status = code;
+            return res;
+        },
+        json(body) {
+            response.body = body;
+            return res;
+        },
+        set(name, value) {
+            response.headers[name] = value;
+            return res;
+        }
+    };
+
+    const loadResource = async request => {
+        loads.push(request.params.orderId);
+        if (loadResult instanceof Error) {
+            throw loadResult;
+        }
+        return loadResult;
+    };
+
+    await authorizeResource(policy, loadResource, logger)(req, res, error => {
+        response.next = true;
+        response.error = error;
+    });
+
+    return { ...response, loads, resourceResult: req.resourceResult };
+}
+
+describe('order access policies', () => {
+    it('gives staff full access without loading the order', async () => {
+        const result = await authorize(ORDER_POLICIES.read, ENGINEER, orderResult(1));
+
+        assert.equal(result.next, true);
+        assert.deepEqual(result.loads, []);
+        assert.equal(hasFullAccess(MANAGER, ORDER_POLICIES.cancel), true);
+        assert.equal(hasFullAccess(ENGINEER, ORDER_POLICIES.cancel), false);
+    });
+
+    it('lets customers access their own orders and keeps the loaded response', async () => {
+        const loaded = orderResult(1);
+        const result = await authorize(ORDER_POLICIES.read, CUSTOMER, loaded);
+
+        assert.equal(result.next, true);
+        assert.equal(result.error, undefined);
+        assert.deepEqual(result.loads, ['10']);
+        assert.equal(result.resourceResult, loaded);
+    });
+
+    it('denies customers access to orders of other users', async () => {
+        const result = await authorize(ORDER_POLICIES.cancel, OTHER_CUSTOMER, orderResult(1));
+
+        assert.equal(result.next, false);
+        assert.equal(result.status, 403);
+        assert.deepEqual(result.body, { success: false, error: { code: 'FORBIDDEN', message: 'Access denied to this resource' } });
+    });
+
+    it('denies roles that are in neither list without loading the order', async () => {
+        const result = await authorize(ORDER_POLICIES.cancel, ENGINEER, orderResult(3));
+
+        assert.equal(result.status, 403);
+        assert.equal(result.body.error.code, 'FORBIDDEN');
+        assert.deepEqual(result.loads, []);
+    });
+
+    it('requires authentication', async () => {
+        const result = await authorize(ORDER_POLICIES.read, undefined, orderResult(1));
+
+        assert.equal(result.status, 401);
+        assert.equal(result.body.error.code, 'AUTHENTICATION_REQUIRED');
+    });
+
+    it('passes the response of the orders service through when the order cannot be loaded', async () => {
+        const notFound = { status: 404, data: { success: false, error: { message: 'Order not found' } } };
+        const result = await authorize(ORDER_POLICIES.read, CUSTOMER, notFound);
+
+        assert.equal(result.next, false);
+        assert.equal(result.status, 404);
+        assert.deepEqual(result.body, notFound.data);
+    });
+
+    it('passes Retry-After through when the orders service is unavailable', async () => {
+        const unavailable = {
+            status: 503,
+            data: { success: false, error: { code: 'CIRCUIT_OPEN', message: 'Orders service temporarily unavailable' } },
+            headers: { 'retry-after': '3' }
+        };
+        const result = await authorize(ORDER_POLICIES.read, CUSTOMER, unavailable);
+
+        assert.equal(result.status, 503);
+        assert.equal(result.headers['Retry-After'], '3');
+        assert.equal(result.body.error.code, 'CIRCUIT_OPEN');
+    });
+
+    it('answers UPSTREAM_UNAVAILABLE when the orders service returned no body', async () => {
+        const result = await authorize(ORDER_POLICIES.read, CUSTOMER, { status: 503, headers: {} });
+
+        assert.equal(result.status, 503);
+        assert.equal(result.body.error.code, 'UPSTREAM_UNAVAILABLE');
+    });
+
+    it('passes loading errors to the error handler without authorizing the request', async () => {
+        const result = await authorize(ORDER_POLICIES.read, CUSTOMER, new Error('socket hang up'));
+
+        assert.equal(result.error.message, 'socket hang up');
+        assert.equal(result.resourceResult, undefined);
+        assert.equal(result.status, null);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventPublisher, DomainEvent } = require('../domain-events');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('event publisher', () => {
+    it('handles its own events once even though the broker delivers them back', async () => {
+        const publisher = new EventPublisher(logger);
+        const received = [];
+
+        await publisher.connectMessageBroker({ type: 'memory' });
+        publisher.subscribe('user.updated', event => received.push(event.id));
+        await publisher.consumeFromMessageBroker(['user.updated'], { group: 'api-gateway' });
+
+        await publisher.publish(new DomainEvent('user.updated', { userId: 1 }, 1));
+
+        assert.equal(received.length, 1);
+        await publisher.disconnect();
+    });
+
+    it('skips duplicates and reports handler failures so the broker redelivers', async () => {
+        const publisher = new EventPublisher(logger);
+        const event = new DomainEvent('order.created', { orderId: 1 }, 1);
+        let calls = 0;
+
+        publisher.subscribe('order.created', () => {
+            calls++;
+            if (calls === 1) {
+                throw new Error('handler failed');
+            }
+        });
+
+        await assert.rejects(publisher.receive(event), /1 handler\(s\) failed/);
+        await publisher.receive(event);
+        await publisher.receive(event);
+
+        assert.equal(calls, 2);
+    });
+
+    it('retries the broker connection and then publishes to it', async () => {
+        const published = [];
+        let connects = 0;
+        const adapter = {
+            async connect() {
+                connects++;
+                if (connects < 3) {
+                    throw new Error('connect ECONNREFUSED');
+                }
+            },
+            async publish(message) {
+                published.push(message);
+                return '1';
+            },
+            async disconnect() {}
+        };
+        const publisher = new EventPublisher(logger);
+
+        await publisher.connectMessageBroker({ type: 'custom', adapter, retryDelayMs: 1 });
+        await publisher.publish(new DomainEvent('user.updated', { userId: 1 }, 1));
+
+        assert.equal(connects, 3);
+        assert.deepEqual(published.map(({ topic, key }) => ({ topic, key })), [{ topic: 'user.updated', key: '1' }]);
+    });
+
+    it('gives up after maxRetries', async () => {
+        const adapter = { async connect() { throw new Error('connect ECONNREFUSED'); }, async disconnect() {} };
+
+        await assert.rejects(
+            new EventPublisher(logger).connectMessageBroker({ type: 'custom', adapter, maxRetries: 1, retryDelayMs: 1 }),
+            /ECONNREFUSED/
+        );
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JwksKeyStore } = require('../jwks-key-store');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function signingKey(kid) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' } };
+}
+
+// Users Service с изменяемым набором ключей; считает обращения к JWKS
+function fakeJwks(...keys) {
+    const fetchJwks = async () => {
+        fetchJwks.calls += 1;
+        if (fetchJwks.failing) {
+            throw new Error('connect ECONNREFUSED');
+        }
+        return { keys: fetchJwks.keys.map(key => key.jwk) };
+    };
+    fetchJwks.calls = 0;
+    fetchJwks.keys = keys;
+    fetchJwks.failing = false;
+    return fetchJwks;
+}
+
+function sign(key, payload = { sub: '1' }) {
+    return jwt.sign(payload, key.privateKey, { algorithm: 'ES256', keyid: key.kid });
+}
+
+async function verify(store, token) {
+    const { header } = jwt.decode(token, { complete: true });
+    const key = await store.resolve(header.kid);
+    if (!key) {
+        throw new Error(`Unknown kid ${header.kid}`);
+    }
+    return jwt.verify(token, key.key, { algorithms: [key.alg] });
+}
+
+describe('JWKS key store', () => {
+    it('verifies tokens of every published key', async () => {
+        const previous = signingKey('2026-01-01');
+        const current = signingKey('2026-02-01');
+        const store = new JwksKeyStore(logger, fakeJwks(previous, current));
+        await store.sync();
+
+        assert.equal((await verify(store, sign(previous))).sub, '1');
+        assert.equal((await verify(store, sign(current))).sub, '1');
+        assert.deepEqual(store.stats.kids, ['2026-01-01', '2026-02-01']);
+    });
+
+    it('fetches the key set again for a kid published after the last sync', async () => {
+        const current = signingKey('2026-01-01');
+        const rotated = signingKey('2026-02-01');
+        const fetchJwks = fakeJwks(current);
+        const store = new JwksKeyStore(logger, fetchJwks, { minRefreshIntervalMs: 1 });
+        await store.sync();
+
+        fetchJwks.keys = [current, rotated];
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.equal((await verify(store, sign(rotated))).sub, '1');
+        assert.equal(fetchJwks.calls, 2);
+    });
+
+    it('fetches the key set again when a key was replaced under the same kid', async () => {
+        const replaced = signingKey('2026-01-01');
+        const fetchJwks = fakeJwks(signingKey('2026-01-01'));
+        const store = new JwksKeyStore(logger, fetchJwks, { minRefreshIntervalMs: 1 });
+        await store.sync();
+        const stale = store.get('2026-01-01');
+
+        fetchJwks.keys = [replaced];
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.equal(await store.resolve('2026-01-01'), stale);
+        const key = await store.resolve('2026-01-01', stale);
+        assert.notEqual(key, stale);
+        assert.equal(jwt.verify(sign(replaced), key.key, { algorithms: [key.alg] }).sub, '1');
+    });
+
+    it('rejects unknown kids and limits how often they trigger a fetch', async () => {
+        const fetchJwks = fakeJwks(signingKey('2026-01-01'));
+        const store = new JwksKeyStore(logger, fetchJwks, { minRefreshIntervalMs: 60000 });
+        await store.sync();
+
+        await assert.rejects(verify(store, sign(signingKey('unknown'))), /Unknown kid unknown/);
+        await assert.rejects(verify(store, sign(signingKey('unknown'))), /Unknown kid unknown/);
+        assert.equal(fetchJwks.calls, 1);
+    });
+
+    it('rejects a token signed by another key under a published kid', async () => {
+        const store = new JwksKeyStore(logger, fakeJwks(signingKey('2026-01-01')));
+        await store.sync();
+
+        await assert.rejects(verify(store, sign(signingKey('2026-01-01'))), /invalid signature/);
+    });
+
+    it('keeps the last key set when the users service is unavailable', async () => {
+        const key = signingKey('2026-01-01');
+        const fetchJwks = fakeJwks(key);
+        const store = new JwksKeyStore(logger, fetchJwks);
+        await store.sync();
+
+        fetchJwks.failing = true;
+        await store.sync();
+
+        assert.equal((await verify(store, sign(key))).sub, '1');
+    });
+
+    it('skips keys that are not signing keys or cannot be imported', async () => {
+        const key = signingKey('2026-01-01');
+        const store = new JwksKeyStore(logger, async () => ({
+            keys: [key.jwk, { ...key.jwk, kid: 'enc', use: 'enc' }, { kid: 'broken', alg: 'ES256', kty: 'EC' }]
+        }));
+        await store.sync();
+
+        assert.deepEqual(store.stats.kids, ['2026-01-01']);
+    });
+});
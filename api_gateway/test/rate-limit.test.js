@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { validateRateLimitPolicy, RedisRateLimitStore, RateLimiterFactory } = require('../rate-limit');
+
+const logger = { warn() {} };
+
+// Пользователь запроса передается в заголовке X-Test-User: { id, roles }
+function identify(req) {
+    const user = req.get('X-Test-User');
+    return user ? JSON.parse(user) : null;
+}
+
+describe('rate limiting', () => {
+    const rejections = [];
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const factory = new RateLimiterFactory(logger, { identify, onReject: (name, tier) => rejections.push(`${name}:${tier}`) });
+        const app = express();
+
+        app.get('/limited', factory.create('api', {
+            windowSeconds: 60,
+            limits: { anonymous: 1, default: 2, Manager: 3, Admin: 4 }
+        }), (req, res) => res.json({ ok: true }));
+
+        app.post('/login', factory.create('auth', {
+            windowSeconds: 60,
+            limits: { default: 1 },
+            skipSuccessfulRequests: true,
+            message: 'Too many login attempts'
+        }), (req, res) => res.status(req.query.fail ? 401 : 200).json({ ok: !req.query.fail }));
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    async function statuses(path, count, user = null, method = 'GET') {
+        const headers = user ? { 'X-Test-User': JSON.stringify(user) } : {};
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            result.push((await fetch(`${baseUrl}${path}`, { method, headers })).status);
+        }
+        return result;
+    }
+
+    it('limits anonymous requests by IP', async () => {
+        assert.deepEqual(await statuses('/limited', 2), [200, 429]);
+        assert.ok(rejections.includes('api:anonymous'));
+    });
+
+    it('counts each user separately from the IP and from other users', async () => {
+        assert.deepEqual(await statuses('/limited', 3, { id: 1, roles: ['Customer'] }), [200, 200, 429]);
+        assert.deepEqual(await statuses('/limited', 1, { id: 2, roles: ['Customer'] }), [200]);
+    });
+
+    it('gives users with several roles the largest limit', async () => {
+        assert.deepEqual(await statuses('/limited', 5, { id: 3, roles: ['Manager', 'Admin'] }), [200, 200, 200, 200, 429]);
+        assert.ok(rejections.includes('api:Admin'));
+    });
+
+    it('answers with the error envelope and rate limit headers', async () => {
+        const headers = { 'X-Test-User': JSON.stringify({ id: 4, roles: [] }) };
+        await fetch(`${baseUrl}/limited`, { headers });
+        await fetch(`${baseUrl}/limited`, { headers });
+        const response = await fetch(`${baseUrl}/limited`, { headers });
+
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('ratelimit-limit'), '2');
+        assert.equal((await response.json()).error.code, 'RATE_LIMITED');
+    });
+
+    it('counts only failed requests with skipSuccessfulRequests', async () => {
+        const user = { id: 5, roles: [] };
+
+        assert.deepEqual(await statuses('/login', 3, user, 'POST'), [200, 200, 200]);
+        assert.deepEqual(await statuses('/login?fail=1', 2, user, 'POST'), [401, 429]);
+    });
+});
+
+describe('rate limit policies', () => {
+    it('require a window and a default limit', () => {
+        assert.throws(() => validateRateLimitPolicy({ windowSeconds: 0, limits: { default: 1 } }, 'api'), /windowSeconds/);
+        assert.throws(() => validateRateLimitPolicy({ windowSeconds: 60, limits: { Admin: 1 } }, 'api'), /default limit/);
+        assert.throws(() => validateRateLimitPolicy({ windowSeconds: 60, limits: { default: -1 } }, 'api'), /non-negative/);
+    });
+});
+
+describe('Redis rate limit store', () => {
+    it('increments the prefixed key with the policy window', async () => {
+        const calls = [];
+        const client = {
+            eval: async (...args) => {
+                calls.push(args);
+                return [3, 1500];
+            }
+        };
+        const store = new RedisRateLimitStore(client, 'rate-limit:api:');
+        store.init({ windowMs: 60000 });
+
+        const before = Date.now();
+        const { totalHits, resetTime } = await store.increment('user:1');
+
+        assert.equal(totalHits, 3);
+        assert.deepEqual(calls[0].slice(1), [1, 'rate-limit:api:user:1', 60000]);
+        assert.ok(resetTime.getTime() >= before + 1500);
+    });
+});
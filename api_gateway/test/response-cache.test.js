@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { InMemoryCacheStore, ResponseCache, cacheKey } = require('../response-cache');
+const { EventPublisher, DomainEvent } = require('../domain-events');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+function createCache(store = new InMemoryCacheStore(), invalidations = []) {
+    return new ResponseCache(store, logger, { onInvalidate: (reason, removed) => invalidations.push({ reason, removed }) });
+}
+
+function loader(status = 200, data = { id: 1 }) {
+    const load = async () => {
+        load.calls++;
+        return { status, data, headers: {} };
+    };
+    load.calls = 0;
+    return load;
+}
+
+describe('response cache', () => {
+    it('serves the second request from the cache with the same ETag', async () => {
+        const cache = createCache();
+        const load = loader();
+
+        const first = await cache.fetch('order', { ttlSeconds: 60, tags: ['order/1'] }, load);
+        const second = await cache.fetch('order', { ttlSeconds: 60, tags: ['order/1'] }, load);
+
+        assert.equal(load.calls, 1);
+        assert.deepEqual([first.cache, second.cache], ['MISS', 'HIT']);
+        assert.equal(second.etag, first.etag);
+    });
+
+    it('does not cache errors and fallback responses', async () => {
+        const cache = createCache();
+        const failed = loader(503);
+        const fallback = async () => ({ status: 200, data: {}, headers: {}, fallback: true });
+
+        await cache.fetch('a', { ttlSeconds: 60, tags: [] }, failed);
+        await cache.fetch('a', { ttlSeconds: 60, tags: [] }, failed);
+        const result = await cache.fetch('b', { ttlSeconds: 60, tags: [] }, fallback);
+
+        assert.equal(failed.calls, 2);
+        assert.equal(result.cache, undefined);
+    });
+
+    it('removes every entry with an invalidated tag and keeps the rest', async () => {
+        const invalidations = [];
+        const cache = createCache(new InMemoryCacheStore(), invalidations);
+        const load = loader();
+
+        await cache.fetch('order 1 as customer', { ttlSeconds: 60, tags: ['order/1'] }, load);
+        await cache.fetch('order 1 as manager', { ttlSeconds: 60, tags: ['order/1'] }, load);
+        await cache.fetch('order 2', { ttlSeconds: 60, tags: ['order/2'] }, load);
+        await cache.invalidate(['order/1'], 'order.cancelled');
+
+        assert.equal((await cache.fetch('order 1 as customer', { ttlSeconds: 60, tags: ['order/1'] }, load)).cache, 'MISS');
+        assert.equal((await cache.fetch('order 1 as manager', { ttlSeconds: 60, tags: ['order/1'] }, load)).cache, 'MISS');
+        assert.equal((await cache.fetch('order 2', { ttlSeconds: 60, tags: ['order/2'] }, load)).cache, 'HIT');
+        assert.deepEqual(invalidations, [{ reason: 'order.cancelled', removed: 2 }]);
+    });
+
+    it('keys entries by upstream request headers', () => {
+        const customer = cacheKey('service_orders', { path: '/orders/1', headers: { 'X-User-Id': '1' } });
+        const manager = cacheKey('service_orders', { path: '/orders/1', headers: { 'X-User-Id': '3' } });
+
+        assert.notEqual(customer, manager);
+    });
+
+    it('treats store failures as misses', async () => {
+        const store = new InMemoryCacheStore();
+        store.get = async () => {
+            throw new Error('connection lost');
+        };
+        const load = loader();
+
+        const result = await createCache(store).fetch('order', { ttlSeconds: 60, tags: [] }, load);
+
+        assert.equal(result.status, 200);
+        assert.equal(load.calls, 1);
+    });
+});
+
+describe('in-memory cache store', () => {
+    it('expires entries after ttlSeconds', async () => {
+        const store = new InMemoryCacheStore();
+
+        await store.set('a', { status: 200 }, 0, ['order/1']);
+
+        assert.equal(await store.get('a'), null);
+        assert.equal(await store.invalidate(['order/1']), 0);
+    });
+
+    it('evicts the least recently used entry', async () => {
+        const store = new InMemoryCacheStore({ maxEntries: 2 });
+
+        await store.set('a', { status: 200 }, 60, []);
+        await store.set('b', { status: 200 }, 60, []);
+        await store.get('a');
+        await store.set('c', { status: 200 }, 60, []);
+
+        assert.notEqual(await store.get('a'), null);
+        assert.equal(await store.get('b'), null);
+    });
+});
+
+describe('invalidation from domain events', () => {
+    it('invalidates on events from the broker and on events published by this gateway', async () => {
+        const publisher = new EventPublisher(logger);
+        const cache = createCache();
+        const load = loader();
+        const invalidate = event => cache.invalidate([`order/${event.data.orderId}`], event.type);
+
+        await publisher.connectMessageBroker({ type: 'memory' });
+        publisher.subscribe('order.cancelled', invalidate);
+        await publisher.consumeFromMessageBroker(['order.cancelled'], { group: 'api-gateway' });
+        await publisher.consumeFromMessageBroker(['order.cancelled'], { group: 'api-gateway-cache-test', handler: invalidate });
+
+        await cache.fetch('order 1', { ttlSeconds: 60, tags: ['order/1'] }, load);
+        await publisher.messageBroker.publish({
+            topic: 'order.cancelled',
+            key: '1',
+            payload: new DomainEvent('order.cancelled', { orderId: 1 }, 1)
+        });
+        assert.equal((await cache.fetch('order 1', { ttlSeconds: 60, tags: ['order/1'] }, load)).cache, 'MISS');
+
+        await publisher.publish(new DomainEvent('order.cancelled', { orderId: 1 }, 1));
+        assert.equal((await cache.fetch('order 1', { ttlSeconds: 60, tags: ['order/1'] }, load)).cache, 'MISS');
+
+        await publisher.disconnect();
+    });
+});
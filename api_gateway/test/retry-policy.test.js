@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isRetryableRequest, RetryBudget, sendWithRetries } = require('../retry-policy');
+
+const POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 1,
+    maxDelayMs: 2,
+    retryOn: [502, 503, 504],
+    budgetRatio: 0.2,
+    minRetriesPerSecond: 5
+};
+
+// Upstream с экземплярами по кругу; handlers[baseUrl](signal) — ответ экземпляра
+function fakeUpstream(handlers, { retry = {}, hedging = { enabled: false, delayMs: 0 } } = {}) {
+    const instances = Object.keys(handlers);
+    let next = 0;
+
+    return {
+        retry: { ...POLICY, ...retry },
+        hedging,
+        request(fn) {
+            const baseUrl = instances[next++ % instances.length];
+            return fn(baseUrl);
+        }
+    };
+}
+
+function recorder() {
+    const events = { retries: [], hedges: [], exhausted: 0 };
+    return {
+        events,
+        options: budget => ({
+            budget,
+            onRetry: reason => events.retries.push(reason),
+            onHedge: result => events.hedges.push(result),
+            onBudgetExhausted: () => events.exhausted++
+        })
+    };
+}
+
+function connectionError(code) {
+    return Object.assign(new Error(code), { code });
+}
+
+describe('retry policy', () => {
+    it('retries only idempotent methods and requests with Idempotency-Key', () => {
+        assert.equal(isRetryableRequest('GET'), true);
+        assert.equal(isRetryableRequest('PUT'), true);
+        assert.equal(isRetryableRequest('POST'), false);
+        assert.equal(isRetryableRequest('POST', { 'idempotency-key': 'k1' }), true);
+    });
+
+    it('retries retryable statuses on the next instance up to maxAttempts', async () => {
+        const seen = [];
+        const upstream = fakeUpstream({ a: null, b: null, c: null, d: null });
+        const { events, options } = recorder();
+
+        const result = await sendWithRetries(upstream, { method: 'GET', headers: {} }, async baseUrl => {
+            seen.push(baseUrl);
+            return { status: 503 };
+        }, options(new RetryBudget()));
+
+        assert.deepEqual(result, { status: 503 });
+        assert.deepEqual(seen, ['a', 'b', 'c']);
+        assert.deepEqual(events.retries, ['status_503', 'status_503']);
+    });
+
+    it('returns the first successful response', async () => {
+        const responses = [connectionError('ECONNREFUSED'), { status: 200 }];
+        const { events, options } = recorder();
+
+        const result = await sendWithRetries(fakeUpstream({ a: null }), { method: 'GET', headers: {} }, async () => {
+            const response = responses.shift();
+            if (response instanceof Error) {
+                throw response;
+            }
+            return response;
+        }, options(new RetryBudget()));
+
+        assert.deepEqual(result, { status: 200 });
+        assert.deepEqual(events.retries, ['connection_error']);
+    });
+
+    it('does not retry POST without Idempotency-Key or unknown errors', async () => {
+        let calls = 0;
+        const { options } = recorder();
+        const send = async () => {
+            calls++;
+            return { status: 503 };
+        };
+
+        await sendWithRetries(fakeUpstream({ a: null }), { method: 'POST', headers: {} }, send, options(new RetryBudget()));
+        assert.equal(calls, 1);
+
+        await assert.rejects(
+            sendWithRetries(fakeUpstream({ a: null }), { method: 'GET', headers: {} }, async () => {
+                calls++;
+                throw new Error('bad response');
+            }, options(new RetryBudget())),
+            /bad response/
+        );
+        assert.equal(calls, 2);
+    });
+});
+
+describe('retry budget', () => {
+    it('allows budgetRatio of requests in the window', () => {
+        const budget = new RetryBudget();
+        const policy = { ...POLICY, minRetriesPerSecond: 0 };
+
+        for (let i = 0; i < 10; i++) {
+            budget.recordRequest();
+        }
+
+        assert.deepEqual([budget.tryAcquire(policy), budget.tryAcquire(policy), budget.tryAcquire(policy)], [true, true, false]);
+    });
+
+    it('always allows minRetriesPerSecond over the window', () => {
+        const budget = new RetryBudget(2);
+        const policy = { ...POLICY, minRetriesPerSecond: 1 };
+
+        assert.deepEqual([budget.tryAcquire(policy), budget.tryAcquire(policy), budget.tryAcquire(policy)], [true, true, false]);
+    });
+
+    it('stops retrying when the budget is exhausted', async () => {
+        let calls = 0;
+        const { events, options } = recorder();
+        const upstream = fakeUpstream({ a: null }, { retry: { budgetRatio: 0, minRetriesPerSecond: 0 } });
+
+        await sendWithRetries(upstream, { method: 'GET', headers: {} }, async () => {
+            calls++;
+            return { status: 503 };
+        }, options(new RetryBudget()));
+
+        assert.equal(calls, 1);
+        assert.equal(events.exhausted, 1);
+    });
+});
+
+describe('hedging', () => {
+    const hedging = { enabled: true, delayMs: 20 };
+
+    function delayed(ms, result) {
+        return signal => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve(result), ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(Object.assign(new Error('aborted'), { code: 'ERR_CANCELED' }));
+            });
+        });
+    }
+
+    it('sends a second request when the first is slow and cancels the loser', async () => {
+        const signals = [];
+        const handlers = { slow: delayed(500, { status: 200, from: 'slow' }), fast: delayed(5, { status: 200, from: 'fast' }) };
+        const { events, options } = recorder();
+
+        const result = await sendWithRetries(fakeUpstream(handlers, { hedging }), { method: 'GET', headers: {} }, (baseUrl, signal) => {
+            signals.push(signal);
+            return handlers[baseUrl](signal);
+        }, options(new RetryBudget()));
+
+        assert.equal(result.from, 'fast');
+        assert.deepEqual(events.hedges, ['won']);
+        assert.equal(signals[0].aborted, true);
+    });
+
+    it('does not hedge fast responses or non-GET requests', async () => {
+        let calls = 0;
+        const handlers = { a: delayed(1, { status: 200 }), b: delayed(1, { status: 200 }) };
+        const { events, options } = recorder();
+        const send = (baseUrl, signal) => {
+            calls++;
+            return handlers[baseUrl](signal || new AbortController().signal);
+        };
+
+        await sendWithRetries(fakeUpstream(handlers, { hedging }), { method: 'GET', headers: {} }, send, options(new RetryBudget()));
+        await sendWithRetries(fakeUpstream(handlers, { hedging }), { method: 'PUT', headers: {} }, send, options(new RetryBudget()));
+        await new Promise(resolve => setTimeout(resolve, hedging.delayMs * 2));
+
+        assert.equal(calls, 2);
+        assert.deepEqual(events.hedges, []);
+    });
+
+    it('does not hedge without retry budget', async () => {
+        const handlers = { slow: delayed(60, { status: 200, from: 'slow' }), fast: delayed(1, { status: 200, from: 'fast' }) };
+        const { events, options } = recorder();
+        const upstream = fakeUpstream(handlers, { hedging, retry: { budgetRatio: 0, minRetriesPerSecond: 0 } });
+
+        const result = await sendWithRetries(upstream, { method: 'GET', headers: {} }, (baseUrl, signal) => handlers[baseUrl](signal), options(new RetryBudget()));
+
+        assert.equal(result.from, 'slow');
+        assert.deepEqual(events.hedges, []);
+    });
+});
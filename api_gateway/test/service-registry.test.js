@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Upstream, ServiceRegistry } = require('../service-registry');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+// Экземпляр upstream, у которого можно переключать ответ health check
+function healthServer() {
+    const server = http.createServer((req, res) => {
+        res.statusCode = req.url === '/health' && server.healthy ? 200 : 503;
+        res.end();
+    });
+    server.healthy = true;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        server.url = `http://127.0.0.1:${server.address().port}`;
+        resolve(server);
+    }));
+}
+
+function upstream(instances, balancer = 'round_robin', healthCheck = {}) {
+    const result = new Upstream('service_orders', logger);
+    result.configure({ instances, balancer, healthCheck: { intervalMs: 0, ...healthCheck } });
+    return result;
+}
+
+describe('upstream balancing', () => {
+    it('spreads requests round robin', async () => {
+        const orders = upstream(['http://orders-1:8000', 'http://orders-2:8000/']);
+        const used = [];
+
+        for (let i = 0; i < 4; i++) {
+            await orders.request(async url => used.push(url));
+        }
+
+        assert.deepEqual(used, ['http://orders-1:8000', 'http://orders-2:8000', 'http://orders-1:8000', 'http://orders-2:8000']);
+    });
+
+    it('sends requests to the instance with the fewest active requests', async () => {
+        const orders = upstream(['http://orders-1:8000', 'http://orders-2:8000'], 'least_connections');
+        let release;
+        const slow = orders.request(() => new Promise(resolve => {
+            release = resolve;
+        }));
+        const used = [];
+
+        await orders.request(async url => used.push(url));
+        await orders.request(async url => used.push(url));
+        release();
+        await slow;
+
+        assert.deepEqual(used, ['http://orders-2:8000', 'http://orders-2:8000']);
+        assert.deepEqual(orders.stats.instances.map(instance => instance.activeRequests), [0, 0]);
+    });
+});
+
+describe('upstream health checks', () => {
+    let healthy;
+    let failing;
+
+    before(async () => {
+        healthy = await healthServer();
+        failing = await healthServer();
+    });
+
+    after(() => {
+        healthy.close();
+        failing.close();
+    });
+
+    it('ejects an instance after unhealthyThreshold failed checks and restores it', async () => {
+        const orders = upstream([healthy.url, failing.url], 'round_robin', { unhealthyThreshold: 2, healthyThreshold: 1 });
+        failing.healthy = false;
+
+        await orders.checkHealth();
+        assert.equal(orders.stats.instances[1].healthy, true);
+        await orders.checkHealth();
+        assert.deepEqual(orders.stats.instances.map(instance => instance.healthy), [true, false]);
+        assert.equal(orders.stats.instances[1].lastError, 'Health check responded with 503');
+
+        const used = [];
+        await orders.request(async url => used.push(url));
+        await orders.request(async url => used.push(url));
+        assert.deepEqual(used, [healthy.url, healthy.url]);
+
+        failing.healthy = true;
+        await orders.checkHealth();
+        assert.equal(orders.stats.instances[1].healthy, true);
+    });
+
+    it('fails fast when no instance is healthy', async () => {
+        const orders = upstream([failing.url], 'round_robin', { unhealthyThreshold: 1 });
+        failing.healthy = false;
+
+        await orders.checkHealth();
+
+        await assert.rejects(orders.request(async () => {}), /No healthy instances of service_orders/);
+    });
+});
+
+describe('service registry', () => {
+    const definitions = {
+        service_users: { envVar: 'USERS_SERVICE_URL', defaultUrl: 'http://localhost:8001', healthPath: '/users/health' },
+        service_orders: { envVar: 'ORDERS_SERVICE_URL', defaultUrl: 'http://localhost:8002' }
+    };
+
+    it('reads instances from the environment', () => {
+        const registry = new ServiceRegistry(definitions, logger, {
+            env: { USERS_SERVICE_URL: 'http://users-1:8000, http://users-2:8000', UPSTREAM_BALANCER: 'least_connections' }
+        }).init();
+
+        assert.equal(registry.stats.service_users.balancer, 'least_connections');
+        assert.deepEqual(registry.stats.service_users.instances.map(instance => instance.url), ['http://users-1:8000', 'http://users-2:8000']);
+        assert.equal(registry.upstream('service_orders').instances[0].url, 'http://localhost:8002');
+        assert.equal(registry.upstream('service_users').healthCheck.path, '/users/health');
+    });
+
+    it('applies the config file over the environment and keeps the previous config when it is invalid', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upstreams-'));
+        const configPath = path.join(dir, 'upstreams.json');
+        fs.writeFileSync(configPath, JSON.stringify({ service_orders: { instances: ['http://orders-1:8000'] } }));
+        const registry = new ServiceRegistry(definitions, logger, { env: {}, configPath }).init();
+
+        assert.equal(registry.upstream('service_orders').instances[0].url, 'http://orders-1:8000');
+
+        fs.writeFileSync(configPath, JSON.stringify({ service_orders: { instances: ['ftp://orders-1'] } }));
+        registry.reload();
+        assert.equal(registry.upstream('service_orders').instances[0].url, 'http://orders-1:8000');
+
+        fs.writeFileSync(configPath, JSON.stringify({ service_orders: { instances: ['http://orders-2:8000'], balancer: 'random' } }));
+        registry.reload();
+        assert.equal(registry.upstream('service_orders').instances[0].url, 'http://orders-1:8000');
+
+        fs.writeFileSync(configPath, '{}');
+        registry.reload();
+        assert.equal(registry.upstream('service_orders').instances[0].url, 'http://localhost:8002');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('rejects an unknown upstream name', () => {
+        const registry = new ServiceRegistry(definitions, logger, { env: {} }).init();
+
+        assert.throws(() => registry.upstream('service_billing'), /Unknown upstream: service_billing/);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { StaleResponseCache } = require('../stale-cache');
+const { createRouter } = require('../route-table');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const UNAVAILABLE = {
+    status: 503,
+    data: { success: false, error: { code: 'CIRCUIT_OPEN', message: 'Orders service temporarily unavailable' } },
+    headers: { 'retry-after': '3' },
+    fallback: true
+};
+
+describe('stale response cache', () => {
+    it('returns entries younger than maxAgeMs without upstream headers', () => {
+        const cache = new StaleResponseCache();
+        cache.set('order 1', { status: 200, data: { id: 1 }, headers: { etag: '"1"' } });
+
+        assert.deepEqual(cache.get('order 1', 60000), { result: { status: 200, data: { id: 1 }, headers: {} }, ageSeconds: 0 });
+        assert.equal(cache.get('order 2', 60000), null);
+    });
+
+    it('drops entries older than maxAgeMs', async () => {
+        const cache = new StaleResponseCache();
+        cache.set('order 1', { status: 200, data: { id: 1 } });
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.equal(cache.get('order 1', 1), null);
+        assert.equal(cache.size, 0);
+    });
+
+    it('evicts the least recently used entry', () => {
+        const cache = new StaleResponseCache({ maxEntries: 2 });
+        cache.set('a', { status: 200, data: 'a' });
+        cache.set('b', { status: 200, data: 'b' });
+        cache.get('a', 60000);
+        cache.set('c', { status: 200, data: 'c' });
+
+        assert.equal(cache.get('b', 60000), null);
+        assert.ok(cache.get('a', 60000));
+        assert.ok(cache.get('c', 60000));
+    });
+});
+
+describe('stale fallback of a route', () => {
+    let server;
+    let baseUrl;
+    const results = [];
+
+    before(async () => {
+        const app = express();
+        app.use((req, res, next) => {
+            req.user = { id: Number(req.get('X-Test-User')), roles: ['Customer'] };
+            next();
+        });
+        app.use(createRouter([{
+            method: 'GET',
+            path: '/orders/:orderId',
+            upstream: 'service_orders',
+            upstreamPath: '/orders/:orderId',
+            staleFallback: { maxAgeSeconds: 60 }
+        }], {
+            circuits: { service_orders: { fire: async () => results.shift() } },
+            hooks: {},
+            staleCache: new StaleResponseCache(),
+            logger
+        }));
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    function get(path, userId = 1) {
+        return fetch(`${baseUrl}${path}`, { headers: { 'X-Test-User': String(userId) } });
+    }
+
+    it('serves the last successful response while the service is unavailable', async () => {
+        results.push({ status: 200, data: { success: true, data: { id: 1 } }, headers: {} }, UNAVAILABLE);
+
+        await get('/orders/1');
+        const response = await get('/orders/1');
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-cache'), 'STALE');
+        assert.equal(response.headers.get('age'), '0');
+        assert.deepEqual(await response.json(), { success: true, data: { id: 1 } });
+    });
+
+    it('returns the fallback error with Retry-After when nothing was cached', async () => {
+        results.push(UNAVAILABLE);
+
+        const response = await get('/orders/2');
+
+        assert.equal(response.status, 503);
+        assert.equal(response.headers.get('retry-after'), '3');
+        assert.equal((await response.json()).error.code, 'CIRCUIT_OPEN');
+    });
+
+    it('does not serve responses cached for another user', async () => {
+        results.push({ status: 200, data: { success: true, data: { id: 3 } }, headers: {} }, UNAVAILABLE);
+
+        await get('/orders/3', 1);
+        const response = await get('/orders/3', 2);
+
+        assert.equal(response.status, 503);
+    });
+
+    it('does not cache error responses of the service', async () => {
+        results.push({ status: 404, data: { success: false }, headers: {} }, UNAVAILABLE);
+
+        await get('/orders/4');
+        const response = await get('/orders/4');
+
+        assert.equal(response.status, 503);
+    });
+});
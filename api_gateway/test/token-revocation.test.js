@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenRevocationList } = require('../token-revocation');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Users Service, отдающий ответы по очереди; запоминает переданные cursor
+function fakeRevocations(...responses) {
+    const fetchRevocations = async cursor => {
+        fetchRevocations.cursors.push(cursor);
+        const response = responses.shift();
+        if (response instanceof Error) {
+            throw response;
+        }
+        return response;
+    };
+    fetchRevocations.cursors = [];
+    return fetchRevocations;
+}
+
+const expiresAt = () => new Date(Date.now() + 60000).toISOString();
+
+describe('token revocation list', () => {
+    it('loads the full list first and then only changes after the cursor', async () => {
+        const fetchRevocations = fakeRevocations(
+            { full: true, tokens: [{ jti: 'jti-1', expiresAt: expiresAt() }], sessionVersions: [{ userId: 1, version: 2 }], cursor: 'epoch.2' },
+            { full: false, tokens: [{ jti: 'jti-2', expiresAt: expiresAt() }], sessionVersions: [{ userId: 2, version: 1 }], cursor: 'epoch.4' }
+        );
+        const list = new TokenRevocationList(logger, fetchRevocations);
+
+        await list.sync();
+        await list.sync();
+
+        assert.deepEqual(fetchRevocations.cursors, [null, 'epoch.2']);
+        assert.equal(list.isRevoked({ id: 3, jti: 'jti-1' }), true);
+        assert.equal(list.isRevoked({ id: 3, jti: 'jti-2' }), true);
+        assert.equal(list.isRevoked({ id: 1, sv: 1 }), true);
+        assert.equal(list.isRevoked({ id: 2, sv: 0 }), true);
+        assert.equal(list.isRevoked({ id: 2, sv: 1 }), false);
+    });
+
+    it('replaces session versions with a full list', async () => {
+        const list = new TokenRevocationList(logger, fakeRevocations(
+            { full: true, tokens: [], sessionVersions: [{ userId: 1, version: 3 }], cursor: 'old.3' },
+            { full: true, tokens: [], sessionVersions: [], cursor: 'new.0' }
+        ));
+
+        await list.sync();
+        await list.sync();
+
+        assert.equal(list.isRevoked({ id: 1, sv: 0 }), false);
+        assert.equal(list.cursor, 'new.0');
+    });
+
+    it('is not ready until a sync succeeds and shares one request between waiting callers', async () => {
+        const fetchRevocations = fakeRevocations(
+            new Error('connect ECONNREFUSED'),
+            { full: true, tokens: [], sessionVersions: [], cursor: 'epoch.0' }
+        );
+        const list = new TokenRevocationList(logger, fetchRevocations);
+
+        assert.equal(await list.ready(), false);
+        assert.deepEqual(await Promise.all([list.ready(), list.ready()]), [true, true]);
+        assert.equal(await list.ready(), true);
+        assert.equal(fetchRevocations.cursors.length, 2);
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createUserDetailsHandler } = require('../user-details');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+// Circuit breaker сервиса: ответы по пути запроса; недоступный сервис отдает ответ fallback
+function fakeCircuit() {
+    return {
+        calls: [],
+        responses: {},
+        down: false,
+        retryAfter: 30,
+        async fire(requestPath) {
+            this.calls.push(requestPath);
+            if (this.down) {
+                return {
+                    status: 503,
+                    data: { success: false, error: { code: 'UPSTREAM_UNAVAILABLE', message: 'Service temporarily unavailable' } },
+                    headers: { 'retry-after': String(this.retryAfter) },
+                    fallback: true
+                };
+            }
+            return this.responses[requestPath.split('?')[0]] || { status: 404, data: { success: false } };
+        }
+    };
+}
+
+describe('user details aggregation', () => {
+    let server;
+    let baseUrl;
+    let usersCircuit;
+    let ordersCircuit;
+
+    before(async () => {
+        const app = express();
+        app.get('/users/:userId/details', (req, res) => createUserDetailsHandler({
+            usersCircuit,
+            ordersCircuit,
+            logger
+        })(req, res));
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        usersCircuit = fakeCircuit();
+        ordersCircuit = fakeCircuit();
+        usersCircuit.responses['/users/1'] = { status: 200, data: { success: true, data: { id: 1, name: 'Ann' } } };
+        ordersCircuit.responses['/orders/user/1'] = {
+            status: 200,
+            data: { orders: [{ id: 10 }], pagination: { page: 2, limit: 1, total: 3 } }
+        };
+        ordersCircuit.responses['/orders/user/1/stats'] = { status: 200, data: { success: true, data: { totalOrders: 3 } } };
+    });
+
+    async function details(query = '') {
+        const response = await fetch(`${baseUrl}/users/1/details${query}`);
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    it('combines the user, a page of orders and stats', async () => {
+        const { status, body } = await details('?include=orders,stats&page=2&limit=1');
+
+        assert.equal(status, 200);
+        assert.equal(body.partial, false);
+        assert.deepEqual(body.data, {
+            user: { id: 1, name: 'Ann' },
+            orders: [{ id: 10 }],
+            ordersPagination: { page: 2, limit: 1, total: 3 },
+            stats: { totalOrders: 3 }
+        });
+        assert.deepEqual(ordersCircuit.calls.sort(), ['/orders/user/1/stats', '/orders/user/1?page=2&limit=1']);
+    });
+
+    it('fetches only orders by default', async () => {
+        const { body } = await details();
+
+        assert.deepEqual(Object.keys(body.data), ['user', 'orders', 'ordersPagination']);
+        assert.deepEqual(ordersCircuit.calls, ['/orders/user/1']);
+    });
+
+    it('passes the orders cursor through', async () => {
+        await details('?cursor=abc&limit=5');
+
+        assert.deepEqual(ordersCircuit.calls, ['/orders/user/1?limit=5&cursor=abc']);
+    });
+
+    it('returns the user with partial: true when the orders service is down', async () => {
+        ordersCircuit.down = true;
+
+        const { status, body } = await details('?include=orders,stats');
+
+        assert.equal(status, 200);
+        assert.equal(body.partial, true);
+        assert.deepEqual(body.unavailable, ['orders', 'stats']);
+        assert.deepEqual(body.data, { user: { id: 1, name: 'Ann' }, orders: null, stats: null });
+    });
+
+    it('returns orders without the user when the users service is down', async () => {
+        usersCircuit.down = true;
+
+        const { status, body } = await details();
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.unavailable, ['user']);
+        assert.equal(body.data.user, null);
+        assert.deepEqual(body.data.orders, [{ id: 10 }]);
+    });
+
+    it('answers 503 with the earliest Retry-After when nothing could be fetched', async () => {
+        usersCircuit.down = true;
+        ordersCircuit.down = true;
+        ordersCircuit.retryAfter = 5;
+
+        const { status, headers, body } = await details();
+
+        assert.equal(status, 503);
+        assert.equal(headers.get('retry-after'), '5');
+        assert.equal(body.error.code, 'UPSTREAM_UNAVAILABLE');
+    });
+
+    it('answers 404 for an unknown user', async () => {
+        const response = await fetch(`${baseUrl}/users/2/details`);
+
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).error.code, 'USER_NOT_FOUND');
+    });
+
+    it('rejects unknown includes', async () => {
+        const { status, body } = await details('?include=orders,payments');
+
+        assert.equal(status, 400);
+        assert.equal(body.error.code, 'VALIDATION_FAILED');
+        assert.equal(body.error.details[0].field, 'include');
+        assert.deepEqual(ordersCircuit.calls, []);
+    });
+});
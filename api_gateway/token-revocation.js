@@ -0,0 +1,134 @@
+// Локальная копия списка отозванных токенов, периодически синхронизируемая с Users Service.
+// Первая синхронизация загружает весь список, следующие — только изменения после cursor
+// из предыдущего ответа. Проверка в authenticateJWT не делает сетевых запросов; при недоступности
+// сервиса используется последняя полученная версия списка. Полный список (full) заменяет версии сессий:
+// Users Service — источник истины, и после потери его состояния версия пользователя может уменьшиться.
+class TokenRevocationList {
+    constructor(logger, fetchRevocations, options = {}) {
+        this.logger = logger;
+        this.fetchRevocations = fetchRevocations;
+        this.syncIntervalMs = options.syncIntervalMs || 10000;
+
+        this.revokedTokens = new Map();
+        this.sessionVersions = new Map();
+        this.localSessionVersions = new Map();
+        this.timer = null;
+        this.syncing = null;
+        this.cursor = null;
+        this.lastSyncAt = null;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.sync();
+        this.timer = setInterval(() => this.sync(), this.syncIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Параллельные вызовы ждут одну синхронизацию; true — список получен
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.fetchAndApply().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    // Пока список ни разу не загружен, отозванный токен не отличить от действующего:
+    // запрос ждет синхронизацию, false — список по-прежнему недоступен
+    async ready() {
+        return this.lastSyncAt !== null || this.sync();
+    }
+
+    async fetchAndApply() {
+        const startedAt = Date.now();
+
+        try {
+            const revocations = await this.fetchRevocations(this.cursor);
+            if (!revocations) {
+                return false;
+            }
+
+            for (const { jti, expiresAt } of revocations.tokens || []) {
+                this.revokeToken(jti, Date.parse(expiresAt));
+            }
+
+            const sessionVersions = revocations.full ? new Map() : new Map(this.sessionVersions);
+            for (const { userId, version } of revocations.sessionVersions || []) {
+                sessionVersions.set(String(userId), version);
+            }
+
+            // "Выход везде", выполненный через этот gateway во время запроса, в ответ мог не попасть
+            for (const [userId, { version, at }] of this.localSessionVersions) {
+                if (at < startedAt) {
+                    this.localSessionVersions.delete(userId);
+                } else if (version > (sessionVersions.get(userId) || 0)) {
+                    sessionVersions.set(userId, version);
+                }
+            }
+            this.sessionVersions = sessionVersions;
+            this.cursor = revocations.cursor || null;
+
+            this.prune();
+            this.lastSyncAt = new Date().toISOString();
+            return true;
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Failed to sync token revocation list');
+            return false;
+        }
+    }
+
+    revokeToken(jti, expiresAtMs) {
+        if (jti) {
+            this.revokedTokens.set(jti, expiresAtMs || Date.now());
+        }
+    }
+
+    // Немедленный отзыв до следующей синхронизации
+    revokeSessions(userId, version) {
+        const current = this.sessionVersions.get(String(userId)) || 0;
+        if (version > current) {
+            this.sessionVersions.set(String(userId), version);
+            this.localSessionVersions.set(String(userId), { version, at: Date.now() });
+        }
+    }
+
+    isRevoked(payload) {
+        if (payload.jti && this.revokedTokens.has(payload.jti)) {
+            return true;
+        }
+
+        const minVersion = this.sessionVersions.get(String(payload.id)) || 0;
+        return (payload.sv || 0) < minVersion;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [jti, expiresAt] of this.revokedTokens.entries()) {
+            if (expiresAt <= now) {
+                this.revokedTokens.delete(jti);
+            }
+        }
+    }
+
+    get stats() {
+        return {
+            revokedTokens: this.revokedTokens.size,
+            revokedSessions: this.sessionVersions.size,
+            lastSyncAt: this.lastSyncAt
+        };
+    }
+}
+
+module.exports = { TokenRevocationList };
@@ -0,0 +1,105 @@
+const { sendError } = require('shared/api-errors');
+
+const USER_DETAILS_INCLUDES = ['orders', 'stats'];
+
+// Ответ сервиса, пригодный для агрегации; fallback circuit breaker и ошибки дают null
+function settle(promise) {
+    return promise.then(result => result, () => null);
+}
+
+// Gateway Aggregation: Get user details with their orders and order statistics.
+// Если Orders Service недоступен, пользователь возвращается с orders/stats = null и partial: true
+function createUserDetailsHandler({ usersCircuit, ordersCircuit, logger }) {
+    return async (req, res) => {
+        const userId = req.params.userId;
+        const include = (typeof req.query.include === 'string' ? req.query.include : 'orders')
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean);
+
+        const unknownIncludes = include.filter(value => !USER_DETAILS_INCLUDES.includes(value));
+        if (unknownIncludes.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', 'Validation failed', {
+                details: [{
+                    field: 'include',
+                    message: `Unknown include: ${unknownIncludes.join(', ')}. Allowed: ${USER_DETAILS_INCLUDES.join(', ')}`
+                }]
+            });
+        }
+
+        const ordersQuery = new URLSearchParams();
+        if (req.query.page) ordersQuery.append('page', req.query.page);
+        if (req.query.limit) ordersQuery.append('limit', req.query.limit);
+        if (req.query.cursor) ordersQuery.append('cursor', req.query.cursor);
+        const ordersQueryString = ordersQuery.toString();
+
+        const [userResult, ordersResult, statsResult] = await Promise.all([
+            settle(usersCircuit.fire(`/users/${encodeURIComponent(userId)}`)),
+            include.includes('orders')
+                ? settle(ordersCircuit.fire(`/orders/user/${encodeURIComponent(userId)}${ordersQueryString ? '?' + ordersQueryString : ''}`))
+                : null,
+            include.includes('stats')
+                ? settle(ordersCircuit.fire(`/orders/user/${encodeURIComponent(userId)}/stats`))
+                : null
+        ]);
+
+        if (userResult && userResult.status === 404) {
+            return sendError(res, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        const isAvailable = result => Boolean(result) && result.status === 200;
+        const unavailable = [];
+        const data = { user: null };
+
+        if (isAvailable(userResult)) {
+            data.user = userResult.data.data;
+        } else {
+            unavailable.push('user');
+        }
+
+        if (include.includes('orders')) {
+            if (isAvailable(ordersResult)) {
+                data.orders = ordersResult.data.orders;
+                data.ordersPagination = ordersResult.data.pagination;
+            } else {
+                data.orders = null;
+                unavailable.push('orders');
+            }
+        }
+
+        if (include.includes('stats')) {
+            if (isAvailable(statsResult)) {
+                data.stats = statsResult.data.data;
+            } else {
+                data.stats = null;
+                unavailable.push('stats');
+            }
+        }
+
+        if (unavailable.length === include.length + 1) {
+            const retryAfter = [userResult, ordersResult, statsResult]
+                .map(result => Number(result && result.headers && result.headers['retry-after']))
+                .filter(Boolean);
+            if (retryAfter.length > 0) {
+                res.set('Retry-After', String(Math.min(...retryAfter)));
+            }
+            return sendError(res, 'UPSTREAM_UNAVAILABLE', 'Users and orders services are temporarily unavailable');
+        }
+
+        if (unavailable.length > 0) {
+            logger.warn({ userId, unavailable }, 'Returning partial user details');
+        }
+
+        res.json({
+            success: true,
+            partial: unavailable.length > 0,
+            unavailable,
+            data
+        });
+    };
+}
+
+module.exports = {
+    USER_DETAILS_INCLUDES,
+    createUserDetailsHandler
+};
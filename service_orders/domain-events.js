@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+const EVENT_TYPES = {
+    ORDER_CREATED: 'order.created',
+    ORDER_STATUS_UPDATED: 'order.status.updated',
+    ORDER_CANCELLED: 'order.cancelled'
+};
+
+// События создаются вместе с изменением заказа и записываются в outbox
+// тем же вызовом репозитория; доставку выполняет OutboxRelay.
+class DomainEvent {
+    constructor(type, data, aggregateId) {
+        this.id = crypto.randomUUID();
+        this.type = type;
+        this.data = data;
+        this.aggregateId = aggregateId;
+        this.timestamp = new Date().toISOString();
+        this.version = '1.0';
+    }
+}
+
+class OrderCreatedEvent extends DomainEvent {
+    constructor(order) {
+        super(EVENT_TYPES.ORDER_CREATED, {
+            orderId: order.id,
+            userId: order.userId,
+            items: order.items,
+            totalAmount: order.totalAmount,
+            status: order.status,
+            createdAt: order.createdAt
+        }, order.id);
+    }
+}
+
+class OrderStatusUpdatedEvent extends DomainEvent {
+    constructor(orderId, oldStatus, newStatus, updatedBy) {
+        super(EVENT_TYPES.ORDER_STATUS_UPDATED, {
+            orderId,
+            oldStatus,
+            newStatus,
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        }, orderId);
+    }
+}
+
+class OrderCancelledEvent extends DomainEvent {
+    constructor(orderId, reason, cancelledBy) {
+        super(EVENT_TYPES.ORDER_CANCELLED, {
+            orderId,
+            reason: reason || 'Cancelled by user request',
+            cancelledBy,
+            cancelledAt: new Date().toISOString()
+        }, orderId);
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    DomainEvent,
+    OrderCreatedEvent,
+    OrderStatusUpdatedEvent,
+    OrderCancelledEvent
+};
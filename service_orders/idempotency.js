@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { JsonLog } = require('shared/json-log');
+const { sendError } = require('shared/api-errors');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+function fingerprintRequest(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+// Хранилище ключей идемпотентности.
+// Запись { key, fingerprint, status, body, expiresAt } создается после завершения запроса;
+// пока запрос выполняется, ключ считается занятым и повтор с тем же ключом получает 409.
+// Ответы 5xx не сохраняются, чтобы клиент мог повторить запрос.
+class InMemoryIdempotencyStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+        this.records = new Map();
+        this.inFlight = new Set();
+        this.timer = null;
+    }
+
+    async init() {
+        this.timer = setInterval(() => this.prune(), Math.min(this.ttlMs, 60 * 60 * 1000));
+        this.timer.unref();
+    }
+
+    async find(key) {
+        const record = this.records.get(key);
+        if (record && record.expiresAt <= Date.now()) {
+            this.records.delete(key);
+            return null;
+        }
+        return record || null;
+    }
+
+    // false, если запрос с этим ключом уже выполняется
+    lock(key) {
+        if (this.inFlight.has(key)) {
+            return false;
+        }
+        this.inFlight.add(key);
+        return true;
+    }
+
+    release(key) {
+        this.inFlight.delete(key);
+    }
+
+    async save(key, { fingerprint, status, body }) {
+        const record = { key, fingerprint, status, body, expiresAt: Date.now() + this.ttlMs };
+        this.records.set(key, record);
+        this.inFlight.delete(key);
+        await this.persist({ op: 'idempotency', record });
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, record] of this.records) {
+            if (record.expiresAt <= now) {
+                this.records.delete(key);
+            }
+        }
+    }
+
+    async close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async persist() {}
+}
+
+// Просроченные ключи отбрасываются при сжатии журнала на старте
+class FileIdempotencyStore extends InMemoryIdempotencyStore {
+    constructor(filePath, options = {}) {
+        super(options);
+        this.log = new JsonLog(filePath);
+    }
+
+    async init() {
+        await this.log.load(entry => {
+            if (entry.op === 'idempotency') {
+                this.records.set(entry.record.key, entry.record);
+            }
+        });
+
+        this.prune();
+        await this.log.compact([], 0, Array.from(this.records.values()).map(record => ({ op: 'idempotency', record })));
+        await super.init();
+    }
+
+    persist(entry) {
+        return this.log.append(entry);
+    }
+}
+
+function createIdempotencyStore(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'memory';
+    const options = { ttlMs: parseInt(env.IDEMPOTENCY_KEY_TTL_MS, 10) || undefined };
+
+    switch (driver) {
+        case 'memory':
+            return new InMemoryIdempotencyStore(options);
+        case 'file':
+            return new FileIdempotencyStore(env.IDEMPOTENCY_STORAGE_PATH || './data/idempotency-keys.jsonl', options);
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+// Middleware для мутирующих маршрутов. Без заголовка Idempotency-Key запрос выполняется как обычно.
+// Ключ действует в пределах пользователя (X-User-Id) и маршрута; повтор с тем же ключом
+// и тем же телом получает сохраненный ответ, с другим телом — 422.
+function idempotent(store, logger) {
+    return async (req, res, next) => {
+        const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+        if (idempotencyKey === undefined) {
+            return next();
+        }
+
+        if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+            return sendError(res, 'INVALID_IDEMPOTENCY_KEY', `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`);
+        }
+
+        const key = `${req.get('X-User-Id') || '-'}:${req.method}:${req.route.path}:${idempotencyKey}`;
+        const fingerprint = fingerprintRequest(req);
+
+        try {
+            const record = await store.find(key);
+
+            if (record) {
+                if (record.fingerprint !== fingerprint) {
+                    return sendError(res, 'IDEMPOTENCY_KEY_REUSED', `${IDEMPOTENCY_HEADER} has already been used with a different request`);
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.status).json(record.body);
+            }
+
+            if (!store.lock(key)) {
+                return sendError(res, 'IDEMPOTENCY_REQUEST_IN_PROGRESS', `A request with this ${IDEMPOTENCY_HEADER} is already in progress`);
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode < 500) {
+                store.save(key, { fingerprint, status: res.statusCode, body })
+                    .catch(error => logger.error({ error: error.message }, 'Failed to save idempotency key'));
+            } else {
+                store.release(key);
+            }
+            return json(body);
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    InMemoryIdempotencyStore,
+    FileIdempotencyStore,
+    createIdempotencyStore,
+    idempotent
+};
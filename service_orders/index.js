@@ -1,22 +1,70 @@
 const express = require('express');
 const cors = require('cors');
 const { z } = require('zod');
+const pino = require('pino');
+const { createOrdersRepository } = require('./orders-repository');
+const { createBrokerAdapter } = require('shared/message-broker');
+const { OutboxRelay } = require('shared/outbox-relay');
+const { createIdempotencyStore, idempotent } = require('./idempotency');
+const { SPAN_KIND, createTracer } = require('shared/tracing');
+const { Metrics } = require('shared/metrics');
+const { decodeCursor, pageCursors } = require('shared/cursor-pagination');
+const { createServiceRegistry } = require('./service-registry');
+const { getActorId, getActor } = require('./request-actor');
+const { ApiError, sendError, asyncHandler, notFoundHandler, errorHandler } = require('shared/api-errors');
+const {
+    ORDER_STATUS,
+    INITIAL_STATUS,
+    checkTransition,
+    describeStateMachine
+} = require('./order-state-machine');
+const {
+    OrderCreatedEvent,
+    OrderStatusUpdatedEvent,
+    OrderCancelledEvent
+} = require('./domain-events');
+
+const logger = pino({
+    level: process.env.LOG_LEVEL || 'info'
+});
+
+const tracer = createTracer('service-orders', logger);
+const metrics = new Metrics('service-orders');
+
+// Экземпляры Users Service: USERS_SERVICE_URL (через запятую) или файл UPSTREAMS_CONFIG_PATH
+const serviceRegistry = createServiceRegistry({
+    service_users: {
+        envVar: 'USERS_SERVICE_URL',
+        defaultUrl: 'http://service_users:8000',
+        healthPath: '/users/health'
+    }
+}, logger);
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Message broker для outbox relay: none | memory | redis
+const MESSAGE_BROKER = process.env.MESSAGE_BROKER || 'memory';
+
+// Роли владельцев заказа, которым нужен подтвержденный email для создания заказа; пустая строка отключает проверку
+const VERIFIED_EMAIL_REQUIRED_ROLES = (process.env.VERIFIED_EMAIL_REQUIRED_ROLES !== undefined
+    ? process.env.VERIFIED_EMAIL_REQUIRED_ROLES
+    : 'Customer').split(',').map(role => role.trim()).filter(Boolean);
+
+// Секрет для вызовов других сервисов без пользователя (смена статуса без проверки ролей);
+// не задан — такие вызовы невозможны
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN || null;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-const ORDER_STATUS = {
-    CREATED: 'created',
-    IN_PROGRESS: 'in_progress', 
-    COMPLETED: 'completed',
-    CANCELLED: 'cancelled'
-};
+app.get('/metrics', metrics.handler());
+
+app.use(metrics.middleware());
+app.use(tracer.middleware({ logger }));
 
-const StatusEnum = z.enum(['created', 'in_progress', 'completed', 'cancelled']);
+const StatusEnum = z.enum(Object.values(ORDER_STATUS));
 
 const OrderItemSchema = z.object({
     productId: z.string().min(1, 'Product ID is required'),
@@ -29,7 +77,9 @@ const createOrderSchema = z.object({
     userId: z.number().int().positive('User ID must be a positive integer'),
     items: z.array(OrderItemSchema).min(1, 'Order must contain at least one item'),
     totalAmount: z.number().min(0, 'Total amount must be non-negative').optional(),
-    status: StatusEnum.default(ORDER_STATUS.CREATED)
+    status: StatusEnum
+        .refine(status => status === INITIAL_STATUS, `New orders must start in '${INITIAL_STATUS}' status`)
+        .default(INITIAL_STATUS)
 });
 
 const updateOrderSchema = z.object({
@@ -38,6 +88,61 @@ const updateOrderSchema = z.object({
     status: StatusEnum.optional()
 });
 
+const SORTABLE_FIELDS = ['id', 'userId', 'status', 'totalAmount', 'createdAt', 'updatedAt'];
+
+const listOrdersQuerySchema = z.object({
+    page: z.coerce.number().int().min(1, 'Page must be at least 1').default(1),
+    limit: z.coerce.number().int().min(1, 'Limit must be at least 1').max(100, 'Limit must not exceed 100').default(10),
+    sortBy: z.enum(SORTABLE_FIELDS).default('createdAt'),
+    sortOrder: z.enum(['asc', 'desc']).default('desc'),
+    cursor: z.string().optional(),
+    userId: z.coerce.number().int().positive('User ID must be a positive integer').optional(),
+    status: StatusEnum.optional(),
+    productId: z.string().min(1).optional(),
+    createdFrom: z.coerce.date().optional(),
+    createdTo: z.coerce.date().optional(),
+    minAmount: z.coerce.number().min(0, 'Amount must be non-negative').optional(),
+    maxAmount: z.coerce.number().min(0, 'Amount must be non-negative').optional()
+})
+    .refine(query => !query.createdFrom || !query.createdTo || query.createdFrom <= query.createdTo, {
+        message: 'createdFrom must not be later than createdTo',
+        path: ['createdFrom']
+    })
+    .refine(query => query.minAmount === undefined || query.maxAmount === undefined || query.minAmount <= query.maxAmount, {
+        message: 'minAmount must not exceed maxAmount',
+        path: ['minAmount']
+    });
+
+const listUserOrdersQuerySchema = z.object({
+    sortBy: z.enum(SORTABLE_FIELDS).default('createdAt'),
+    sortOrder: z.enum(['asc', 'desc']).default('desc'),
+    status: StatusEnum.optional(),
+    cursor: z.string().optional()
+});
+
+// Параметры list() для режима курсора; сортировка берется из курсора.
+// null — курсор поврежден или не подходит к списку
+function cursorListOptions(cursorParam, sortBy, sortOrder) {
+    if (!cursorParam) {
+        return { cursor: null, sortBy, sortOrder };
+    }
+
+    const decoded = decodeCursor(cursorParam);
+    if (!decoded || !SORTABLE_FIELDS.includes(decoded.sortBy)) {
+        return null;
+    }
+
+    return {
+        cursor: { value: decoded.value, id: decoded.id, direction: decoded.direction },
+        sortBy: decoded.sortBy,
+        sortOrder: decoded.sortOrder
+    };
+}
+
+function invalidCursor(res) {
+    return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+}
+
 function createOrderModel(orderData) {
     const now = new Date().toISOString();
     
@@ -49,10 +154,9 @@ function createOrderModel(orderData) {
     }
     
     return {
-        id: generateOrderId(),
         userId: orderData.userId,
         items: processedItems,
-        status: orderData.status || ORDER_STATUS.CREATED,
+        status: INITIAL_STATUS,
         totalAmount: totalAmount,
         createdAt: now,
         updatedAt: now
@@ -85,22 +189,145 @@ function processOrderItems(items) {
     }));
 }
 
-async function checkUserExists(userId) {
+// Владелец заказа из Users Service или null, если его нет. Без ответа сервиса заказ не создается
+// (проверки владельца нельзя пропустить) — UPSTREAM_UNAVAILABLE
+async function loadOrderOwner(userId) {
     try {
-        const response = await fetch(`http://service_users:8000/users/${userId}`);
-        return response.ok;
+        return await serviceRegistry.upstream('service_users').request(baseUrl => {
+            const url = `${baseUrl}/users/${userId}`;
+
+            return tracer.trace('GET service_users', {
+                kind: SPAN_KIND.CLIENT,
+                attributes: {
+                    'peer.service': 'service_users',
+                    'http.request.method': 'GET',
+                    'url.full': url
+                }
+            }, async span => {
+                const response = await fetch(url, { headers: tracer.injectHeaders() });
+                span.setAttribute('http.response.status_code', response.status);
+                if (response.status === 404) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`Users service responded with ${response.status}`);
+                }
+                return (await response.json()).data;
+            });
+        });
     } catch (error) {
-        console.error('Error checking user existence:', error);
-        return true;
+        logger.warn({ userId, error: error.message }, 'Failed to check order owner in users service');
+        throw new ApiError('UPSTREAM_UNAVAILABLE', 'Users service is unavailable, order owner cannot be checked');
     }
 }
 
-// Имитация базы данных в памяти (LocalStorage)
-let fakeOrdersDb = {};
-let currentId = 1;
+// Пользователи, созданные до подтверждения email, поля emailVerified не имеют и считаются подтвержденными
+function requiresEmailVerification(user) {
+    return user.emailVerified === false
+        && (user.roles || []).some(role => VERIFIED_EMAIL_REQUIRED_ROLES.includes(role));
+}
+
+const HISTORY_ACTIONS = {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    STATUS_CHANGED: 'status_changed',
+    CANCELLED: 'cancelled',
+    DELETED: 'deleted'
+};
 
-function generateOrderId() {
-    return currentId++;
+// Запись для истории заказа: какое действие и кто его выполнил
+function historyChange(req, action, details = {}) {
+    return { action, changedBy: getActorId(req), ...details };
+}
+
+// Поля заказа, значения которых отличаются после изменения
+function changedFields(before, after) {
+    return ['items', 'totalAmount', 'status']
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Событие и действие истории для смены статуса — одинаковые для PUT, /status и /cancel:
+// отмена всегда публикуется как OrderCancelledEvent
+function statusTransition(req, order, toStatus, reason = null) {
+    if (toStatus === ORDER_STATUS.CANCELLED) {
+        return {
+            event: new OrderCancelledEvent(order.id, reason, getActorId(req)),
+            action: HISTORY_ACTIONS.CANCELLED
+        };
+    }
+
+    return {
+        event: new OrderStatusUpdatedEvent(order.id, order.status, toStatus, getActorId(req)),
+        action: HISTORY_ACTIONS.STATUS_CHANGED
+    };
+}
+
+function rejectTransition(res, order, check) {
+    return sendError(res, check.code, check.error, {
+        status: check.status,
+        extra: {
+            currentStatus: order.status,
+            allowedTransitions: check.allowedTransitions
+        }
+    });
+}
+
+const ordersRepository = createOrdersRepository();
+const idempotencyStore = createIdempotencyStore();
+
+const domainEventsPublished = metrics.counter({
+    name: 'domain_events_published_total',
+    help: 'Domain events published to the message broker',
+    labelNames: ['type']
+});
+
+const domainEventsFailed = metrics.counter({
+    name: 'domain_events_failed_total',
+    help: 'Failed attempts to publish domain events',
+    labelNames: ['type']
+});
+
+metrics.gauge({
+    name: 'orders_by_status',
+    help: 'Number of orders by status',
+    labelNames: ['status'],
+    async collect() {
+        const counts = await ordersRepository.countByStatus();
+        for (const status of Object.values(ORDER_STATUS)) {
+            this.set({ status }, counts[status] || 0);
+        }
+    }
+});
+
+metrics.gauge({
+    name: 'outbox_pending_events',
+    help: 'Domain events waiting in the outbox for delivery',
+    async collect() {
+        this.set((await ordersRepository.pendingEvents(Infinity)).length);
+    }
+});
+
+const outboxRelay = MESSAGE_BROKER === 'none' ? null : new OutboxRelay(
+    ordersRepository,
+    createBrokerAdapter({
+        type: MESSAGE_BROKER,
+        url: process.env.REDIS_URL,
+        streamPrefix: process.env.BROKER_STREAM_PREFIX,
+        partitions: parseInt(process.env.BROKER_PARTITIONS, 10) || 1,
+        logger
+    }),
+    logger,
+    {
+        intervalMs: parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 1000,
+        onPublished: event => domainEventsPublished.inc({ type: event.type }),
+        onFailed: event => domainEventsFailed.inc({ type: event.type })
+    }
+);
+
+function notifyOutbox() {
+    if (outboxRelay) {
+        outboxRelay.poke();
+    }
 }
 
 // Routes
@@ -116,314 +343,360 @@ app.get('/orders/health', (req, res) => {
     });
 });
 
-app.get('/orders/:orderId', (req, res) => {
-    const orderId = req.params.orderId;
-    const order = fakeOrdersDb[orderId];
+app.get('/orders/state-machine', (req, res) => {
+    res.json({
+        success: true,
+        data: describeStateMachine()
+    });
+});
+
+app.get('/orders/:orderId', asyncHandler(async (req, res) => {
+    const order = await ordersRepository.findById(parseInt(req.params.orderId));
 
     if (!order) {
-        return res.status(404).json({
-            success: false,
-            error: 'Order not found'
-        });
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
     }
 
     res.json({
         success: true,
         data: order
     });
-});
-
-app.get('/orders', (req, res) => {
-    try {
-        let orders = Object.values(fakeOrdersDb);
+}));
+
+// История хранится и после удаления заказа
+app.get('/orders/:orderId/history', asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const [order, history] = await Promise.all([
+        ordersRepository.findById(orderId),
+        ordersRepository.findHistory(orderId)
+    ]);
+
+    if (!order && !history) {
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
+    }
 
-        if (req.query.userId) {
-            const userId = parseInt(req.query.userId);
-            orders = orders.filter(order => order.userId === userId);
+    res.json({
+        success: true,
+        data: {
+            orderId,
+            currentStatus: order ? order.status : null,
+            deleted: !order,
+            history: history || []
         }
+    });
+}));
+
+app.get('/orders', asyncHandler(async (req, res) => {
+    const {
+        page,
+        limit,
+        cursor: cursorParam,
+        sortBy: requestedSortBy,
+        sortOrder: requestedSortOrder,
+        ...filters
+    } = listOrdersQuerySchema.parse(req.query);
+
+    const listOptions = cursorListOptions(cursorParam, requestedSortBy, requestedSortOrder);
+    if (!listOptions) {
+        return invalidCursor(res);
+    }
+    const { cursor, sortBy, sortOrder } = listOptions;
+
+    const result = await ordersRepository.list({ filters, sortBy, sortOrder, page, limit, cursor });
+    const { items: orders, total } = result;
 
-        if (req.query.status) {
-            orders = orders.filter(order => order.status === req.query.status);
+    res.json({
+        success: true,
+        data: orders,
+        pagination: {
+            page: cursor ? null : page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            ...pageCursors(result, sortBy, sortOrder)
+        },
+        filters: {
+            userId: filters.userId || null,
+            status: filters.status || null,
+            productId: filters.productId || null,
+            createdFrom: filters.createdFrom ? filters.createdFrom.toISOString() : null,
+            createdTo: filters.createdTo ? filters.createdTo.toISOString() : null,
+            minAmount: filters.minAmount !== undefined ? filters.minAmount : null,
+            maxAmount: filters.maxAmount !== undefined ? filters.maxAmount : null
+        },
+        sorting: {
+            sortBy,
+            sortOrder
         }
+    });
+}));
 
-        orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+app.get('/orders/user/:userId', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const query = listUserOrdersQuerySchema.parse(req.query);
 
-        res.json({
-            success: true,
-            data: orders
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    const listOptions = cursorListOptions(query.cursor, query.sortBy, query.sortOrder);
+    if (!listOptions) {
+        return invalidCursor(res);
     }
-});
-
-app.get('/orders/user/:userId', (req, res) => {
-    try {
-        const userId = parseInt(req.params.userId);
-        let orders = Object.values(fakeOrdersDb).filter(order => order.userId === userId);
+    const { cursor, sortBy, sortOrder } = listOptions;
+
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const result = await ordersRepository.list({
+        filters: { userId, status: query.status },
+        sortBy,
+        sortOrder,
+        page: pageNum,
+        limit: limitNum,
+        cursor
+    });
+    const { items: paginatedOrders, total: totalOrders } = result;
+    const totalPages = Math.ceil(totalOrders / limitNum);
 
-        if (req.query.status) {
-            orders = orders.filter(order => order.status === req.query.status);
+    res.json({
+        success: true,
+        orders: paginatedOrders,
+        pagination: {
+            page: cursor ? null : pageNum,
+            limit: limitNum,
+            total: totalOrders,
+            totalPages,
+            ...pageCursors(result, sortBy, sortOrder)
+        },
+        filters: {
+            status: query.status || null
+        },
+        sorting: {
+            sortBy,
+            sortOrder
+        }
+    });
+}));
+
+// Статистика заказов пользователя; отмененные заказы не входят в сумму покупок
+app.get('/orders/user/:userId/stats', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const summary = await ordersRepository.userSummary(userId);
+
+    const byStatus = {};
+    let lifetimeSpend = 0;
+    for (const status of Object.values(ORDER_STATUS)) {
+        byStatus[status] = summary.byStatus[status] || 0;
+        if (status !== ORDER_STATUS.CANCELLED) {
+            lifetimeSpend += summary.amountByStatus[status] || 0;
         }
+    }
 
-        const sortBy = req.query.sortBy || 'createdAt';
-        const sortOrder = req.query.sortOrder || 'desc';
-        
-        orders.sort((a, b) => {
-            let valueA = a[sortBy];
-            let valueB = b[sortBy];
-            
-            if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
-                valueA = new Date(valueA);
-                valueB = new Date(valueB);
-            }
-            
-            if (sortOrder === 'asc') {
-                return valueA > valueB ? 1 : valueA < valueB ? -1 : 0;
-            } else {
-                return valueA < valueB ? 1 : valueA > valueB ? -1 : 0;
-            }
-        });
+    const billableOrders = summary.totalOrders - byStatus[ORDER_STATUS.CANCELLED];
 
-        const pageNum = Math.max(1, parseInt(req.query.page) || 1);
-        const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
-        const startIndex = (pageNum - 1) * limitNum;
-        const endIndex = startIndex + limitNum;
-
-        const totalOrders = orders.length;
-        const totalPages = Math.ceil(totalOrders / limitNum);
-        const paginatedOrders = orders.slice(startIndex, endIndex);
-
-        res.json({
-            success: true,
-            orders: paginatedOrders,
-            pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total: totalOrders,
-                totalPages
-            },
-            filters: {
-                status: req.query.status || null
-            },
-            sorting: {
-                sortBy,
-                sortOrder
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    res.json({
+        success: true,
+        data: {
+            userId,
+            totalOrders: summary.totalOrders,
+            byStatus,
+            lifetimeSpend,
+            averageOrderValue: billableOrders > 0 ? lifetimeSpend / billableOrders : 0,
+            firstOrderAt: summary.firstOrderAt,
+            lastOrderAt: summary.lastOrderAt
+        }
+    });
+}));
+
+app.post('/orders', idempotent(idempotencyStore, logger), asyncHandler(async (req, res) => {
+    const orderData = createOrderSchema.parse(req.body);
+    
+    const owner = await loadOrderOwner(orderData.userId);
+    if (!owner) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
-});
+    if (requiresEmailVerification(owner)) {
+        return sendError(res, 'EMAIL_NOT_VERIFIED', 'Email must be verified before creating orders');
+    }
+    
+    const newOrder = await ordersRepository.create(
+        createOrderModel(orderData),
+        order => [new OrderCreatedEvent(order)],
+        historyChange(req, HISTORY_ACTIONS.CREATED, { fromStatus: null, toStatus: INITIAL_STATUS })
+    );
+    notifyOutbox();
+    
+    res.status(201).json({
+        success: true,
+        data: newOrder
+    });
+}));
 
-app.post('/orders', async (req, res) => {
-    try {
-        const validation = createOrderSchema.safeParse(req.body);
-        
-        if (!validation.success) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Validation failed', 
-                errors: validation.error.errors.map(err => ({
-                    field: err.path.join('.'),
-                    message: err.message
-                }))
-            });
-        }
+app.put('/orders/:orderId', asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const existingOrder = await ordersRepository.findById(orderId);
 
-        const orderData = validation.data;
-        
-        const userExists = await checkUserExists(orderData.userId);
-        if (!userExists) {
-            return res.status(404).json({
-                success: false,
-                error: 'User not found'
-            });
-        }
-        
-        const newOrder = createOrderModel(orderData);
-        
-        fakeOrdersDb[newOrder.id] = newOrder;
-        
-        res.status(201).json({
-            success: true,
-            data: newOrder
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    if (!existingOrder) {
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
     }
-});
 
-app.put('/orders/:orderId', (req, res) => {
-    try {
-        const orderId = req.params.orderId;
-        const existingOrder = fakeOrdersDb[orderId];
+    const updateData = updateOrderSchema.parse(req.body);
 
-        if (!existingOrder) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
+    if (updateData.status && updateData.status !== existingOrder.status) {
+        const check = checkTransition(existingOrder, updateData.status, getActor(req, INTERNAL_SERVICE_TOKEN));
+        if (!check.ok) {
+            return rejectTransition(res, existingOrder, check);
         }
+    }
 
-        const validation = updateOrderSchema.safeParse(req.body);
-        
-        if (!validation.success) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Validation failed', 
-                errors: validation.error.errors.map(err => ({
-                    field: err.path.join('.'),
-                    message: err.message
-                }))
-            });
-        }
+    // Смена статуса через PUT попадает в историю как cancelled / status_changed, как и через /cancel и /status
+    const transition = updateData.status && updateData.status !== existingOrder.status
+        ? statusTransition(req, existingOrder, updateData.status)
+        : null;
+    const events = transition ? [transition.event] : [];
+
+    const orderUpdate = updateOrderModel(existingOrder, updateData);
+    const changes = changedFields(existingOrder, orderUpdate);
+    const change = changes.length === 0 ? null : historyChange(req, transition ? transition.action : HISTORY_ACTIONS.UPDATED, {
+        fromStatus: existingOrder.status,
+        toStatus: orderUpdate.status,
+        changes
+    });
 
-        const updateData = validation.data;
-        const updatedOrder = updateOrderModel(existingOrder, updateData);
-        
-        fakeOrdersDb[orderId] = updatedOrder;
-        
-        res.json({
-            success: true,
-            data: updatedOrder
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    const updatedOrder = await ordersRepository.update(orderId, orderUpdate, events, change);
+    notifyOutbox();
+    
+    res.json({
+        success: true,
+        data: updatedOrder
+    });
+}));
+
+app.delete('/orders/:orderId', asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const order = await ordersRepository.findById(orderId);
+    const deletedOrder = order && await ordersRepository.delete(orderId, historyChange(req, HISTORY_ACTIONS.DELETED, {
+        fromStatus: order.status,
+        toStatus: null
+    }));
+
+    if (!deletedOrder) {
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
     }
-});
 
-app.delete('/orders/:orderId', (req, res) => {
-    try {
-        const orderId = req.params.orderId;
+    res.json({
+        success: true,
+        message: 'Order deleted successfully',
+        data: deletedOrder
+    });
+}));
 
-        if (!fakeOrdersDb[orderId]) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
+app.patch('/orders/:orderId/status', idempotent(idempotencyStore, logger), asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const order = await ordersRepository.findById(orderId);
 
-        const deletedOrder = fakeOrdersDb[orderId];
-        delete fakeOrdersDb[orderId];
+    if (!order) {
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
+    }
 
-        res.json({
-            success: true,
-            message: 'Order deleted successfully',
-            data: deletedOrder
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
+    const { status } = req.body;
+    
+    const validStatuses = Object.values(ORDER_STATUS);
+    if (!status || !validStatuses.includes(status)) {
+        return sendError(res, 'VALIDATION_FAILED', 'Validation failed', {
+            details: [{ field: 'status', message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` }]
         });
     }
-});
 
-app.patch('/orders/:orderId/status', (req, res) => {
-    try {
-        const orderId = req.params.orderId;
-        const order = fakeOrdersDb[orderId];
+    const check = checkTransition(order, status, getActor(req, INTERNAL_SERVICE_TOKEN));
+    if (!check.ok) {
+        return rejectTransition(res, order, check);
+    }
 
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
+    const { event, action } = statusTransition(req, order, status);
+    const updatedOrder = await ordersRepository.update(orderId, {
+        ...order,
+        status: status,
+        updatedAt: new Date().toISOString()
+    }, [event], historyChange(req, action, {
+        fromStatus: order.status,
+        toStatus: status
+    }));
+    notifyOutbox();
+    
+    res.json({
+        success: true,
+        data: updatedOrder,
+        message: `Order status updated to '${status}'`
+    });
+}));
 
-        const { status } = req.body;
-        
-        const validStatuses = ['created', 'in_progress', 'completed', 'cancelled'];
-        if (!status || !validStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-            });
-        }
+app.patch('/orders/:orderId/cancel', idempotent(idempotencyStore, logger), asyncHandler(async (req, res) => {
+    const orderId = parseInt(req.params.orderId);
+    const order = await ordersRepository.findById(orderId);
 
-        // Update order status
-        const updatedOrder = {
-            ...order,
-            status: status,
-            updatedAt: new Date().toISOString()
-        };
-        
-        fakeOrdersDb[orderId] = updatedOrder;
-        
-        res.json({
-            success: true,
-            data: updatedOrder,
-            message: `Order status updated to '${status}'`
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    if (!order) {
+        return sendError(res, 'ORDER_NOT_FOUND', 'Order not found');
     }
-});
 
-app.patch('/orders/:orderId/cancel', (req, res) => {
-    try {
-        const orderId = req.params.orderId;
-        const order = fakeOrdersDb[orderId];
+    const check = checkTransition(order, ORDER_STATUS.CANCELLED, getActor(req, INTERNAL_SERVICE_TOKEN));
+    if (!check.ok) {
+        return rejectTransition(res, order, check);
+    }
 
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
+    const reason = req.body && req.body.reason;
+    const { event, action } = statusTransition(req, order, ORDER_STATUS.CANCELLED, reason);
+    const cancelledOrder = await ordersRepository.update(orderId, {
+        ...order,
+        status: ORDER_STATUS.CANCELLED,
+        updatedAt: new Date().toISOString()
+    }, [event], historyChange(req, action, {
+        fromStatus: order.status,
+        toStatus: ORDER_STATUS.CANCELLED,
+        reason: reason || null
+    }));
+    notifyOutbox();
+    
+    res.json({
+        success: true,
+        data: cancelledOrder,
+        message: 'Order has been cancelled successfully'
+    });
+}));
 
-        if (order.status === 'cancelled') {
-            return res.status(400).json({
-                success: false,
-                error: 'Order is already cancelled'
-            });
-        }
+app.use(notFoundHandler);
+app.use(errorHandler(logger));
 
-        if (order.status === 'completed') {
-            return res.status(400).json({
-                success: false,
-                error: 'Cannot cancel completed order'
-            });
-        }
+// Start server
+let server;
 
-        const cancelledOrder = {
-            ...order,
-            status: ORDER_STATUS.CANCELLED,
-            updatedAt: new Date().toISOString()
-        };
-        
-        fakeOrdersDb[orderId] = cancelledOrder;
-        
-        res.json({
-            success: true,
-            data: cancelledOrder,
-            message: 'Order has been cancelled successfully'
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
+Promise.all([ordersRepository.init(), idempotencyStore.init()])
+    .then(() => {
+        server = app.listen(PORT, () => {
+            logger.info(`Orders service running on port ${PORT}`);
         });
+        serviceRegistry.start();
+
+        if (outboxRelay) {
+            outboxRelay.start().catch(error => logger.error({ error: error.message }, 'Outbox relay failed to start'));
+        }
+    })
+    .catch(error => {
+        logger.fatal({ error: error.message }, 'Failed to initialize orders storage');
+        process.exit(1);
+    });
+
+async function shutdown(signal) {
+    logger.info(`${signal} received, shutting down`);
+    if (server) {
+        server.close();
     }
-});
+    if (outboxRelay) {
+        await outboxRelay.stop();
+    }
+    serviceRegistry.stop();
+    await idempotencyStore.close();
+    await tracer.shutdown();
+    process.exit(0);
+}
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Orders service running on port ${PORT}`);
-});
\ No newline at end of file
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGHUP', () => serviceRegistry.reload());
\ No newline at end of file
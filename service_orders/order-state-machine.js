@@ -0,0 +1,114 @@
+const ORDER_STATUS = {
+    CREATED: 'created',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const STAFF_ROLES = ['Engineer', 'Manager', 'Admin'];
+const CANCEL_ROLES = ['Manager', 'Admin'];
+const OWNER_ROLES = ['Customer'];
+
+// Guard возвращает текст ошибки, если переход запрещен для конкретного заказа, иначе null
+const GUARDS = {
+    hasItems: {
+        description: 'Order must contain at least one item',
+        check: order => (order.items && order.items.length > 0 ? null : 'Order must contain at least one item')
+    }
+};
+
+// Единственный источник допустимых переходов для /status, /cancel и PUT /orders/:orderId.
+// ownerRoles — роли, которым переход доступен только для собственных заказов
+const TRANSITIONS = [
+    { from: ORDER_STATUS.CREATED, to: ORDER_STATUS.IN_PROGRESS, roles: STAFF_ROLES, ownerRoles: [], guards: ['hasItems'] },
+    { from: ORDER_STATUS.CREATED, to: ORDER_STATUS.CANCELLED, roles: CANCEL_ROLES, ownerRoles: OWNER_ROLES, guards: [] },
+    { from: ORDER_STATUS.IN_PROGRESS, to: ORDER_STATUS.COMPLETED, roles: STAFF_ROLES, ownerRoles: [], guards: ['hasItems'] },
+    { from: ORDER_STATUS.IN_PROGRESS, to: ORDER_STATUS.CANCELLED, roles: CANCEL_ROLES, ownerRoles: [], guards: [] }
+];
+
+const INITIAL_STATUS = ORDER_STATUS.CREATED;
+
+function findTransition(from, to) {
+    return TRANSITIONS.find(transition => transition.from === from && transition.to === to) || null;
+}
+
+// actor — { id, roles } пользователя из API Gateway; null означает доверенный внутренний вызов без проверки ролей
+function canTrigger(transition, order, actor) {
+    if (actor === null) {
+        return true;
+    }
+
+    const hasRole = roles => roles.some(role => actor.roles.includes(role));
+    return hasRole(transition.roles) || (hasRole(transition.ownerRoles) && order.userId === actor.id);
+}
+
+function allowedTransitions(order, actor = null) {
+    return TRANSITIONS
+        .filter(transition => transition.from === order.status && canTrigger(transition, order, actor))
+        .map(transition => transition.to);
+}
+
+// Возвращает { ok: true } или { ok: false, status, code, error, allowedTransitions }
+function checkTransition(order, to, actor = null) {
+    const transition = findTransition(order.status, to);
+
+    if (!transition) {
+        return {
+            ok: false,
+            status: 409,
+            code: 'INVALID_STATUS_TRANSITION',
+            error: `Cannot change order status from '${order.status}' to '${to}'`,
+            allowedTransitions: allowedTransitions(order, actor)
+        };
+    }
+
+    if (!canTrigger(transition, order, actor)) {
+        return {
+            ok: false,
+            status: 403,
+            code: 'FORBIDDEN',
+            error: `Changing order status from '${order.status}' to '${to}' requires one of roles: ${transition.roles.join(', ')}`,
+            allowedTransitions: allowedTransitions(order, actor)
+        };
+    }
+
+    for (const guardName of transition.guards) {
+        const guardError = GUARDS[guardName].check(order);
+        if (guardError) {
+            return {
+                ok: false,
+                status: 409,
+                code: 'INVALID_STATUS_TRANSITION',
+                error: guardError,
+                allowedTransitions: allowedTransitions(order, actor)
+            };
+        }
+    }
+
+    return { ok: true };
+}
+
+function describeStateMachine() {
+    const statuses = Object.values(ORDER_STATUS);
+
+    return {
+        initial: INITIAL_STATUS,
+        states: statuses,
+        terminal: statuses.filter(status => !TRANSITIONS.some(transition => transition.from === status)),
+        transitions: TRANSITIONS.map(transition => ({
+            from: transition.from,
+            to: transition.to,
+            roles: transition.roles,
+            ownerRoles: transition.ownerRoles,
+            guards: transition.guards.map(name => ({ name, description: GUARDS[name].description }))
+        }))
+    };
+}
+
+module.exports = {
+    ORDER_STATUS,
+    INITIAL_STATUS,
+    allowedTransitions,
+    checkTransition,
+    describeStateMachine
+};
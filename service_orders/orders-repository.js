@@ -0,0 +1,326 @@
+const { JsonLog } = require('shared/json-log');
+const { paginate } = require('shared/cursor-pagination');
+
+function compareOrders(sortBy, sortOrder) {
+    return (a, b) => {
+        let valueA = a[sortBy];
+        let valueB = b[sortBy];
+
+        if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
+            valueA = new Date(valueA).getTime();
+            valueB = new Date(valueB).getTime();
+        }
+
+        let result = valueA > valueB ? 1 : valueA < valueB ? -1 : 0;
+
+        // При равных значениях порядок определяется id, чтобы страницы не пересекались
+        if (result === 0) {
+            result = a.id - b.id;
+        }
+
+        return sortOrder === 'asc' ? result : -result;
+    };
+}
+
+// Изменения заказа, порождённые ими доменные события (outbox) и запись в истории заказа
+// сохраняются одной операцией: либо записывается всё, либо ничего.
+// Состояние в памяти меняется только после успешной записи в журнал (commit).
+// change — описание изменения для истории: { action, fromStatus, toStatus, changedBy, reason, changes }.
+// История удалённого заказа сохраняется для аудита.
+// Число заказов по статусам и сводки по пользователям обновляются при каждой записи,
+// поэтому метрики и статистика пользователя не перебирают все заказы.
+class InMemoryOrdersRepository {
+    constructor() {
+        this.orders = new Map();
+        this.outbox = new Map();
+        this.history = new Map();
+        this.statusCounts = new Map();
+        this.userOrderIds = new Map();
+        this.userSummaries = new Map();
+        this.currentId = 1;
+    }
+
+    async init() {}
+
+    async findById(id) {
+        return this.orders.get(id) || null;
+    }
+
+    // id назначается репозиторием, поэтому события строятся по уже созданному заказу
+    async create(orderData, eventsFor = () => [], change = null) {
+        const order = { id: this.currentId++, ...orderData };
+
+        await this.commit([
+            { op: 'put', id: order.id, record: order },
+            ...this.outboxEntries(eventsFor(order)),
+            ...this.historyEntries(order.id, change)
+        ]);
+        return order;
+    }
+
+    async update(id, order, events = [], change = null) {
+        if (!this.orders.has(id)) {
+            return null;
+        }
+
+        const updatedOrder = { ...order, id };
+
+        await this.commit([
+            { op: 'put', id, record: updatedOrder },
+            ...this.outboxEntries(events),
+            ...this.historyEntries(id, change)
+        ]);
+        return updatedOrder;
+    }
+
+    async delete(id, change = null) {
+        const order = this.orders.get(id);
+        if (!order) {
+            return null;
+        }
+
+        await this.commit([{ op: 'delete', id }, ...this.historyEntries(id, change)]);
+        return order;
+    }
+
+    // История изменений заказа в хронологическом порядке; null, если записей нет
+    async findHistory(orderId) {
+        return this.history.has(orderId) ? this.history.get(orderId).slice() : null;
+    }
+
+    historyEntries(orderId, change) {
+        if (!change) {
+            return [];
+        }
+
+        return [{ op: 'history', entry: { orderId, timestamp: new Date().toISOString(), ...change } }];
+    }
+
+    addHistoryEntry(entry) {
+        if (!this.history.has(entry.orderId)) {
+            this.history.set(entry.orderId, []);
+        }
+        this.history.get(entry.orderId).push(entry);
+    }
+
+    // Недоставленные события в порядке записи
+    async pendingEvents(limit = 100) {
+        return Array.from(this.outbox.values()).slice(0, limit);
+    }
+
+    async markEventDelivered(eventId) {
+        if (this.outbox.has(eventId)) {
+            await this.commit([{ op: 'outbox.delivered', eventId }]);
+        }
+    }
+
+    outboxEntries(events) {
+        return events.map(event => ({ op: 'outbox', event }));
+    }
+
+    // Если запись в журнал не удалась, ошибка уходит вызывающему, а заказы, outbox и история не меняются
+    async commit(entries) {
+        await this.persist(entries);
+        entries.forEach(entry => this.apply(entry));
+    }
+
+    apply(entry) {
+        switch (entry.op) {
+            case 'put':
+                this.putOrder(entry.record);
+                break;
+            case 'delete':
+                this.removeOrder(entry.id);
+                break;
+            case 'outbox':
+                this.outbox.set(entry.event.id, entry.event);
+                break;
+            case 'outbox.delivered':
+                this.outbox.delete(entry.eventId);
+                break;
+            case 'history':
+                this.addHistoryEntry(entry.entry);
+                break;
+        }
+    }
+
+    putOrder(order) {
+        const previous = this.orders.get(order.id);
+        if (previous) {
+            this.countOrder(previous, -1);
+        }
+
+        this.orders.set(order.id, order);
+        this.countOrder(order, 1);
+        this.summarizeUser(order.userId);
+        if (previous && previous.userId !== order.userId) {
+            this.summarizeUser(previous.userId);
+        }
+    }
+
+    removeOrder(id) {
+        const order = this.orders.get(id);
+        if (order) {
+            this.countOrder(order, -1);
+            this.orders.delete(id);
+            this.summarizeUser(order.userId);
+        }
+    }
+
+    // delta = 1 — заказ добавлен, -1 — убран
+    countOrder(order, delta) {
+        const count = (this.statusCounts.get(order.status) || 0) + delta;
+        if (count > 0) {
+            this.statusCounts.set(order.status, count);
+        } else {
+            this.statusCounts.delete(order.status);
+        }
+
+        if (!this.userOrderIds.has(order.userId)) {
+            this.userOrderIds.set(order.userId, new Set());
+        }
+        const ids = this.userOrderIds.get(order.userId);
+        if (delta > 0) {
+            ids.add(order.id);
+        } else {
+            ids.delete(order.id);
+        }
+    }
+
+    // Сводка пересчитывается по заказам одного пользователя: суммы не накапливают ошибку округления
+    summarizeUser(userId) {
+        const ids = this.userOrderIds.get(userId);
+        if (!ids || ids.size === 0) {
+            this.userOrderIds.delete(userId);
+            this.userSummaries.delete(userId);
+            return;
+        }
+
+        const summary = { totalOrders: 0, byStatus: {}, amountByStatus: {}, firstOrderAt: null, lastOrderAt: null };
+        for (const id of ids) {
+            const order = this.orders.get(id);
+            const createdAt = new Date(order.createdAt).getTime();
+
+            summary.totalOrders += 1;
+            summary.byStatus[order.status] = (summary.byStatus[order.status] || 0) + 1;
+            summary.amountByStatus[order.status] = (summary.amountByStatus[order.status] || 0) + order.totalAmount;
+            if (summary.firstOrderAt === null || createdAt < new Date(summary.firstOrderAt).getTime()) {
+                summary.firstOrderAt = order.createdAt;
+            }
+            if (summary.lastOrderAt === null || createdAt > new Date(summary.lastOrderAt).getTime()) {
+                summary.lastOrderAt = order.createdAt;
+            }
+        }
+        this.userSummaries.set(userId, summary);
+    }
+
+    // { [status]: число заказов }
+    async countByStatus() {
+        return Object.fromEntries(this.statusCounts);
+    }
+
+    // { totalOrders, byStatus, amountByStatus (сумма totalAmount по статусам), firstOrderAt, lastOrderAt }
+    async userSummary(userId) {
+        return this.userSummaries.get(userId)
+            || { totalOrders: 0, byStatus: {}, amountByStatus: {}, firstOrderAt: null, lastOrderAt: null };
+    }
+
+    // Без limit возвращает все подходящие заказы; cursor — { value, id, direction } из decodeCursor.
+    // createdFrom/createdTo — Date, границы включаются; minAmount/maxAmount — по totalAmount
+    async list({ filters = {}, sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit, cursor = null } = {}) {
+        let orders = Array.from(this.orders.values());
+
+        if (filters.userId !== undefined) {
+            orders = orders.filter(order => order.userId === filters.userId);
+        }
+
+        if (filters.status) {
+            orders = orders.filter(order => order.status === filters.status);
+        }
+
+        if (filters.productId) {
+            orders = orders.filter(order => order.items.some(item => item.productId === filters.productId));
+        }
+
+        if (filters.createdFrom) {
+            orders = orders.filter(order => new Date(order.createdAt) >= filters.createdFrom);
+        }
+
+        if (filters.createdTo) {
+            orders = orders.filter(order => new Date(order.createdAt) <= filters.createdTo);
+        }
+
+        if (filters.minAmount !== undefined) {
+            orders = orders.filter(order => order.totalAmount >= filters.minAmount);
+        }
+
+        if (filters.maxAmount !== undefined) {
+            orders = orders.filter(order => order.totalAmount <= filters.maxAmount);
+        }
+
+        const compare = compareOrders(sortBy, sortOrder);
+        orders.sort(compare);
+
+        if (limit === undefined) {
+            return { items: orders, total: orders.length, hasPrev: false, hasNext: false };
+        }
+
+        return paginate(orders, compare, { sortBy, page, limit, cursor });
+    }
+
+    async persist() {}
+}
+
+class FileOrdersRepository extends InMemoryOrdersRepository {
+    constructor(filePath) {
+        super();
+        this.log = new JsonLog(filePath);
+    }
+
+    async init() {
+        const { records, sequence } = await this.log.load(entry => this.apply(entry));
+
+        for (const order of records.values()) {
+            this.orders.set(order.id, order);
+            this.countOrder(order, 1);
+        }
+        for (const userId of this.userOrderIds.keys()) {
+            this.summarizeUser(userId);
+        }
+        this.currentId = sequence + 1;
+
+        const historyEntries = [];
+        for (const entries of this.history.values()) {
+            historyEntries.push(...entries.map(entry => ({ op: 'history', entry })));
+        }
+
+        await this.log.compact(
+            Array.from(this.orders.values()),
+            sequence,
+            this.outboxEntries(Array.from(this.outbox.values())).concat(historyEntries)
+        );
+    }
+
+    persist(entries) {
+        return this.log.appendAll(entries);
+    }
+}
+
+function createOrdersRepository(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return new InMemoryOrdersRepository();
+        case 'file':
+            return new FileOrdersRepository(env.STORAGE_PATH || './data/orders.jsonl');
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+module.exports = {
+    InMemoryOrdersRepository,
+    FileOrdersRepository,
+    createOrdersRepository
+};
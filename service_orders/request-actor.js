@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// ID пользователя, выполняющего действие; API Gateway передает его из JWT
+function getActorId(req) {
+    const actorId = parseInt(req.get('X-User-Id'));
+    return Number.isNaN(actorId) ? null : actorId;
+}
+
+// true, если запрос предъявил X-Internal-Token, совпадающий с internalToken; без internalToken — всегда false
+function isInternalCall(req, internalToken) {
+    const token = req.get('X-Internal-Token');
+    if (!internalToken || !token) {
+        return false;
+    }
+
+    const expected = Buffer.from(internalToken);
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Пользователь из заголовков X-User-Id и X-User-Roles, которые передает API Gateway.
+// null — доверенный внутренний вызов без проверки ролей, только с верным X-Internal-Token;
+// запрос без X-User-Roles и без токена считается пользователем без ролей
+function getActor(req, internalToken) {
+    const header = req.get('X-User-Roles');
+    if (header === undefined && isInternalCall(req, internalToken)) {
+        return null;
+    }
+
+    return {
+        id: getActorId(req),
+        roles: (header || '').split(',').map(role => role.trim()).filter(Boolean)
+    };
+}
+
+module.exports = {
+    getActorId,
+    getActor,
+    isInternalCall
+};
@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { InMemoryIdempotencyStore, idempotent } = require('../idempotency');
+const { asyncHandler, errorHandler } = require('shared/api-errors');
+
+const logger = { error() {} };
+
+describe('idempotency middleware', () => {
+    let server;
+    let baseUrl;
+    let store;
+    let calls;
+    let release;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+
+        app.post('/orders', (req, res, next) => idempotent(store, logger)(req, res, next), asyncHandler(async (req, res) => {
+            calls += 1;
+            if (req.body.wait) {
+                await new Promise(resolve => {
+                    release = resolve;
+                });
+            }
+            if (req.body.fail) {
+                throw new Error('storage is down');
+            }
+            res.status(201).json({ success: true, data: { id: calls, ...req.body } });
+        }));
+        app.use(errorHandler(logger));
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        store = new InMemoryIdempotencyStore();
+        calls = 0;
+    });
+
+    function post(body, headers = {}) {
+        return fetch(`${baseUrl}/orders`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-User-Id': '1', ...headers },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('runs requests without the header every time', async () => {
+        await post({ item: 'a' });
+        await post({ item: 'a' });
+
+        assert.equal(calls, 2);
+    });
+
+    it('replays the saved response for the same key and body', async () => {
+        const first = await post({ item: 'a' }, { 'Idempotency-Key': 'k1' });
+        const second = await post({ item: 'a' }, { 'Idempotency-Key': 'k1' });
+
+        assert.equal(calls, 1);
+        assert.equal(second.status, 201);
+        assert.equal(second.headers.get('idempotent-replayed'), 'true');
+        assert.deepEqual(await second.json(), await first.json());
+    });
+
+    it('rejects the same key with a different body', async () => {
+        await post({ item: 'a' }, { 'Idempotency-Key': 'k1' });
+        const response = await post({ item: 'b' }, { 'Idempotency-Key': 'k1' });
+
+        assert.equal(response.status, 422);
+        assert.equal((await response.json()).error.code, 'IDEMPOTENCY_KEY_REUSED');
+    });
+
+    it('scopes keys to the user', async () => {
+        await post({ item: 'a' }, { 'Idempotency-Key': 'k1' });
+        const response = await post({ item: 'a' }, { 'Idempotency-Key': 'k1', 'X-User-Id': '2' });
+
+        assert.equal(response.headers.get('idempotent-replayed'), null);
+        assert.equal(calls, 2);
+    });
+
+    it('answers 409 while the first request is in progress', async () => {
+        const first = post({ item: 'a', wait: true }, { 'Idempotency-Key': 'k1' });
+        while (!release) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const concurrent = await post({ item: 'a', wait: true }, { 'Idempotency-Key': 'k1' });
+        release();
+        release = null;
+
+        assert.equal(concurrent.status, 409);
+        assert.equal((await concurrent.json()).error.code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+        assert.equal((await first).status, 201);
+    });
+
+    it('does not save 5xx responses, so the request can be retried', async () => {
+        const failed = await post({ item: 'a', fail: true }, { 'Idempotency-Key': 'k1' });
+        const retried = await post({ item: 'a', fail: true }, { 'Idempotency-Key': 'k1' });
+
+        assert.equal(failed.status, 500);
+        assert.equal(retried.status, 500);
+        assert.equal(retried.headers.get('idempotent-replayed'), null);
+        assert.equal(calls, 2);
+    });
+
+    it('validates the key length', async () => {
+        const response = await post({ item: 'a' }, { 'Idempotency-Key': 'k'.repeat(256) });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.code, 'INVALID_IDEMPOTENCY_KEY');
+    });
+});
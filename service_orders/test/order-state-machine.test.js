@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ORDER_STATUS,
+    INITIAL_STATUS,
+    allowedTransitions,
+    checkTransition,
+    describeStateMachine
+} = require('../order-state-machine');
+
+const CUSTOMER = { id: 1, roles: ['Customer'] };
+const ENGINEER = { id: 2, roles: ['Engineer'] };
+const MANAGER = { id: 3, roles: ['Manager'] };
+
+function order(status, overrides = {}) {
+    return { id: 10, userId: CUSTOMER.id, status, items: [{ productId: 'p1', quantity: 1, price: 5 }], ...overrides };
+}
+
+describe('order state machine', () => {
+    it('starts orders in created and ends in completed or cancelled', () => {
+        const machine = describeStateMachine();
+
+        assert.equal(INITIAL_STATUS, ORDER_STATUS.CREATED);
+        assert.deepEqual(machine.terminal.sort(), [ORDER_STATUS.CANCELLED, ORDER_STATUS.COMPLETED]);
+    });
+
+    it('allows the happy path for staff', () => {
+        assert.deepEqual(checkTransition(order(ORDER_STATUS.CREATED), ORDER_STATUS.IN_PROGRESS, ENGINEER), { ok: true });
+        assert.deepEqual(checkTransition(order(ORDER_STATUS.IN_PROGRESS), ORDER_STATUS.COMPLETED, ENGINEER), { ok: true });
+    });
+
+    it('rejects transitions that are not in the table with 409', () => {
+        const result = checkTransition(order(ORDER_STATUS.COMPLETED), ORDER_STATUS.IN_PROGRESS, MANAGER);
+
+        assert.equal(result.ok, false);
+        assert.equal(result.status, 409);
+        assert.equal(result.code, 'INVALID_STATUS_TRANSITION');
+        assert.deepEqual(result.allowedTransitions, []);
+    });
+
+    it('rejects skipping in_progress', () => {
+        const result = checkTransition(order(ORDER_STATUS.CREATED), ORDER_STATUS.COMPLETED, MANAGER);
+
+        assert.equal(result.status, 409);
+        assert.deepEqual(result.allowedTransitions.sort(), [ORDER_STATUS.CANCELLED, ORDER_STATUS.IN_PROGRESS]);
+    });
+
+    it('rejects a transition the role may not trigger with 403', () => {
+        const result = checkTransition(order(ORDER_STATUS.IN_PROGRESS), ORDER_STATUS.CANCELLED, ENGINEER);
+
+        assert.equal(result.status, 403);
+        assert.equal(result.code, 'FORBIDDEN');
+        assert.deepEqual(result.allowedTransitions, [ORDER_STATUS.COMPLETED]);
+    });
+
+    it('lets customers cancel only their own created orders', () => {
+        assert.equal(checkTransition(order(ORDER_STATUS.CREATED), ORDER_STATUS.CANCELLED, CUSTOMER).ok, true);
+        assert.equal(checkTransition(order(ORDER_STATUS.CREATED, { userId: 99 }), ORDER_STATUS.CANCELLED, CUSTOMER).status, 403);
+        assert.equal(checkTransition(order(ORDER_STATUS.IN_PROGRESS), ORDER_STATUS.CANCELLED, CUSTOMER).status, 403);
+    });
+
+    it('applies guards after the role check', () => {
+        const result = checkTransition(order(ORDER_STATUS.CREATED, { items: [] }), ORDER_STATUS.IN_PROGRESS, ENGINEER);
+
+        assert.equal(result.status, 409);
+        assert.equal(result.error, 'Order must contain at least one item');
+    });
+
+    it('skips role checks for trusted internal calls', () => {
+        assert.equal(checkTransition(order(ORDER_STATUS.IN_PROGRESS), ORDER_STATUS.CANCELLED, null).ok, true);
+        assert.deepEqual(
+            allowedTransitions(order(ORDER_STATUS.IN_PROGRESS)).sort(),
+            [ORDER_STATUS.CANCELLED, ORDER_STATUS.COMPLETED]
+        );
+    });
+});
@@ -0,0 +1,219 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryOrdersRepository, FileOrdersRepository } = require('../orders-repository');
+
+function event(id, orderId) {
+    return { id, type: 'order.created', data: { orderId } };
+}
+
+describe('file orders repository', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-repository-'));
+        filePath = path.join(dir, 'orders.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function open() {
+        const repository = new FileOrdersRepository(filePath);
+        await repository.init();
+        return repository;
+    }
+
+    it('restores orders after a restart', async () => {
+        const repository = await open();
+        const first = await repository.create({ userId: 1, status: 'created' });
+        await repository.create({ userId: 2, status: 'created' });
+        await repository.update(first.id, { ...first, status: 'in_progress' });
+
+        const reopened = await open();
+
+        assert.equal((await reopened.findById(first.id)).status, 'in_progress');
+        assert.equal((await reopened.list()).total, 2);
+    });
+
+    it('keeps undelivered events after a restart', async () => {
+        const repository = await open();
+        const first = await repository.create({ userId: 1, status: 'created' }, order => [event('e1', order.id)]);
+        await repository.create({ userId: 2, status: 'created' }, order => [event('e2', order.id)]);
+        await repository.markEventDelivered('e1');
+
+        const reopened = await open();
+
+        assert.deepEqual((await reopened.pendingEvents()).map(item => item.id), ['e2']);
+        assert.deepEqual((await reopened.pendingEvents())[0].data, { orderId: first.id + 1 });
+    });
+
+    it('restores the history of an order after a restart', async () => {
+        const repository = await open();
+        const order = await repository.create({ userId: 1, status: 'created' }, () => [], { action: 'created' });
+        await repository.update(order.id, { ...order, status: 'in_progress' }, [], { action: 'status_changed' });
+
+        const reopened = await open();
+
+        assert.deepEqual((await reopened.findHistory(order.id)).map(entry => entry.action), ['created', 'status_changed']);
+    });
+
+    it('rebuilds order counters after a restart', async () => {
+        const repository = await open();
+        const order = await repository.create({ userId: 1, status: 'created', totalAmount: 10, createdAt: '2026-01-01T00:00:00.000Z' });
+        await repository.update(order.id, { ...order, status: 'completed' });
+
+        const reopened = await open();
+
+        assert.deepEqual(await reopened.countByStatus(), { completed: 1 });
+        assert.deepEqual((await reopened.userSummary(1)).amountByStatus, { completed: 10 });
+    });
+
+    it('does not reuse ids of deleted orders', async () => {
+        const repository = await open();
+        await repository.create({ userId: 1, status: 'created' });
+        const second = await repository.create({ userId: 1, status: 'created' });
+        await repository.delete(second.id);
+
+        const reopened = await open();
+
+        assert.equal(await reopened.findById(second.id), null);
+        assert.equal((await reopened.create({ userId: 1, status: 'created' })).id, 3);
+    });
+
+    it('keeps the state after compaction on the next start', async () => {
+        const repository = await open();
+        await repository.create({ userId: 1, status: 'created' });
+
+        await open();
+        const reopened = await open();
+
+        assert.equal((await reopened.list()).items.length, 1);
+    });
+
+    it('refuses to load a journal corrupted in the middle', async () => {
+        const repository = await open();
+        await repository.create({ userId: 1, status: 'created' });
+        fs.appendFileSync(filePath, '{"op":"put","id":2,"rec\n');
+        await repository.create({ userId: 1, status: 'created' });
+
+        await assert.rejects(open(), /Corrupted journal .* at line 3/);
+    });
+
+    it('ignores a last line torn by a crash', async () => {
+        const repository = await open();
+        await repository.create({ userId: 1, status: 'created' });
+        fs.appendFileSync(filePath, '{"op":"put","id":2,"rec');
+
+        const reopened = await open();
+
+        assert.equal((await reopened.list()).total, 1);
+        assert.equal((await reopened.create({ userId: 1, status: 'created' })).id, 2);
+    });
+});
+
+describe('orders list', () => {
+    async function seed() {
+        const repository = new InMemoryOrdersRepository();
+        const orders = [
+            { userId: 1, status: 'created', totalAmount: 30, items: [{ productId: 'p1' }], createdAt: '2026-01-03T00:00:00.000Z' },
+            { userId: 2, status: 'completed', totalAmount: 10, items: [{ productId: 'p2' }], createdAt: '2026-01-01T00:00:00.000Z' },
+            { userId: 1, status: 'completed', totalAmount: 20, items: [{ productId: 'p1' }, { productId: 'p2' }], createdAt: '2026-01-02T00:00:00.000Z' },
+            { userId: 1, status: 'created', totalAmount: 20, items: [{ productId: 'p3' }], createdAt: '2026-01-02T00:00:00.000Z' }
+        ];
+        for (const order of orders) {
+            await repository.create(order);
+        }
+        return repository;
+    }
+
+    it('combines filters', async () => {
+        const repository = await seed();
+
+        const { items, total } = await repository.list({ filters: { userId: 1, productId: 'p1', minAmount: 25 } });
+
+        assert.equal(total, 1);
+        assert.deepEqual(items.map(order => order.id), [1]);
+    });
+
+    it('includes both bounds of the creation date range', async () => {
+        const repository = await seed();
+
+        const { items } = await repository.list({
+            filters: { createdFrom: new Date('2026-01-01T00:00:00.000Z'), createdTo: new Date('2026-01-02T00:00:00.000Z') },
+            sortOrder: 'asc'
+        });
+
+        assert.deepEqual(items.map(order => order.id), [2, 3, 4]);
+    });
+
+    it('breaks ties by id so pages do not overlap', async () => {
+        const repository = await seed();
+        const query = { sortBy: 'totalAmount', sortOrder: 'desc', limit: 2 };
+
+        const first = await repository.list({ ...query, page: 1 });
+        const second = await repository.list({ ...query, page: 2 });
+
+        assert.deepEqual(first.items.map(order => order.id), [1, 4]);
+        assert.deepEqual(second.items.map(order => order.id), [3, 2]);
+        assert.equal(second.total, 4);
+    });
+});
+
+describe('order counters', () => {
+    it('follows creates, status changes and deletes', async () => {
+        const repository = new InMemoryOrdersRepository();
+        const first = await repository.create({ userId: 1, status: 'created', totalAmount: 10, createdAt: '2026-01-02T00:00:00.000Z' });
+        await repository.create({ userId: 1, status: 'created', totalAmount: 5, createdAt: '2026-01-01T00:00:00.000Z' });
+        const third = await repository.create({ userId: 2, status: 'created', totalAmount: 7, createdAt: '2026-01-03T00:00:00.000Z' });
+
+        await repository.update(first.id, { ...first, status: 'cancelled' });
+        await repository.delete(third.id);
+
+        assert.deepEqual(await repository.countByStatus(), { created: 1, cancelled: 1 });
+        assert.deepEqual(await repository.userSummary(1), {
+            totalOrders: 2,
+            byStatus: { created: 1, cancelled: 1 },
+            amountByStatus: { created: 5, cancelled: 10 },
+            firstOrderAt: '2026-01-01T00:00:00.000Z',
+            lastOrderAt: '2026-01-02T00:00:00.000Z'
+        });
+        assert.deepEqual(await repository.userSummary(2), {
+            totalOrders: 0, byStatus: {}, amountByStatus: {}, firstOrderAt: null, lastOrderAt: null
+        });
+    });
+});
+
+describe('orders repository write failures', () => {
+    // Журнал, запись в который можно сломать
+    class FailingRepository extends InMemoryOrdersRepository {
+        async persist() {
+            if (this.failing) {
+                throw new Error('ENOSPC: no space left on device');
+            }
+        }
+    }
+
+    it('keeps orders, outbox and history unchanged when the journal write fails', async () => {
+        const repository = new FailingRepository();
+        const order = await repository.create({ userId: 1, status: 'created' }, created => [event('e1', created.id)], { action: 'created' });
+        repository.failing = true;
+
+        await assert.rejects(repository.create({ userId: 2, status: 'created' }, created => [event('e2', created.id)]), /ENOSPC/);
+        await assert.rejects(
+            repository.update(order.id, { ...order, status: 'cancelled' }, [event('e3', order.id)], { action: 'cancelled' }),
+            /ENOSPC/
+        );
+        await assert.rejects(repository.delete(order.id, { action: 'deleted' }), /ENOSPC/);
+        await assert.rejects(repository.markEventDelivered('e1'), /ENOSPC/);
+
+        assert.equal((await repository.list()).total, 1);
+        assert.equal((await repository.findById(order.id)).status, 'created');
+        assert.deepEqual((await repository.pendingEvents()).map(item => item.id), ['e1']);
+        assert.deepEqual((await repository.findHistory(order.id)).map(entry => entry.action), ['created']);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { OutboxRelay } = require('shared/outbox-relay');
+const { InMemoryOrdersRepository } = require('../orders-repository');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+// Брокер, который отклоняет публикацию событий из failing
+function fakeBroker() {
+    return {
+        published: [],
+        failing: new Set(),
+        connectFailures: 0,
+        connected: false,
+        async connect() {
+            if (this.connectFailures > 0) {
+                this.connectFailures--;
+                throw new Error('connect ECONNREFUSED');
+            }
+            this.connected = true;
+        },
+        async publish({ topic, key, payload }) {
+            if (this.failing.has(payload.id)) {
+                throw new Error('broker unavailable');
+            }
+            this.published.push({ topic, key, id: payload.id });
+        },
+        async disconnect() {
+            this.connected = false;
+        }
+    };
+}
+
+function event(id, aggregateId) {
+    return { id, type: 'order.created', aggregateId, data: { orderId: aggregateId } };
+}
+
+async function repositoryWithEvents(...ids) {
+    const repository = new InMemoryOrdersRepository();
+    for (const id of ids) {
+        await repository.create({ userId: 1, status: 'created' }, order => [event(id, order.id)]);
+    }
+    return repository;
+}
+
+describe('outbox relay', () => {
+    it('publishes pending events in order and removes them from the outbox', async () => {
+        const repository = await repositoryWithEvents('e1', 'e2', 'e3');
+        const broker = fakeBroker();
+        const relay = new OutboxRelay(repository, broker, logger);
+        relay.connected = true;
+
+        await relay.flush();
+
+        assert.deepEqual(broker.published, [
+            { topic: 'order.created', key: '1', id: 'e1' },
+            { topic: 'order.created', key: '2', id: 'e2' },
+            { topic: 'order.created', key: '3', id: 'e3' }
+        ]);
+        assert.deepEqual(await repository.pendingEvents(), []);
+    });
+
+    it('stops at a failed event and retries it before the later ones', async () => {
+        const repository = await repositoryWithEvents('e1', 'e2', 'e3');
+        const broker = fakeBroker();
+        const relay = new OutboxRelay(repository, broker, logger);
+        broker.failing.add('e2');
+
+        await relay.flush();
+        assert.deepEqual(broker.published.map(item => item.id), ['e1']);
+        assert.deepEqual((await repository.pendingEvents()).map(item => item.id), ['e2', 'e3']);
+
+        broker.failing.clear();
+        await relay.flush();
+        assert.deepEqual(broker.published.map(item => item.id), ['e1', 'e2', 'e3']);
+    });
+
+    it('reports every delivery attempt to the metrics callbacks', async () => {
+        const repository = await repositoryWithEvents('e1', 'e2');
+        const broker = fakeBroker();
+        const published = [];
+        const failed = [];
+        const relay = new OutboxRelay(repository, broker, logger, {
+            onPublished: item => published.push(item.id),
+            onFailed: (item, error) => failed.push([item.id, error.message])
+        });
+        broker.failing.add('e2');
+
+        await relay.flush();
+
+        assert.deepEqual(published, ['e1']);
+        assert.deepEqual(failed, [['e2', 'broker unavailable']]);
+    });
+
+    it('delivers at most batchSize events per flush', async () => {
+        const repository = await repositoryWithEvents('e1', 'e2', 'e3');
+        const broker = fakeBroker();
+        const relay = new OutboxRelay(repository, broker, logger, { batchSize: 2 });
+
+        await relay.flush();
+
+        assert.deepEqual(broker.published.map(item => item.id), ['e1', 'e2']);
+    });
+
+    it('keeps connecting until the broker is available and disconnects on stop', async () => {
+        const repository = await repositoryWithEvents('e1');
+        const broker = fakeBroker();
+        broker.connectFailures = 2;
+        const relay = new OutboxRelay(repository, broker, logger, { connectRetryDelayMs: 1, intervalMs: 60000 });
+
+        await relay.start();
+        await relay.flush();
+        assert.equal(broker.connected, true);
+        assert.deepEqual(broker.published.map(item => item.id), ['e1']);
+
+        await relay.stop();
+        assert.equal(broker.connected, false);
+    });
+});
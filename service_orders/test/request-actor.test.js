@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getActor } = require('../request-actor');
+
+// Запрос express: req.get не зависит от регистра имени заголовка
+function request(headers = {}) {
+    const normalized = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: name => normalized[name.toLowerCase()] };
+}
+
+describe('request actor', () => {
+    it('takes the user and roles from the gateway headers', () => {
+        assert.deepEqual(getActor(request({ 'X-User-Id': '7', 'X-User-Roles': 'Engineer, Manager' }), 'secret'), {
+            id: 7,
+            roles: ['Engineer', 'Manager']
+        });
+    });
+
+    it('treats a request without roles and without the internal token as a user without roles', () => {
+        assert.deepEqual(getActor(request({ 'X-User-Id': '7' }), 'secret'), { id: 7, roles: [] });
+        assert.deepEqual(getActor(request(), 'secret'), { id: null, roles: [] });
+    });
+
+    it('trusts an internal call only with the configured token', () => {
+        assert.equal(getActor(request({ 'X-Internal-Token': 'secret' }), 'secret'), null);
+        assert.deepEqual(getActor(request({ 'X-Internal-Token': 'wrong' }), 'secret'), { id: null, roles: [] });
+        assert.deepEqual(getActor(request({ 'X-Internal-Token': 'secret' }), null), { id: null, roles: [] });
+    });
+});
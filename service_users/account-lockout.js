@@ -0,0 +1,253 @@
+const { JsonLog } = require('shared/json-log');
+const { parseDuration } = require('./token-service');
+
+// Запись учетной записи { attempts, lastFailureAt, blockedUntil, locked } живет ttlMs
+// с последнего изменения: failureWindowMs или до конца блокировки, если она дольше
+class InMemoryLockoutStore {
+    constructor() {
+        this.accounts = new Map();
+    }
+
+    async get(userId, now = Date.now()) {
+        const state = this.accounts.get(userId);
+        if (!state) {
+            return null;
+        }
+
+        if (state.expiresAt <= now) {
+            this.accounts.delete(userId);
+            return null;
+        }
+
+        const { expiresAt, ...rest } = state;
+        return rest;
+    }
+
+    // { attempts, locked } после увеличения счетчика; locked — была ли учетная запись уже заблокирована
+    async addFailure(userId, now, ttlMs) {
+        const state = (await this.get(userId, now)) || { attempts: 0, blockedUntil: 0, locked: false };
+
+        state.attempts += 1;
+        state.lastFailureAt = now;
+        await this.save(userId, { ...state, expiresAt: now + ttlMs });
+
+        return { attempts: state.attempts, locked: state.locked };
+    }
+
+    async block(userId, blockedUntil, locked, ttlMs, now = Date.now()) {
+        const state = this.accounts.get(userId);
+        if (state) {
+            await this.save(userId, { ...state, blockedUntil, locked, expiresAt: now + ttlMs });
+        }
+    }
+
+    async delete(userId) {
+        if (this.accounts.has(userId)) {
+            await this.persist({ op: 'lockout', userId, state: null });
+            this.accounts.delete(userId);
+        }
+    }
+
+    // Изменение попадает в память только после записи в журнал
+    async save(userId, state) {
+        await this.persist({ op: 'lockout', userId, state });
+        this.accounts.set(userId, state);
+    }
+
+    apply(entry) {
+        if (entry.op !== 'lockout') {
+            return;
+        }
+
+        if (entry.state) {
+            this.accounts.set(entry.userId, entry.state);
+        } else {
+            this.accounts.delete(entry.userId);
+        }
+    }
+
+    // Действующие счетчики в виде записей журнала
+    entries(now = Date.now()) {
+        return Array.from(this.accounts.entries())
+            .filter(([, state]) => state.expiresAt > now)
+            .map(([userId, state]) => ({ op: 'lockout', userId, state }));
+    }
+
+    async init() {}
+
+    async persist() {}
+
+    async close() {}
+}
+
+// Счетчики в памяти с журналом JsonLog: блокировка переживает перезапуск сервиса
+class FileLockoutStore extends InMemoryLockoutStore {
+    constructor(filePath) {
+        super();
+        this.log = new JsonLog(filePath);
+    }
+
+    async init() {
+        await this.log.replay(entry => this.apply(entry));
+        await this.log.compact([], 0, this.entries());
+    }
+
+    persist(entry) {
+        return this.log.append(entry);
+    }
+}
+
+// HINCRBY и продление TTL одной командой: параллельные неудачи на разных экземплярах не теряются
+const ADD_FAILURE_SCRIPT = `
+local attempts = redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+redis.call('HSET', KEYS[1], 'lastFailureAt', ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+return { attempts, redis.call('HGET', KEYS[1], 'locked') or '0' }
+`;
+
+class RedisLockoutStore {
+    constructor(client, keyPrefix = 'users') {
+        this.client = client;
+        this.prefix = `${keyPrefix}:lockout:`;
+    }
+
+    async get(userId) {
+        const state = await this.client.hgetall(this.prefix + userId);
+        if (!state || !state.attempts) {
+            return null;
+        }
+
+        return {
+            attempts: parseInt(state.attempts, 10),
+            lastFailureAt: parseInt(state.lastFailureAt, 10) || 0,
+            blockedUntil: parseInt(state.blockedUntil, 10) || 0,
+            locked: state.locked === '1'
+        };
+    }
+
+    async addFailure(userId, now, ttlMs) {
+        const [attempts, locked] = await this.client.eval(ADD_FAILURE_SCRIPT, 1, this.prefix + userId, now, ttlMs);
+        return { attempts, locked: locked === '1' };
+    }
+
+    async init() {}
+
+    async block(userId, blockedUntil, locked, ttlMs) {
+        await this.client.multi()
+            .hset(this.prefix + userId, 'blockedUntil', blockedUntil, 'locked', locked ? '1' : '0')
+            .pexpire(this.prefix + userId, ttlMs)
+            .exec();
+    }
+
+    async delete(userId) {
+        await this.client.del(this.prefix + userId);
+    }
+
+    async close() {}
+}
+
+// driver: memory | file | redis
+function createLockoutStore({ driver = 'memory', filePath, client, keyPrefix } = {}) {
+    switch (driver) {
+        case 'memory':
+            return new InMemoryLockoutStore();
+        case 'file':
+            return new FileLockoutStore(filePath || './data/lockouts.jsonl');
+        case 'redis':
+            return new RedisLockoutStore(client, keyPrefix);
+        default:
+            throw new Error(`Unknown lockout store driver: ${driver}`);
+    }
+}
+
+// Защита входа от перебора паролей по учетной записи (в дополнение к лимиту gateway по IP).
+// Неудачные попытки считаются подряд, пока между ними меньше failureWindowMs:
+//   первые freeAttempts — без ограничений;
+//   дальше каждая неудача запрещает вход на delayMs * 2^n (не больше maxDelayMs) — LOGIN_THROTTLED;
+//   после maxAttempts учетная запись блокируется на lockoutMs — ACCOUNT_LOCKED.
+// Пока вход запрещен, пароль не проверяется и попытка не засчитывается.
+// Успешный вход и разблокировка администратором сбрасывают счетчик.
+// Счетчики хранятся в store: в памяти экземпляра, в журнале на диске или в Redis (общие для всех экземпляров сервиса).
+class AccountLockout {
+    constructor(options = {}) {
+        this.freeAttempts = options.freeAttempts !== undefined ? options.freeAttempts : 3;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.delayMs = options.delayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60 * 1000;
+        this.lockoutMs = options.lockoutMs || 15 * 60 * 1000;
+        this.failureWindowMs = options.failureWindowMs || 15 * 60 * 1000;
+
+        this.store = options.store || new InMemoryLockoutStore();
+    }
+
+    static fromEnv(store, env = process.env) {
+        return new AccountLockout({
+            store,
+            freeAttempts: env.LOGIN_FREE_ATTEMPTS !== undefined ? parseInt(env.LOGIN_FREE_ATTEMPTS, 10) : undefined,
+            maxAttempts: parseInt(env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || undefined,
+            delayMs: parseDuration(env.LOGIN_FAILURE_DELAY, 1000),
+            maxDelayMs: parseDuration(env.LOGIN_MAX_FAILURE_DELAY, 60 * 1000),
+            lockoutMs: parseDuration(env.LOGIN_LOCKOUT_DURATION, 15 * 60 * 1000),
+            failureWindowMs: parseDuration(env.LOGIN_FAILURE_WINDOW, 15 * 60 * 1000)
+        });
+    }
+
+    // Актуальное состояние учетной записи; устаревшие счетчики удаляет store по TTL
+    state(userId, now = Date.now()) {
+        return this.store.get(userId, now);
+    }
+
+    // null, если вход разрешен, иначе { code, retryAfterSeconds, blockedUntil }
+    async check(userId, now = Date.now()) {
+        const state = await this.state(userId, now);
+        if (!state || state.blockedUntil <= now) {
+            return null;
+        }
+
+        return {
+            code: state.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+            retryAfterSeconds: Math.ceil((state.blockedUntil - now) / 1000),
+            blockedUntil: new Date(state.blockedUntil).toISOString()
+        };
+    }
+
+    // { attempts, locked } — locked = true, если эта попытка заблокировала учетную запись
+    async recordFailure(userId, now = Date.now()) {
+        const { attempts, locked: wasLocked } = await this.store.addFailure(userId, now, this.failureWindowMs);
+
+        let locked = wasLocked;
+        let blockedUntil = 0;
+        if (attempts >= this.maxAttempts) {
+            locked = true;
+            blockedUntil = now + this.lockoutMs;
+        } else if (attempts > this.freeAttempts) {
+            const delay = this.delayMs * Math.pow(2, attempts - this.freeAttempts - 1);
+            blockedUntil = now + Math.min(delay, this.maxDelayMs);
+        }
+
+        if (blockedUntil) {
+            await this.store.block(userId, blockedUntil, locked, Math.max(this.failureWindowMs, blockedUntil - now), now);
+        }
+
+        return { attempts, locked: locked && !wasLocked };
+    }
+
+    recordSuccess(userId) {
+        return this.store.delete(userId);
+    }
+
+    // Возвращает true, если учетная запись была заблокирована или ограничена
+    async unlock(userId, now = Date.now()) {
+        const blocked = Boolean(await this.check(userId, now));
+        await this.store.delete(userId);
+        return blocked;
+    }
+}
+
+module.exports = {
+    InMemoryLockoutStore,
+    FileLockoutStore,
+    RedisLockoutStore,
+    createLockoutStore,
+    AccountLockout
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+const EVENT_TYPES = {
+    USER_LOGIN_FAILED: 'user.login.failed',
+    USER_LOCKED: 'user.locked'
+};
+
+class DomainEvent {
+    constructor(type, data, aggregateId) {
+        this.id = crypto.randomUUID();
+        this.type = type;
+        this.data = data;
+        this.aggregateId = aggregateId;
+        this.timestamp = new Date().toISOString();
+        this.version = '1.0';
+    }
+}
+
+class UserLoginFailedEvent extends DomainEvent {
+    constructor(userId, attempts) {
+        super(EVENT_TYPES.USER_LOGIN_FAILED, {
+            userId,
+            attempts,
+            failedAt: new Date().toISOString()
+        }, userId);
+    }
+}
+
+class UserLockedEvent extends DomainEvent {
+    constructor(userId, attempts, lockedUntil) {
+        super(EVENT_TYPES.USER_LOCKED, {
+            userId,
+            attempts,
+            lockedUntil
+        }, userId);
+    }
+}
+
+// Outbox в памяти процесса для OutboxRelay: события о входе не связаны с записью пользователя,
+// поэтому хранить их вместе с ним не нужно. При долгой недоступности брокера старые события вытесняются.
+class EventOutbox {
+    constructor(options = {}) {
+        this.maxEvents = options.maxEvents || 10000;
+        this.events = new Map();
+    }
+
+    add(event) {
+        this.events.set(event.id, event);
+        if (this.events.size > this.maxEvents) {
+            this.events.delete(this.events.keys().next().value);
+        }
+    }
+
+    async pendingEvents(limit = 100) {
+        return Array.from(this.events.values()).slice(0, limit);
+    }
+
+    async markEventDelivered(eventId) {
+        this.events.delete(eventId);
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    DomainEvent,
+    UserLoginFailedEvent,
+    UserLockedEvent,
+    EventOutbox
+};
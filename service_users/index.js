@@ -1,16 +1,89 @@
 const express = require('express');
 const cors = require('cors');
 const { z } = require('zod');
-const jwt = require('jsonwebtoken');
+const pino = require('pino');
+const { PasswordHasher } = require('./password-hasher');
+const { KeyRing } = require('./key-ring');
+const { TokenService, createTokenStore, parseDuration } = require('./token-service');
+const { AccountLockout, createLockoutStore } = require('./account-lockout');
+const { PasswordPolicy } = require('./password-policy');
+const { OneTimeTokenStore } = require('./one-time-tokens');
+const { createNotifier } = require('./notifier');
+const { UserLoginFailedEvent, UserLockedEvent, EventOutbox } = require('./domain-events');
+const { createBrokerAdapter } = require('shared/message-broker');
+const { OutboxRelay } = require('shared/outbox-relay');
+const { createUsersRepository, DuplicateEmailError } = require('./users-repository');
+const { createTracer } = require('shared/tracing');
+const { Metrics } = require('shared/metrics');
+const { decodeCursor, pageCursors } = require('shared/cursor-pagination');
+const { ApiError, sendError, asyncHandler, notFoundHandler, errorHandler } = require('shared/api-errors');
+
+const logger = pino({
+    level: process.env.LOG_LEVEL || 'info'
+});
+
+const tracer = createTracer('service-users', logger);
+const metrics = new Metrics('service-users');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+
+const passwordHasher = PasswordHasher.fromEnv();
+
+// Состояние сессий (версии сессий, refresh-токены, отозванные токены) и счетчики блокировки входа:
+// AUTH_STATE_STORE=memory | file | redis.
+// По умолчанию file при STORAGE_DRIVER=file; redis — общее состояние для нескольких экземпляров сервиса
+const AUTH_STATE_STORE = process.env.AUTH_STATE_STORE || (process.env.STORAGE_DRIVER === 'file' ? 'file' : 'memory');
+const authStateRedis = AUTH_STATE_STORE === 'redis' ? createAuthStateRedis(process.env.REDIS_URL) : null;
+const AUTH_STATE_KEY_PREFIX = process.env.AUTH_STATE_KEY_PREFIX || 'users';
+
+function createAuthStateRedis(url) {
+    const Redis = require('ioredis');
+    const client = new Redis(url || 'redis://localhost:6379', {
+        maxRetriesPerRequest: 1,
+        retryStrategy: times => Math.min(times * 200, 5000)
+    });
+    client.on('error', error => logger.warn({ error: error.message }, 'Redis auth state store connection error'));
+    return client;
+}
+
+const tokenStore = createTokenStore({
+    driver: AUTH_STATE_STORE,
+    filePath: process.env.TOKEN_STORAGE_PATH,
+    client: authStateRedis,
+    keyPrefix: AUTH_STATE_KEY_PREFIX
+});
+const tokenService = TokenService.fromEnv(tokenStore);
+const keyRing = KeyRing.fromEnv(logger);
+const lockoutStore = createLockoutStore({
+    driver: AUTH_STATE_STORE,
+    filePath: process.env.LOCKOUT_STORAGE_PATH,
+    client: authStateRedis,
+    keyPrefix: AUTH_STATE_KEY_PREFIX
+});
+const accountLockout = AccountLockout.fromEnv(lockoutStore);
+const passwordPolicy = PasswordPolicy.fromEnv();
+const passwordResetTokens = new OneTimeTokenStore(tokenStore, 'password-reset', {
+    ttlMs: parseDuration(process.env.PASSWORD_RESET_TOKEN_TTL, 60 * 60 * 1000)
+});
+const emailVerificationTokens = new OneTimeTokenStore(tokenStore, 'email-verification', {
+    ttlMs: parseDuration(process.env.EMAIL_VERIFICATION_TOKEN_TTL, 24 * 60 * 60 * 1000)
+});
+const notifier = createNotifier();
+const usersRepository = createUsersRepository();
+
+// Message broker для событий входа (user.login.failed, user.locked): none | memory | redis
+const MESSAGE_BROKER = process.env.MESSAGE_BROKER || 'memory';
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+app.get('/metrics', metrics.handler());
+
+app.use(metrics.middleware());
+app.use(tracer.middleware({ logger }));
+
 const ROLES = {
     CUSTOMER: 'Customer',
     ENGINEER: 'Engineer',
@@ -20,12 +93,89 @@ const ROLES = {
 
 const RoleEnum = z.enum(['Customer', 'Engineer', 'Manager', 'Admin']);
 
+const loginAttempts = metrics.counter({
+    name: 'auth_login_attempts_total',
+    help: 'Login attempts by result',
+    labelNames: ['result']
+});
+
+const accountLockouts = metrics.counter({
+    name: 'auth_account_lockouts_total',
+    help: 'Accounts locked after repeated failed logins'
+});
+
+const domainEventsPublished = metrics.counter({
+    name: 'domain_events_published_total',
+    help: 'Domain events published to the message broker',
+    labelNames: ['type']
+});
+
+const domainEventsFailed = metrics.counter({
+    name: 'domain_events_failed_total',
+    help: 'Failed attempts to publish domain events',
+    labelNames: ['type']
+});
+
+const tokenRefreshes = metrics.counter({
+    name: 'auth_token_refreshes_total',
+    help: 'Refresh token rotations by result',
+    labelNames: ['result']
+});
+
+metrics.gauge({
+    name: 'users_by_role',
+    help: 'Number of users by role',
+    labelNames: ['role'],
+    async collect() {
+        for (const role of Object.values(ROLES)) {
+            const { total } = await usersRepository.list({ filters: { role }, limit: 1 });
+            this.set({ role }, total);
+        }
+    }
+});
+
+const eventOutbox = new EventOutbox();
+
+const outboxRelay = MESSAGE_BROKER === 'none' ? null : new OutboxRelay(
+    eventOutbox,
+    createBrokerAdapter({
+        type: MESSAGE_BROKER,
+        url: process.env.REDIS_URL,
+        streamPrefix: process.env.BROKER_STREAM_PREFIX,
+        partitions: parseInt(process.env.BROKER_PARTITIONS, 10) || 1,
+        logger
+    }),
+    logger,
+    {
+        intervalMs: parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 1000,
+        onPublished: event => domainEventsPublished.inc({ type: event.type }),
+        onFailed: event => domainEventsFailed.inc({ type: event.type })
+    }
+);
+
+function publishEvent(event) {
+    eventOutbox.add(event);
+    if (outboxRelay) {
+        outboxRelay.poke();
+    }
+}
+
+const PasswordHashSchema = z.string().refine(hash => passwordHasher.accepts(hash), 'passwordHash must be a supported password hash');
+
+// Пароль, который задает пользователь или администратор, проверяется политикой
+const NewPasswordSchema = z.string().superRefine((password, ctx) => {
+    for (const message of passwordPolicy.check(password)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+    }
+});
+
 const createUserSchema = z.object({
     email: z.string().email('Invalid email format'),
-    password: z.string().min(1, 'Password is required').optional(),
-    passwordHash: z.string().min(1, 'Password is required').optional(),
+    password: NewPasswordSchema.optional(),
+    passwordHash: PasswordHashSchema.optional(),
     name: z.string().min(1, 'Name is required'),
-    roles: z.array(RoleEnum).default([ROLES.CUSTOMER])
+    roles: z.array(RoleEnum).default([ROLES.CUSTOMER]),
+    emailVerified: z.boolean().default(true)
 }).refine(data => data.password || data.passwordHash, {
     message: 'Either password or passwordHash is required',
     path: ['password']
@@ -33,59 +183,103 @@ const createUserSchema = z.object({
 
 const updateUserSchema = z.object({
     email: z.string().email('Invalid email format').optional(),
-    password: z.string().min(1).optional(),
-    passwordHash: z.string().min(1).optional(),
+    password: NewPasswordSchema.optional(),
+    passwordHash: PasswordHashSchema.optional(),
     name: z.string().min(1, 'Name cannot be empty').optional(),
-    roles: z.array(RoleEnum).optional()
+    roles: z.array(RoleEnum).optional(),
+    emailVerified: z.boolean().optional()
 });
 
 const registerSchema = z.object({
     email: z.string().email('Invalid email format'),
-    password: z.string().min(1, 'Password is required'),
+    password: NewPasswordSchema,
     name: z.string().min(1, 'Name is required')
 });
 
+// Поля, по которым можно сортировать список: значение поля попадает в курсор
+const SORTABLE_FIELDS = ['id', 'email', 'name', 'createdAt', 'updatedAt'];
+
+const listUsersQuerySchema = z.object({
+    sortBy: z.enum(SORTABLE_FIELDS).default('createdAt'),
+    sortOrder: z.enum(['asc', 'desc']).default('desc')
+});
+
 const loginSchema = z.object({
     email: z.string().email('Invalid email format'),
     password: z.string().min(1, 'Password is required')
 });
 
+const refreshTokenSchema = z.object({
+    refreshToken: z.string().min(1, 'Refresh token is required')
+});
+
+const logoutSchema = z.object({
+    userId: z.number().int().positive(),
+    refreshToken: z.string().min(1).optional(),
+    jti: z.string().min(1).optional(),
+    exp: z.number().int().positive().optional()
+});
+
+const changePasswordSchema = z.object({
+    currentPassword: z.string().min(1, 'Current password is required'),
+    newPassword: NewPasswordSchema
+}).refine(data => data.currentPassword !== data.newPassword, {
+    message: 'New password must differ from the current password',
+    path: ['newPassword']
+});
+
+const forgotPasswordSchema = z.object({
+    email: z.string().email('Invalid email format')
+});
+
+const verifyEmailSchema = z.object({
+    token: z.string().min(1, 'Verification token is required')
+});
+
+const resetPasswordSchema = z.object({
+    token: z.string().min(1, 'Reset token is required'),
+    newPassword: NewPasswordSchema
+});
+
 const updateProfileSchema = z.object({
     email: z.string().email('Invalid email format').optional(),
     name: z.string().min(1, 'Name cannot be empty').optional()
 });
 
-let fakeUsersDb = {};
-let currentId = 1;
-
-function generateUserId() {
-    return currentId++;
+// Пароль в открытом виде всегда хешируется, готовый passwordHash уже проверен схемой
+async function resolvePasswordHash(userData) {
+    if (userData.password !== undefined) {
+        return passwordHasher.hash(userData.password);
+    }
+    return userData.passwordHash;
 }
 
-function createUserModel(userData) {
+async function createUserModel(userData) {
     const now = new Date().toISOString();
-    const userId = generateUserId();
+    const passwordHash = await resolvePasswordHash(userData);
     
     return {
-        id: userId,
         email: userData.email,
-        passwordHash: userData.passwordHash || userData.password,
+        passwordHash,
         name: userData.name,
         roles: userData.roles || [ROLES.CUSTOMER],
+        emailVerified: userData.emailVerified !== undefined ? userData.emailVerified : true,
         createdAt: now,
         updatedAt: now
     };
 }
 
-function updateUserModel(existingUser, updates) {
+async function updateUserModel(existingUser, updates) {
     const now = new Date().toISOString();
+    const passwordHash = await resolvePasswordHash(updates);
     
     return {
         ...existingUser,
         email: updates.email !== undefined ? updates.email : existingUser.email,
-        passwordHash: updates.passwordHash !== undefined ? updates.passwordHash : existingUser.passwordHash,
+        passwordHash: passwordHash !== undefined ? passwordHash : existingUser.passwordHash,
         name: updates.name !== undefined ? updates.name : existingUser.name,
         roles: updates.roles !== undefined ? updates.roles : existingUser.roles,
+        emailVerified: updates.emailVerified !== undefined ? updates.emailVerified : existingUser.emailVerified,
         updatedAt: now
     };
 }
@@ -95,136 +289,260 @@ function sanitizeUser(user) {
     return safeUser;
 }
 
-function generateJwtForUser(user) {
-    const payload = { id: user.id, roles: user.roles };
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
+async function generateJwtForUser(user) {
+    const payload = { id: user.id, roles: user.roles, sv: await tokenService.getSessionVersion(user.id) };
+    return keyRing.sign(payload, {
+        expiresIn: Math.floor(tokenService.accessTokenTtlMs / 1000),
+        jwtid: tokenService.generateTokenId()
+    });
+}
+
+async function issueTokens(user, refreshToken) {
+    return {
+        token: await generateJwtForUser(user),
+        refreshToken: refreshToken || await tokenService.issueRefreshToken(user.id),
+        expiresIn: Math.floor(tokenService.accessTokenTtlMs / 1000)
+    };
+}
+
+// Письмо со ссылкой подтверждения; токен действителен, только пока email пользователя не изменился
+async function sendEmailVerification(user) {
+    const { token, expiresAt } = await emailVerificationTokens.issue(user.id, { email: user.email });
+    const link = process.env.EMAIL_VERIFICATION_URL ? `${process.env.EMAIL_VERIFICATION_URL}?token=${token}` : token;
+
+    notifier.send({
+        to: user.email,
+        subject: 'Confirm your email',
+        text: `To confirm your email use: ${link}\nThe link is valid until ${expiresAt}.`
+    }).catch(error => logger.error({ userId: user.id, error: error.message }, 'Failed to send email verification'));
 }
 
-function createDefaultUsers() {
+async function createDefaultUsers() {
     const defaultUsers = [
         {
             email: 'customer@example.com',
-            password: 'password123',
+            password: 'Customer-2026',
             name: 'Default Customer',
             roles: [ROLES.CUSTOMER]
         },
         {
             email: 'engineer@example.com',
-            password: 'password123',
+            password: 'Engineer-2026',
             name: 'Default Engineer',
             roles: [ROLES.ENGINEER]
         },
         {
             email: 'manager@example.com',
-            password: 'password123',
+            password: 'Manager-2026',
             name: 'Default Manager',
             roles: [ROLES.MANAGER]
         },
         {
             email: 'admin@example.com',
-            password: 'password123',
+            password: 'Admin-2026',
             name: 'Default Admin',
             roles: [ROLES.ADMIN]
         }
     ];
 
     let usersCreated = 0;
-    defaultUsers.forEach(userData => {
+    for (const userData of defaultUsers) {
         // Check if user already exists
-        const existingUser = Object.values(fakeUsersDb).find(u => u.email === userData.email);
+        const existingUser = await usersRepository.findByEmail(userData.email);
         if (!existingUser) {
-            const newUser = createUserModel(userData);
-            fakeUsersDb[newUser.id] = newUser;
+            await usersRepository.create(await createUserModel(userData));
             usersCreated++;
-            console.log(`Created default ${userData.roles[0]} user: ${userData.email}`);
+            logger.info({ email: userData.email, role: userData.roles[0] }, 'Created default user');
         }
-    });
-
-    if (usersCreated > 0) {
-        console.log(`✅ Created ${usersCreated} default users`);
-    } else {
-        console.log('📋 All default users already exist');
     }
-}
 
-app.post('/users/register', (req, res) => {
-    const parsed = registerSchema.safeParse(req.body);
-    if (!parsed.success) {
-        return res.status(400).json({
-            success: false,
-            error: {
-                message: 'Validation failed',
-                details: parsed.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
-            }
-        });
-    }
+    logger.info({ usersCreated }, usersCreated > 0 ? 'Default users created' : 'All default users already exist');
+}
 
-    const { email, password, name } = parsed.data;
+app.post('/users/register', asyncHandler(async (req, res) => {
+    const { email, password, name } = registerSchema.parse(req.body);
 
-    const exists = Object.values(fakeUsersDb).find(u => u.email === email);
-    if (exists) {
-        return res.status(409).json({
-            success: false,
-            error: { message: 'User with this email already exists' }
-        });
+    if (await usersRepository.isEmailTaken(email)) {
+        return sendError(res, 'EMAIL_TAKEN', 'User with this email already exists');
     }
 
-    const newUser = createUserModel({ email, password, name, roles: [ROLES.CUSTOMER] });
-    fakeUsersDb[newUser.id] = newUser;
-
-    const token = generateJwtForUser(newUser);
+    const newUser = await usersRepository.create(
+        await createUserModel({ email, password, name, roles: [ROLES.CUSTOMER], emailVerified: false })
+    );
+    await sendEmailVerification(newUser);
 
     return res.status(201).json({
         success: true,
         data: {
-            token,
+            ...(await issueTokens(newUser)),
             user: sanitizeUser(newUser)
         }
     });
-});
+}));
+
+function rejectBlockedLogin(res, blocked) {
+    res.set('Retry-After', String(blocked.retryAfterSeconds));
+    return sendError(res, blocked.code, blocked.code === 'ACCOUNT_LOCKED'
+        ? 'Account is temporarily locked due to too many failed login attempts'
+        : 'Too many failed login attempts, please try again later', {
+        extra: { retryAfterSeconds: blocked.retryAfterSeconds }
+    });
+}
 
-app.post('/users/login', (req, res) => {
-    const parsed = loginSchema.safeParse(req.body);
-    if (!parsed.success) {
-        return res.status(400).json({
-            success: false,
-            error: {
-                message: 'Validation failed',
-                details: parsed.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
-            }
-        });
+// Неверный пароль при входе и при смене пароля учитывается в одном счетчике блокировки,
+// чтобы подбирать пароль через смену пароля было не проще, чем через вход
+async function recordFailedPassword(user) {
+    const { attempts, locked } = await accountLockout.recordFailure(user.id);
+    publishEvent(new UserLoginFailedEvent(user.id, attempts));
+
+    if (locked) {
+        const lockout = await accountLockout.check(user.id);
+        accountLockouts.inc();
+        publishEvent(new UserLockedEvent(user.id, attempts, lockout.blockedUntil));
+        logger.warn({ userId: user.id, attempts }, 'Account locked after failed login attempts');
     }
+}
 
-    const { email, password } = parsed.data;
-    const user = Object.values(fakeUsersDb).find(u => u.email === email);
+app.post('/users/login', asyncHandler(async (req, res) => {
+    const { email, password } = loginSchema.parse(req.body);
+    const user = await usersRepository.findByEmail(email);
 
-    if (!user || user.passwordHash !== password) {
-        return res.status(401).json({
-            success: false,
-            error: { message: 'Invalid email or password' }
-        });
+    const blocked = user ? await accountLockout.check(user.id) : null;
+    if (blocked) {
+        loginAttempts.inc({ result: 'blocked' });
+        return rejectBlockedLogin(res, blocked);
+    }
+
+    const passwordValid = user
+        ? await passwordHasher.verify(password, user.passwordHash)
+        : await passwordHasher.verifyDummy(password);
+
+    // Параллельные попытки проходят первую проверку одновременно: результат тех,
+    // что завершились после блокировки, отбрасывается
+    const blockedDuringCheck = user ? await accountLockout.check(user.id) : null;
+    if (blockedDuringCheck) {
+        loginAttempts.inc({ result: 'blocked' });
+        return rejectBlockedLogin(res, blockedDuringCheck);
+    }
+
+    if (!passwordValid) {
+        loginAttempts.inc({ result: 'failure' });
+
+        if (user) {
+            await recordFailedPassword(user);
+        }
+
+        return sendError(res, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    await accountLockout.recordSuccess(user.id);
+
+    if (passwordHasher.needsRehash(user.passwordHash)) {
+        const passwordHash = await passwordHasher.hash(password);
+        await usersRepository.update(user.id, { ...user, passwordHash });
     }
 
-    const token = generateJwtForUser(user);
+    loginAttempts.inc({ result: 'success' });
     return res.json({
         success: true,
         data: {
-            token,
+            ...(await issueTokens(user)),
             user: sanitizeUser(user)
         }
     });
+}));
+
+app.post('/users/token/refresh', asyncHandler(async (req, res) => {
+    const { refreshToken } = refreshTokenSchema.parse(req.body);
+
+    const rotation = await tokenService.rotateRefreshToken(refreshToken);
+    if (rotation.error) {
+        tokenRefreshes.inc({ result: 'failure' });
+        return sendError(res, 'INVALID_REFRESH_TOKEN', rotation.error);
+    }
+
+    const user = await usersRepository.findById(rotation.userId);
+    if (!user) {
+        await tokenService.revokeAllForUser(rotation.userId);
+        tokenRefreshes.inc({ result: 'failure' });
+        return sendError(res, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    tokenRefreshes.inc({ result: 'success' });
+    return res.json({
+        success: true,
+        data: await issueTokens(user, rotation.refreshToken)
+    });
+}));
+
+app.post('/users/logout', asyncHandler(async (req, res) => {
+    const { userId, refreshToken, jti, exp } = logoutSchema.parse(req.body);
+
+    await tokenService.revokeAccessToken(jti, exp);
+    if (refreshToken) {
+        await tokenService.revokeRefreshToken(refreshToken, userId);
+    }
+
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+}));
+
+app.post('/users/logout/all/:userId', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+
+    if (!(await usersRepository.findById(userId))) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const sessionVersion = await tokenService.revokeAllForUser(userId);
+
+    res.json({
+        success: true,
+        data: { userId, sessionVersion },
+        message: 'All sessions have been revoked'
+    });
+}));
+
+app.post('/users/:userId/unlock', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+
+    if (!(await usersRepository.findById(userId))) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
+    }
+
+    const wasLocked = await accountLockout.unlock(userId);
+    logger.info({ userId, unlockedBy: req.get('X-User-Id'), wasLocked }, 'Account unlocked');
+
+    res.json({
+        success: true,
+        data: { userId, wasLocked },
+        message: 'Failed login attempts have been reset'
+    });
+}));
+
+// Публичные ключи проверки access-токенов; gateway находит ключ по kid из заголовка токена
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keyRing.jwks());
 });
 
-app.get('/users/profile/:userId', (req, res) => {
+// Список отзыва для gateway: с ?since=<cursor из предыдущего ответа> — только изменения после него
+app.get('/users/tokens/revoked', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await tokenService.getRevocations(req.query.since)
+    });
+}));
+
+app.get('/users/profile/:userId', asyncHandler(async (req, res) => {
     const userId = parseInt(req.params.userId);
     
-    const user = fakeUsersDb[userId];
+    const user = await usersRepository.findById(userId);
     
     if (!user) {
-        return res.status(404).json({
-            success: false,
-            error: { message: 'User not found' }
-        });
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
     
     res.json({
@@ -233,56 +551,34 @@ app.get('/users/profile/:userId', (req, res) => {
             user: sanitizeUser(user) 
         }
     });
-});
+}));
 
-app.put('/users/profile/:userId', (req, res) => {
+app.put('/users/profile/:userId', asyncHandler(async (req, res) => {
     const userId = parseInt(req.params.userId);
-    const user = fakeUsersDb[userId];
+    const user = await usersRepository.findById(userId);
     
     if (!user) {
-        return res.status(404).json({
-            success: false,
-            error: { message: 'User not found' }
-        });
-    }
-    
-    const validation = updateProfileSchema.safeParse(req.body);
-    
-    if (!validation.success) {
-        return res.status(400).json({
-            success: false,
-            error: {
-                message: 'Validation failed',
-                details: validation.error.errors.map(err => ({
-                    field: err.path.join('.'),
-                    message: err.message
-                }))
-            }
-        });
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
     
-    const updates = validation.data;
+    const updates = updateProfileSchema.parse(req.body);
     
-    if (updates.email) {
-        const existingUser = Object.values(fakeUsersDb).find(
-            u => u.email === updates.email && u.id !== userId
-        );
-        if (existingUser) {
-            return res.status(409).json({
-                success: false,
-                error: { message: 'User with this email already exists' }
-            });
-        }
+    if (updates.email && await usersRepository.isEmailTaken(updates.email, userId)) {
+        return sendError(res, 'EMAIL_TAKEN', 'User with this email already exists');
     }
     
-    const updatedUser = {
+    const emailChanged = updates.email !== undefined && updates.email !== user.email;
+    const updatedUser = await usersRepository.update(userId, {
         ...user,
         email: updates.email !== undefined ? updates.email : user.email,
         name: updates.name !== undefined ? updates.name : user.name,
+        emailVerified: emailChanged ? false : user.emailVerified,
         updatedAt: new Date().toISOString()
-    };
-    
-    fakeUsersDb[userId] = updatedUser;
+    });
+
+    if (emailChanged) {
+        await sendEmailVerification(updatedUser);
+    }
     
     res.json({
         success: true,
@@ -290,122 +586,218 @@ app.put('/users/profile/:userId', (req, res) => {
             user: sanitizeUser(updatedUser)
         }
     });
-});
+}));
 
-app.get('/users', (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            role,
-            email,
-            name,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        let users = Object.values(fakeUsersDb);
-
-        if (role) {
-            users = users.filter(user => user.roles && user.roles.includes(role));
-        }
+// Смена пароля завершает все сессии пользователя; текущий клиент получает новую пару токенов
+app.post('/users/profile/:userId/password', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const user = await usersRepository.findById(userId);
 
-        if (email) {
-            users = users.filter(user => 
-                user.email.toLowerCase().includes(email.toLowerCase())
-            );
-        }
+    if (!user) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
+    }
 
-        if (name) {
-            users = users.filter(user => 
-                user.name.toLowerCase().includes(name.toLowerCase())
-            );
-        }
+    const { currentPassword, newPassword } = changePasswordSchema.parse(req.body);
 
-        users.sort((a, b) => {
-            let aValue = a[sortBy];
-            let bValue = b[sortBy];
-
-            if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
-                aValue = new Date(aValue);
-                bValue = new Date(bValue);
-            }
-
-            if (typeof aValue === 'string') {
-                aValue = aValue.toLowerCase();
-                bValue = bValue.toLowerCase();
-            }
-
-            if (sortOrder === 'desc') {
-                return bValue > aValue ? 1 : bValue < aValue ? -1 : 0;
-            } else {
-                return aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
-            }
-        });
+    const blocked = await accountLockout.check(userId);
+    if (blocked) {
+        return rejectBlockedLogin(res, blocked);
+    }
 
-        const pageNum = Math.max(1, parseInt(page, 10));
-        const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10)));
-        const startIndex = (pageNum - 1) * limitNum;
-        const endIndex = startIndex + limitNum;
-
-        const totalUsers = users.length;
-        const totalPages = Math.ceil(totalUsers / limitNum);
-        const paginatedUsers = users.slice(startIndex, endIndex);
-
-        const sanitizedUsers = paginatedUsers.map(sanitizeUser);
-
-        res.json({
-            success: true,
-            users: sanitizedUsers,
-            pagination: {
-                page: pageNum,
-                limit: limitNum,
-                total: totalUsers,
-                totalPages
-            },
-            filters: {
-                role: role || null,
-                email: email || null,
-                name: name || null
-            },
-            sorting: {
-                sortBy,
-                sortOrder
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
+    const passwordValid = await passwordHasher.verify(currentPassword, user.passwordHash);
+
+    const blockedDuringCheck = await accountLockout.check(userId);
+    if (blockedDuringCheck) {
+        return rejectBlockedLogin(res, blockedDuringCheck);
     }
-});
 
-app.post('/users', (req, res) => {
-    const validation = createUserSchema.safeParse(req.body);
-    
-    if (!validation.success) {
-        return res.status(400).json({ 
-            error: 'Validation failed', 
-            errors: validation.error.errors.map(err => ({
-                field: err.path.join('.'),
-                message: err.message
-            }))
+    if (!passwordValid) {
+        await recordFailedPassword(user);
+        return sendError(res, 'VALIDATION_FAILED', 'Validation failed', {
+            details: [{ field: 'currentPassword', message: 'Current password is incorrect' }]
         });
     }
+
+    await accountLockout.recordSuccess(userId);
+
+    const updatedUser = await usersRepository.update(userId, await updateUserModel(user, { password: newPassword }));
+    const sessionVersion = await tokenService.revokeAllForUser(userId);
+    await passwordResetTokens.revokeForUser(userId);
+
+    res.json({
+        success: true,
+        data: {
+            ...(await issueTokens(updatedUser)),
+            sessionVersion
+        },
+        message: 'Password changed, other sessions have been revoked'
+    });
+}));
+
+app.post('/users/profile/:userId/verify-email/resend', asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.userId);
+    const user = await usersRepository.findById(userId);
+
+    if (!user) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
+    }
+    if (user.emailVerified !== false) {
+        return sendError(res, 'EMAIL_ALREADY_VERIFIED', 'Email is already verified');
+    }
+
+    await sendEmailVerification(user);
+
+    res.status(202).json({
+        success: true,
+        message: 'Verification email has been sent'
+    });
+}));
+
+app.post('/users/verify-email', asyncHandler(async (req, res) => {
+    const { token } = verifyEmailSchema.parse(req.body);
+
+    const record = await emailVerificationTokens.consume(token);
+    const user = record ? await usersRepository.findById(record.userId) : null;
+
+    if (!user || user.email !== record.email) {
+        return sendError(res, 'INVALID_VERIFICATION_TOKEN', 'Verification token is invalid or expired');
+    }
+
+    const updatedUser = await usersRepository.update(user.id, {
+        ...user,
+        emailVerified: true,
+        updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+        success: true,
+        data: {
+            user: sanitizeUser(updatedUser)
+        },
+        message: 'Email has been verified'
+    });
+}));
+
+// Ответ не зависит от того, есть ли пользователь с таким email, и не ждет отправки письма
+app.post('/users/password/forgot', asyncHandler(async (req, res) => {
+    const { email } = forgotPasswordSchema.parse(req.body);
+    const user = await usersRepository.findByEmail(email);
+
+    if (user) {
+        const { token, expiresAt } = await passwordResetTokens.issue(user.id);
+        const link = process.env.PASSWORD_RESET_URL ? `${process.env.PASSWORD_RESET_URL}?token=${token}` : token;
+
+        notifier.send({
+            to: user.email,
+            subject: 'Password reset',
+            text: `To reset your password use: ${link}\nThe link is valid until ${expiresAt} and can be used once. If you did not request a reset, ignore this message.`
+        }).catch(error => logger.error({ userId: user.id, error: error.message }, 'Failed to send password reset notification'));
+    }
+
+    res.status(202).json({
+        success: true,
+        message: 'If an account with this email exists, password reset instructions have been sent'
+    });
+}));
+
+// Сброс пароля завершает все сессии и снимает блокировку входа
+app.post('/users/password/reset', asyncHandler(async (req, res) => {
+    const { token, newPassword } = resetPasswordSchema.parse(req.body);
+
+    const record = await passwordResetTokens.consume(token);
+    const user = record ? await usersRepository.findById(record.userId) : null;
+
+    if (!user) {
+        return sendError(res, 'INVALID_RESET_TOKEN', 'Reset token is invalid or expired');
+    }
+
+    await usersRepository.update(user.id, await updateUserModel(user, { password: newPassword }));
+    const sessionVersion = await tokenService.revokeAllForUser(user.id);
+    await accountLockout.recordSuccess(user.id);
+
+    res.json({
+        success: true,
+        data: { userId: user.id, sessionVersion },
+        message: 'Password has been reset'
+    });
+}));
+
+app.get('/users', asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 10,
+        role,
+        email,
+        name,
+        cursor: cursorParam
+    } = req.query;
+    let { sortBy, sortOrder } = listUsersQuerySchema.parse(req.query);
+
+    // В режиме курсора сортировка берется из курсора
+    let cursor = null;
+    if (cursorParam) {
+        const decoded = decodeCursor(cursorParam);
+        if (!decoded || !SORTABLE_FIELDS.includes(decoded.sortBy)) {
+            return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+        }
+
+        cursor = { value: decoded.value, id: decoded.id, direction: decoded.direction };
+        sortBy = decoded.sortBy;
+        sortOrder = decoded.sortOrder;
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 10));
+
+    const result = await usersRepository.list({
+        filters: { role, email, name },
+        sortBy,
+        sortOrder,
+        page: pageNum,
+        limit: limitNum,
+        cursor
+    });
+    const { items: paginatedUsers, total: totalUsers } = result;
+    const totalPages = Math.ceil(totalUsers / limitNum);
+
+    const sanitizedUsers = paginatedUsers.map(sanitizeUser);
+
+    res.json({
+        success: true,
+        users: sanitizedUsers,
+        pagination: {
+            page: cursor ? null : pageNum,
+            limit: limitNum,
+            total: totalUsers,
+            totalPages,
+            ...pageCursors({ ...result, items: sanitizedUsers }, sortBy, sortOrder)
+        },
+        filters: {
+            role: role || null,
+            email: email || null,
+            name: name || null
+        },
+        sorting: {
+            sortBy,
+            sortOrder
+        }
+    });
+}));
+
+app.post('/users', asyncHandler(async (req, res) => {
+    const userData = createUserSchema.parse(req.body);
     
-    const userData = validation.data;
-    
-    const existingUser = Object.values(fakeUsersDb).find(u => u.email === userData.email);
-    if (existingUser) {
-        return res.status(409).json({ error: 'User with this email already exists' });
+    if (await usersRepository.isEmailTaken(userData.email)) {
+        return sendError(res, 'EMAIL_TAKEN', 'User with this email already exists');
     }
     
-    const newUser = createUserModel(userData);
-    fakeUsersDb[newUser.id] = newUser;
+    const newUser = await usersRepository.create(await createUserModel(userData));
     
-    res.status(201).json(sanitizeUser(newUser));
-});
+    res.status(201).json({
+        success: true,
+        data: sanitizeUser(newUser)
+    });
+}));
 
 app.get('/users/health', (req, res) => {
     res.json({
@@ -419,68 +811,108 @@ app.get('/users/status', (req, res) => {
     res.json({status: 'Users service is running'});
 });
 
-app.get('/users/:userId', (req, res) => {
+app.get('/users/:userId', asyncHandler(async (req, res) => {
     const userId = parseInt(req.params.userId);
-    const user = fakeUsersDb[userId];
+    const user = await usersRepository.findById(userId);
 
     if (!user) {
-        return res.status(404).json({error: 'User not found'});
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
 
-    res.json(sanitizeUser(user));
-});
+    res.json({
+        success: true,
+        data: sanitizeUser(user)
+    });
+}));
 
-app.put('/users/:userId', (req, res) => {
+app.put('/users/:userId', asyncHandler(async (req, res) => {
     const userId = parseInt(req.params.userId);
+    const existingUser = await usersRepository.findById(userId);
 
-    if (!fakeUsersDb[userId]) {
-        return res.status(404).json({error: 'User not found'});
-    }
-    
-    const validation = updateUserSchema.safeParse(req.body);
-    
-    if (!validation.success) {
-        return res.status(400).json({ 
-            error: 'Validation failed', 
-            errors: validation.error.errors.map(err => ({
-                field: err.path.join('.'),
-                message: err.message
-            }))
-        });
+    if (!existingUser) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
     
-    const updates = validation.data;
+    const updates = updateUserSchema.parse(req.body);
     
-    if (updates.email) {
-        const existingUser = Object.values(fakeUsersDb).find(
-            u => u.email === updates.email && u.id !== userId
-        );
-        if (existingUser) {
-            return res.status(409).json({ error: 'User with this email already exists' });
-        }
+    if (updates.email && await usersRepository.isEmailTaken(updates.email, userId)) {
+        return sendError(res, 'EMAIL_TAKEN', 'User with this email already exists');
     }
 
-    const updatedUser = updateUserModel(fakeUsersDb[userId], updates);
-    fakeUsersDb[userId] = updatedUser;
+    const updatedUser = await usersRepository.update(userId, await updateUserModel(existingUser, updates));
     
-    res.json(sanitizeUser(updatedUser));
-});
+    res.json({
+        success: true,
+        data: sanitizeUser(updatedUser)
+    });
+}));
 
-app.delete('/users/:userId', (req, res) => {
+app.delete('/users/:userId', asyncHandler(async (req, res) => {
     const userId = parseInt(req.params.userId);
+    const deletedUser = await usersRepository.delete(userId);
 
-    if (!fakeUsersDb[userId]) {
-        return res.status(404).json({error: 'User not found'});
+    if (!deletedUser) {
+        return sendError(res, 'USER_NOT_FOUND', 'User not found');
     }
 
-    const deletedUser = fakeUsersDb[userId];
-    delete fakeUsersDb[userId];
+    await tokenService.revokeAllForUser(userId);
 
-    res.json({message: 'User deleted', user: sanitizeUser(deletedUser)});
+    res.json({
+        success: true,
+        message: 'User deleted',
+        data: sanitizeUser(deletedUser)
+    });
+}));
+
+app.use(notFoundHandler);
+
+// Гонка при проверке email: уникальность дополнительно проверяет репозиторий
+app.use((error, req, res, next) => {
+    next(error instanceof DuplicateEmailError ? new ApiError('EMAIL_TAKEN', error.message) : error);
 });
 
+app.use(errorHandler(logger));
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Users service running on port ${PORT}`);
-    createDefaultUsers();
-});
\ No newline at end of file
+let server;
+
+Promise.resolve()
+    .then(() => keyRing.init())
+    .then(() => usersRepository.init())
+    .then(() => tokenStore.init())
+    .then(() => lockoutStore.init())
+    .then(() => {
+        server = app.listen(PORT, '0.0.0.0', () => {
+            logger.info(`Users service running on port ${PORT}`);
+            createDefaultUsers().catch(error => logger.error({ error: error.message }, 'Failed to create default users'));
+        });
+
+        if (outboxRelay) {
+            outboxRelay.start().catch(error => logger.error({ error: error.message }, 'Outbox relay failed to start'));
+        }
+    })
+    .catch(error => {
+        logger.fatal({ error: error.message }, 'Failed to start users service');
+        process.exit(1);
+    });
+
+async function shutdown(signal) {
+    logger.info(`${signal} received, shutting down`);
+    if (server) {
+        server.close();
+    }
+    if (outboxRelay) {
+        await outboxRelay.stop();
+    }
+    if (authStateRedis) {
+        await authStateRedis.quit();
+    }
+    await tracer.shutdown();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Ротация ключей подписи без перезапуска: новый .pem в JWT_KEYS_DIR, затем kill -HUP
+process.on('SIGHUP', () => keyRing.reload());
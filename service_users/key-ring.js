@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Ключи подписи access-токенов: по PEM-файлу закрытого ключа на ключ в каталоге keysDir,
+// kid — имя файла без .pem. Алгоритм определяется типом ключа: RSA — RS256, EC P-256 — ES256.
+// Подписывает активный ключ: activeKid или последний по имени файла (удобно называть по дате: 2026-10-01.pem).
+// В JWKS публикуются все ключи каталога, поэтому токены, подписанные предыдущим ключом,
+// проверяются до удаления его файла.
+// dev.pem — ключ для разработки (под этим именем ключ раньше создавался автоматически), в production не принимается.
+const DEV_KID = 'dev';
+
+const ALGORITHMS_BY_CURVE = {
+    prime256v1: 'ES256'
+};
+
+function keyAlgorithm(privateKey) {
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (privateKey.asymmetricKeyType === 'ec') {
+        return ALGORITHMS_BY_CURVE[privateKey.asymmetricKeyDetails.namedCurve] || null;
+    }
+    return null;
+}
+
+class KeyRing {
+    constructor(keysDir, options = {}) {
+        this.keysDir = keysDir;
+        this.activeKid = options.activeKid || null;
+        this.production = Boolean(options.production);
+        this.autoGenerate = options.autoGenerate !== undefined ? options.autoGenerate : !this.production;
+        this.logger = options.logger;
+        this.keys = new Map();
+        this.active = null;
+    }
+
+    static fromEnv(logger, env = process.env) {
+        const production = env.NODE_ENV === 'production';
+        return new KeyRing(env.JWT_KEYS_DIR || './data/jwt-keys', {
+            activeKid: env.JWT_ACTIVE_KID,
+            production,
+            autoGenerate: !production || env.JWT_KEYS_AUTO_GENERATE === 'true',
+            logger
+        });
+    }
+
+    // Пустой каталог получает ключ <дата>.pem; несколько экземпляров с общим каталогом создадут его один раз.
+    // В production ключ создается, только если это разрешено явно (autoGenerate)
+    init() {
+        fs.mkdirSync(this.keysDir, { recursive: true });
+
+        if (!fs.readdirSync(this.keysDir).some(file => file.endsWith('.pem'))) {
+            if (!this.autoGenerate) {
+                throw new Error(`No JWT signing keys found in ${this.keysDir}, refusing to generate one in production`);
+            }
+
+            const kid = new Date().toISOString().slice(0, 10);
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            try {
+                fs.writeFileSync(path.join(this.keysDir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { flag: 'wx', mode: 0o600 });
+                this.logger.warn({ keysDir: this.keysDir, kid }, 'No JWT signing keys found, generated a new key');
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+
+        this.load();
+    }
+
+    // Перечитывает каталог; при ошибке остается прежний набор ключей
+    load() {
+        const keys = new Map();
+
+        for (const file of fs.readdirSync(this.keysDir).filter(name => name.endsWith('.pem')).sort()) {
+            const kid = path.basename(file, '.pem');
+            if (this.production && kid === DEV_KID) {
+                throw new Error(`JWT key ${file} is a development key, refusing to use it in production`);
+            }
+
+            const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(this.keysDir, file)));
+            const alg = keyAlgorithm(privateKey);
+            if (!alg) {
+                throw new Error(`JWT key ${file}: unsupported key type, use RSA or EC P-256`);
+            }
+
+            keys.set(kid, { kid, alg, privateKey, publicKey: crypto.createPublicKey(privateKey) });
+        }
+
+        const activeKid = this.activeKid || Array.from(keys.keys()).pop();
+        if (!keys.has(activeKid)) {
+            throw new Error(`JWT signing key ${activeKid || '(none)'} not found in ${this.keysDir}`);
+        }
+
+        this.keys = keys;
+        this.active = keys.get(activeKid);
+        this.logger.info({ activeKid, kids: Array.from(keys.keys()) }, 'JWT signing keys loaded');
+    }
+
+    reload() {
+        try {
+            this.load();
+        } catch (error) {
+            this.logger.error({ error: error.message }, 'Failed to reload JWT signing keys');
+        }
+    }
+
+    sign(payload, options = {}) {
+        return jwt.sign(payload, this.active.privateKey, {
+            ...options,
+            algorithm: this.active.alg,
+            keyid: this.active.kid
+        });
+    }
+
+    jwks() {
+        return {
+            keys: Array.from(this.keys.values()).map(({ kid, alg, publicKey }) => ({
+                ...publicKey.export({ format: 'jwk' }),
+                kid,
+                alg,
+                use: 'sig'
+            }))
+        };
+    }
+}
+
+module.exports = { KeyRing };
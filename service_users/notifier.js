@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Доставка писем пользователям (сброс пароля, подтверждение email).
+// Транспорт реализует send({ to, subject, text }); другой сервис рассылок подключается
+// классом с тем же методом.
+
+// Печатает письмо в stdout — для локальной разработки
+class ConsoleNotifier {
+    async send({ to, subject, text }) {
+        console.log(`📧 To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+}
+
+// Дописывает письма в JSON Lines файл — для тестов и окружений без почты
+class FileNotifier {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    }
+}
+
+// Отправка по SMTP; в docker-compose письма принимает Mailpit (веб-интерфейс на порту 8025)
+class SmtpNotifier {
+    constructor(url, from) {
+        const nodemailer = require('nodemailer');
+        this.transport = nodemailer.createTransport(url);
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        await this.transport.sendMail({ from: this.from, to, subject, text });
+    }
+}
+
+// NOTIFIER_TRANSPORT: console | file | smtp
+function createNotifier(env = process.env) {
+    const transport = env.NOTIFIER_TRANSPORT || 'console';
+
+    switch (transport) {
+        case 'console':
+            return new ConsoleNotifier();
+        case 'file':
+            return new FileNotifier(env.NOTIFIER_FILE_PATH || './data/notifications.jsonl');
+        case 'smtp':
+            return new SmtpNotifier(env.SMTP_URL || 'smtp://localhost:1025', env.MAIL_FROM || 'no-reply@example.com');
+        default:
+            throw new Error(`Unknown NOTIFIER_TRANSPORT: ${transport}`);
+    }
+}
+
+module.exports = {
+    ConsoleNotifier,
+    FileNotifier,
+    SmtpNotifier,
+    createNotifier
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+const TOKEN_BYTES = 32;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Одноразовые токены из писем (сброс пароля, подтверждение email), purpose — назначение токена.
+// Токены хранятся в хранилище состояния сессий (AUTH_STATE_STORE), поэтому переживают перезапуск
+// и действуют на любом экземпляре сервиса. Хранится только хеш токена; у пользователя действует
+// не больше одного токена на назначение — выпуск нового отменяет предыдущий.
+class OneTimeTokenStore {
+    constructor(store, purpose, options = {}) {
+        this.store = store;
+        this.purpose = purpose;
+        this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    }
+
+    // data сохраняется вместе с токеном и возвращается из consume()
+    async issue(userId, data = {}) {
+        const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+        const expiresAt = Date.now() + this.ttlMs;
+        await this.store.saveOneTimeToken(this.purpose, hashToken(token), { ...data, userId, expiresAt });
+
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    // { userId, ...data } или null; токен удаляется при первом предъявлении
+    async consume(token) {
+        const record = await this.store.consumeOneTimeToken(this.purpose, hashToken(token));
+        if (!record || record.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        const { expiresAt, ...data } = record;
+        return data;
+    }
+
+    revokeForUser(userId) {
+        return this.store.revokeOneTimeTokens(this.purpose, userId);
+    }
+}
+
+module.exports = { OneTimeTokenStore };
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Формат хеша: $scrypt$v=1$N=16384,r=8,p=1$<salt base64>$<hash base64>
+const HASH_VERSION = 1;
+const HASH_PATTERN = /^\$scrypt\$v=(\d+)\$N=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+
+const DEFAULT_PARAMS = {
+    N: 16384,
+    r: 8,
+    p: 1,
+    saltLength: 16,
+    keyLength: 64
+};
+
+// Параметры сохраненного хеша задают расход памяти и CPU при проверке (scrypt требует 128 * N * r байт),
+// поэтому хеш принимается только в пределах жесткого потолка. Потолок не зависит от текущих параметров:
+// после снижения стоимости хеши со старыми параметрами проверяются и пересчитываются при входе
+const HASH_LIMITS = {
+    maxMemoryBytes: 64 * 1024 * 1024,
+    maxParallelism: 4,
+    minSaltLength: 16,
+    minKeyLength: 16,
+    maxKeyLength: 128
+};
+
+function isPowerOfTwo(value) {
+    return value > 1 && (value & (value - 1)) === 0;
+}
+
+function withinLimits({ N, r, p, saltLength, keyLength }) {
+    return isPowerOfTwo(N) && r >= 1 && 128 * N * r <= HASH_LIMITS.maxMemoryBytes &&
+        p >= 1 && p <= HASH_LIMITS.maxParallelism &&
+        saltLength >= HASH_LIMITS.minSaltLength &&
+        keyLength >= HASH_LIMITS.minKeyLength && keyLength <= HASH_LIMITS.maxKeyLength;
+}
+
+function storedHashWithinLimits({ N, r, p, salt, hash }) {
+    return withinLimits({ N, r, p, saltLength: salt.length, keyLength: hash.length });
+}
+
+class PasswordHasher {
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_PARAMS, ...params };
+        this.dummyHash = null;
+
+        if (!withinLimits(this.params)) {
+            const { N, r, p } = this.params;
+            throw new Error(`Password hash parameters N=${N}, r=${r}, p=${p} are outside the supported limits`);
+        }
+    }
+
+    static fromEnv(env = process.env) {
+        const params = {};
+        if (env.PASSWORD_HASH_COST) params.N = parseInt(env.PASSWORD_HASH_COST, 10);
+        if (env.PASSWORD_HASH_BLOCK_SIZE) params.r = parseInt(env.PASSWORD_HASH_BLOCK_SIZE, 10);
+        if (env.PASSWORD_HASH_PARALLELISM) params.p = parseInt(env.PASSWORD_HASH_PARALLELISM, 10);
+        return new PasswordHasher(params);
+    }
+
+    static parse(encoded) {
+        const match = typeof encoded === 'string' ? HASH_PATTERN.exec(encoded) : null;
+        if (!match) {
+            return null;
+        }
+
+        return {
+            version: parseInt(match[1], 10),
+            N: parseInt(match[2], 10),
+            r: parseInt(match[3], 10),
+            p: parseInt(match[4], 10),
+            salt: Buffer.from(match[5], 'base64'),
+            hash: Buffer.from(match[6], 'base64')
+        };
+    }
+
+    static isHash(encoded) {
+        const parsed = PasswordHasher.parse(encoded);
+        return Boolean(parsed && parsed.version === HASH_VERSION && parsed.salt.length > 0 && parsed.hash.length > 0);
+    }
+
+    // Хеш в поддерживаемом формате с допустимыми параметрами
+    accepts(encoded) {
+        return PasswordHasher.isHash(encoded) && storedHashWithinLimits(PasswordHasher.parse(encoded));
+    }
+
+    async hash(password) {
+        const { N, r, p, saltLength, keyLength } = this.params;
+        const salt = crypto.randomBytes(saltLength);
+        const derived = await this.derive(password, salt, { N, r, p }, keyLength);
+
+        return `$scrypt$v=${HASH_VERSION}$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+    }
+
+    async verify(password, encoded) {
+        const parsed = PasswordHasher.parse(encoded);
+        if (!parsed || parsed.version !== HASH_VERSION || !storedHashWithinLimits(parsed)) {
+            return false;
+        }
+
+        const derived = await this.derive(password, parsed.salt, parsed, parsed.hash.length);
+        return derived.length === parsed.hash.length && crypto.timingSafeEqual(derived, parsed.hash);
+    }
+
+    // Проверка для несуществующей учетной записи: та же работа scrypt, что и с настоящим хешем,
+    // чтобы по времени ответа нельзя было узнать, зарегистрирован ли email. Всегда false
+    async verifyDummy(password) {
+        if (!this.dummyHash) {
+            this.dummyHash = this.hash(crypto.randomBytes(16).toString('hex'));
+        }
+
+        await this.verify(password, await this.dummyHash);
+        return false;
+    }
+
+    // Хеш устарел, если он создан с другими параметрами или другой версией формата
+    needsRehash(encoded) {
+        const parsed = PasswordHasher.parse(encoded);
+        if (!parsed) {
+            return true;
+        }
+
+        const { N, r, p, keyLength } = this.params;
+        return parsed.version !== HASH_VERSION ||
+            parsed.N !== N ||
+            parsed.r !== r ||
+            parsed.p !== p ||
+            parsed.hash.length !== keyLength;
+    }
+
+    derive(password, salt, { N, r, p }, keyLength) {
+        return scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+    }
+}
+
+module.exports = {
+    HASH_VERSION,
+    HASH_LIMITS,
+    PasswordHasher
+};
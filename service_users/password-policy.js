@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+const CHARACTER_CLASSES = {
+    lowercase: /[a-z]/,
+    uppercase: /[A-Z]/,
+    digit: /[0-9]/,
+    symbol: /[^A-Za-z0-9]/
+};
+
+// Требования к новому паролю: длина, число классов символов (строчные, заглавные, цифры, прочие)
+// и отсутствие в списке распространенных/утекших паролей (файл, по паролю на строку, без учета регистра).
+// Проверяются только пароли, которые задает пользователь; уже сохраненные хеши не перепроверяются.
+class PasswordPolicy {
+    constructor(options = {}) {
+        this.minLength = options.minLength || 8;
+        this.maxLength = options.maxLength || 128;
+        this.minCharacterClasses = options.minCharacterClasses !== undefined ? options.minCharacterClasses : 3;
+        this.blocklist = options.blocklist || new Set();
+    }
+
+    static fromEnv(env = process.env) {
+        return new PasswordPolicy({
+            minLength: parseInt(env.PASSWORD_MIN_LENGTH, 10) || undefined,
+            maxLength: parseInt(env.PASSWORD_MAX_LENGTH, 10) || undefined,
+            minCharacterClasses: env.PASSWORD_MIN_CHARACTER_CLASSES !== undefined
+                ? parseInt(env.PASSWORD_MIN_CHARACTER_CLASSES, 10)
+                : undefined,
+            blocklist: PasswordPolicy.loadBlocklist(env.PASSWORD_BLOCKLIST_PATH || path.join(__dirname, 'common-passwords.txt'))
+        });
+    }
+
+    // Строки, начинающиеся с #, — комментарии
+    static loadBlocklist(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+        return new Set(lines
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line !== '' && !line.startsWith('#')));
+    }
+
+    // Список нарушений; пустой — пароль подходит
+    check(password) {
+        const problems = [];
+
+        if (password.length < this.minLength) {
+            problems.push(`Password must be at least ${this.minLength} characters long`);
+        }
+        if (password.length > this.maxLength) {
+            problems.push(`Password must be at most ${this.maxLength} characters long`);
+        }
+
+        const classes = Object.values(CHARACTER_CLASSES).filter(pattern => pattern.test(password)).length;
+        if (classes < this.minCharacterClasses) {
+            problems.push(`Password must contain at least ${this.minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols`);
+        }
+
+        if (this.blocklist.has(password.toLowerCase())) {
+            problems.push('Password is too common or has appeared in a data breach');
+        }
+
+        return problems;
+    }
+}
+
+module.exports = { PasswordPolicy };
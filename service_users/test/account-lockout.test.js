@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccountLockout, InMemoryLockoutStore, FileLockoutStore } = require('../account-lockout');
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+
+function lockout(store = new InMemoryLockoutStore()) {
+    return new AccountLockout({ store, freeAttempts: 2, maxAttempts: 4, delayMs: 1000, lockoutMs: 60000, failureWindowMs: 300000 });
+}
+
+describe('account lockout', () => {
+    it('allows freeAttempts failures without a delay', async () => {
+        const accounts = lockout();
+
+        await accounts.recordFailure(1, NOW);
+        await accounts.recordFailure(1, NOW);
+
+        assert.equal(await accounts.check(1, NOW), null);
+    });
+
+    it('throttles with a doubling delay and then locks the account', async () => {
+        const accounts = lockout();
+        for (let i = 0; i < 2; i++) {
+            await accounts.recordFailure(1, NOW);
+        }
+
+        assert.deepEqual(await accounts.recordFailure(1, NOW), { attempts: 3, locked: false });
+        assert.equal((await accounts.check(1, NOW)).code, 'LOGIN_THROTTLED');
+        assert.equal(await accounts.check(1, NOW + 1000), null);
+
+        assert.deepEqual(await accounts.recordFailure(1, NOW + 1000), { attempts: 4, locked: true });
+        assert.deepEqual(await accounts.check(1, NOW + 1000), {
+            code: 'ACCOUNT_LOCKED',
+            retryAfterSeconds: 60,
+            blockedUntil: new Date(NOW + 61000).toISOString()
+        });
+    });
+
+    it('shares counters between instances with a common store', async () => {
+        const store = new InMemoryLockoutStore();
+        const first = lockout(store);
+        const second = lockout(store);
+
+        await first.recordFailure(1, NOW);
+        await second.recordFailure(1, NOW);
+        await first.recordFailure(1, NOW);
+
+        assert.equal((await second.check(1, NOW)).code, 'LOGIN_THROTTLED');
+    });
+
+    it('forgets failures after the failure window', async () => {
+        const accounts = lockout();
+        for (let i = 0; i < 3; i++) {
+            await accounts.recordFailure(1, NOW);
+        }
+
+        assert.deepEqual(await accounts.recordFailure(1, NOW + 300001), { attempts: 1, locked: false });
+    });
+
+    it('resets counters after a successful login', async () => {
+        const accounts = lockout();
+        for (let i = 0; i < 3; i++) {
+            await accounts.recordFailure(1, NOW);
+        }
+
+        await accounts.recordSuccess(1);
+
+        assert.equal(await accounts.check(1, NOW), null);
+        assert.deepEqual(await accounts.recordFailure(1, NOW), { attempts: 1, locked: false });
+    });
+
+    it('resets counters on unlock', async () => {
+        const accounts = lockout();
+        for (let i = 0; i < 4; i++) {
+            await accounts.recordFailure(1, NOW);
+        }
+
+        assert.equal(await accounts.unlock(1, NOW), true);
+        assert.equal(await accounts.check(1, NOW), null);
+        assert.equal(await accounts.unlock(1, NOW), false);
+    });
+});
+
+describe('file lockout store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lockout-store-'));
+        filePath = path.join(dir, 'lockouts.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function open() {
+        const store = new FileLockoutStore(filePath);
+        await store.init();
+        return store;
+    }
+
+    it('keeps a locked account and failure counters after a restart', async () => {
+        const now = Date.now();
+        const accounts = lockout(await open());
+        for (let i = 0; i < 4; i++) {
+            await accounts.recordFailure(1, now);
+        }
+        await accounts.recordFailure(2, now);
+
+        const restarted = lockout(await open());
+
+        assert.equal((await restarted.check(1, now)).code, 'ACCOUNT_LOCKED');
+        assert.deepEqual(await restarted.recordFailure(2, now), { attempts: 2, locked: false });
+    });
+
+    it('does not restore unlocked accounts or expired counters', async () => {
+        const now = Date.now();
+        const accounts = lockout(await open());
+        for (let i = 0; i < 4; i++) {
+            await accounts.recordFailure(1, now);
+        }
+        await accounts.recordFailure(2, now - 300001);
+        await accounts.unlock(1, now);
+
+        const store = await open();
+
+        assert.deepEqual(store.entries(now), []);
+    });
+});
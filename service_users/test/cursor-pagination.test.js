@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, pageCursors } = require('shared/cursor-pagination');
+const { InMemoryUsersRepository } = require('../users-repository');
+
+// Пять пользователей с двумя одинаковыми createdAt на каждую пару: порядок внутри пары задает id
+async function seedUsers() {
+    const repository = new InMemoryUsersRepository();
+    const createdAt = ['2026-01-01', '2026-01-01', '2026-01-02', '2026-01-02', '2026-01-03'];
+
+    for (const [index, date] of createdAt.entries()) {
+        await repository.create({ email: `user${index}@example.com`, name: `User ${index}`, createdAt: `${date}T00:00:00.000Z` });
+    }
+    return repository;
+}
+
+async function listPage(repository, cursor, sortOrder = 'asc') {
+    const result = await repository.list({ sortBy: 'createdAt', sortOrder, limit: 2, cursor: cursor ? decodeCursor(cursor) : null });
+    return { ids: result.items.map(user => user.id), ...pageCursors(result, 'createdAt', sortOrder) };
+}
+
+describe('cursor pagination', () => {
+    it('round-trips a cursor', () => {
+        const cursor = { sortBy: 'createdAt', sortOrder: 'desc', value: '2026-01-01T00:00:00.000Z', id: 7, direction: 'next' };
+
+        assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+    });
+
+    it('rejects damaged and incomplete cursors', () => {
+        assert.equal(decodeCursor('not-a-cursor'), null);
+        assert.equal(decodeCursor(Buffer.from('{"sortBy":"id"}').toString('base64url')), null);
+        assert.equal(decodeCursor(encodeCursor({ sortBy: 'id', sortOrder: 'sideways', value: 1, id: 1, direction: 'next' })), null);
+        assert.equal(decodeCursor(encodeCursor({ sortBy: 'id', sortOrder: 'asc', value: 1, id: '1', direction: 'next' })), null);
+    });
+
+    it('walks forward through equal sort values without skips or repeats', async () => {
+        const repository = await seedUsers();
+
+        const first = await listPage(repository, null);
+        const second = await listPage(repository, first.nextCursor);
+        const third = await listPage(repository, second.nextCursor);
+
+        assert.deepEqual([first.ids, second.ids, third.ids], [[1, 2], [3, 4], [5]]);
+        assert.equal(first.prevCursor, null);
+        assert.equal(third.nextCursor, null);
+    });
+
+    it('walks back with prevCursor', async () => {
+        const repository = await seedUsers();
+
+        const first = await listPage(repository, null);
+        const second = await listPage(repository, first.nextCursor);
+        const third = await listPage(repository, second.nextCursor);
+        const back = await listPage(repository, third.prevCursor);
+
+        assert.deepEqual(back.ids, [3, 4]);
+        assert.deepEqual((await listPage(repository, back.prevCursor)).ids, [1, 2]);
+    });
+
+    it('breaks ties by id in descending order too', async () => {
+        const repository = await seedUsers();
+
+        const first = await listPage(repository, null, 'desc');
+        const second = await listPage(repository, first.nextCursor, 'desc');
+
+        assert.deepEqual([first.ids, second.ids], [[5, 4], [3, 2]]);
+    });
+
+    it('is not shifted by records created between requests', async () => {
+        const repository = await seedUsers();
+
+        const first = await listPage(repository, null);
+        await repository.create({ email: 'early@example.com', name: 'Early', createdAt: '2025-12-31T00:00:00.000Z' });
+
+        assert.deepEqual((await listPage(repository, first.nextCursor)).ids, [3, 4]);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { KeyRing } = require('../key-ring');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function writeKey(dir, kid, type = 'rsa', options = { modulusLength: 2048 }) {
+    const { privateKey } = crypto.generateKeyPairSync(type, options);
+    fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    return privateKey;
+}
+
+// Проверка так же, как в gateway: открытый ключ берется из JWKS по kid из заголовка токена
+function verify(token, jwks) {
+    const { header } = jwt.decode(token, { complete: true });
+    const jwk = jwks.keys.find(key => key.kid === header.kid);
+    if (!jwk) {
+        throw new Error(`Unknown kid ${header.kid}`);
+    }
+    return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: [jwk.alg] });
+}
+
+describe('key ring', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('generates a key named by date in an empty directory', () => {
+        const ring = new KeyRing(dir, { logger });
+        ring.init();
+
+        assert.deepEqual(fs.readdirSync(dir), [`${new Date().toISOString().slice(0, 10)}.pem`]);
+        assert.equal(verify(ring.sign({ sub: '1' }), ring.jwks()).sub, '1');
+    });
+
+    it('refuses to generate a key in production unless allowed', () => {
+        assert.throws(() => new KeyRing(dir, { production: true, logger }).init(), /No JWT signing keys found/);
+
+        KeyRing.fromEnv(logger, { NODE_ENV: 'production', JWT_KEYS_DIR: dir, JWT_KEYS_AUTO_GENERATE: 'true' }).init();
+        assert.equal(fs.readdirSync(dir).length, 1);
+    });
+
+    it('refuses the development key in production', () => {
+        writeKey(dir, 'dev');
+
+        assert.throws(() => KeyRing.fromEnv(logger, { NODE_ENV: 'production', JWT_KEYS_DIR: dir }).init(), /development key/);
+        KeyRing.fromEnv(logger, { JWT_KEYS_DIR: dir }).init();
+    });
+
+    it('signs with the newest key and keeps verifying tokens of the previous one', () => {
+        writeKey(dir, '2026-01-01');
+        const ring = new KeyRing(dir, { logger });
+        ring.init();
+        const oldToken = ring.sign({ sub: '1' });
+
+        writeKey(dir, '2026-02-01');
+        ring.reload();
+        const newToken = ring.sign({ sub: '2' });
+
+        assert.equal(jwt.decode(newToken, { complete: true }).header.kid, '2026-02-01');
+        assert.deepEqual(ring.jwks().keys.map(key => key.kid), ['2026-01-01', '2026-02-01']);
+        assert.equal(verify(oldToken, ring.jwks()).sub, '1');
+        assert.equal(verify(newToken, ring.jwks()).sub, '2');
+    });
+
+    it('stops accepting tokens of a removed key', () => {
+        writeKey(dir, '2026-01-01');
+        const ring = new KeyRing(dir, { logger });
+        ring.init();
+        const oldToken = ring.sign({ sub: '1' });
+
+        writeKey(dir, '2026-02-01');
+        fs.unlinkSync(path.join(dir, '2026-01-01.pem'));
+        ring.reload();
+
+        assert.throws(() => verify(oldToken, ring.jwks()), /Unknown kid 2026-01-01/);
+    });
+
+    it('rejects a token signed by another key under a published kid', () => {
+        writeKey(dir, '2026-01-01');
+        const ring = new KeyRing(dir, { logger });
+        ring.init();
+        const forged = jwt.sign({ sub: '1' }, crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey, {
+            algorithm: 'RS256',
+            keyid: '2026-01-01'
+        });
+
+        assert.throws(() => verify(forged, ring.jwks()), /invalid signature/);
+    });
+
+    it('uses activeKid and EC keys with ES256', () => {
+        writeKey(dir, 'a-ec', 'ec', { namedCurve: 'prime256v1' });
+        writeKey(dir, 'b-rsa');
+        const ring = new KeyRing(dir, { activeKid: 'a-ec', logger });
+        ring.init();
+
+        const { header } = jwt.decode(ring.sign({ sub: '1' }), { complete: true });
+        assert.deepEqual([header.kid, header.alg], ['a-ec', 'ES256']);
+    });
+
+    it('keeps the loaded keys when a reload fails', () => {
+        writeKey(dir, '2026-01-01');
+        const ring = new KeyRing(dir, { logger });
+        ring.init();
+
+        writeKey(dir, '2026-02-01', 'ed25519', {});
+        ring.reload();
+
+        assert.equal(ring.active.kid, '2026-01-01');
+        assert.throws(() => ring.load(), /unsupported key type/);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PasswordHasher } = require('../password-hasher');
+
+// Небольшая стоимость, чтобы тесты не тратили время на scrypt
+const PARAMS = { N: 1024, r: 8, p: 1 };
+
+describe('password hasher', () => {
+    it('verifies a password against its own hash', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+        const hash = await hasher.hash('correct horse battery staple');
+
+        assert.match(hash, /^\$scrypt\$v=1\$N=1024,r=8,p=1\$/);
+        assert.equal(PasswordHasher.isHash(hash), true);
+        assert.equal(await hasher.verify('correct horse battery staple', hash), true);
+    });
+
+    it('rejects a wrong password', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+        const hash = await hasher.hash('correct horse battery staple');
+
+        assert.equal(await hasher.verify('correct horse battery stapler', hash), false);
+    });
+
+    it('salts every hash', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+
+        assert.notEqual(await hasher.hash('same password'), await hasher.hash('same password'));
+    });
+
+    it('rejects values that are not scrypt hashes', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+
+        assert.equal(PasswordHasher.isHash('password123'), false);
+        assert.equal(await hasher.verify('password123', 'password123'), false);
+        assert.equal(await hasher.verify('password123', null), false);
+    });
+
+    it('asks for a rehash when the parameters change', async () => {
+        const hash = await new PasswordHasher(PARAMS).hash('correct horse battery staple');
+
+        assert.equal(new PasswordHasher(PARAMS).needsRehash(hash), false);
+        assert.equal(new PasswordHasher({ ...PARAMS, N: 2048 }).needsRehash(hash), true);
+        assert.equal(new PasswordHasher({ ...PARAMS, keyLength: 32 }).needsRehash(hash), true);
+        assert.equal(new PasswordHasher(PARAMS).needsRehash('password123'), true);
+    });
+
+    it('verifies hashes made with other parameters', async () => {
+        const hash = await new PasswordHasher(PARAMS).hash('correct horse battery staple');
+
+        assert.equal(await new PasswordHasher({ ...PARAMS, N: 2048 }).verify('correct horse battery staple', hash), true);
+    });
+
+    it('refuses stored hashes with out-of-bound parameters without running scrypt on them', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+        const hash = await hasher.hash('correct horse battery staple');
+
+        for (const params of ['N=1048576,r=8,p=1', 'N=1000,r=8,p=1', 'N=1024,r=1024,p=1', 'N=1024,r=8,p=16', 'N=1024,r=0,p=1']) {
+            const tampered = hash.replace('N=1024,r=8,p=1', params);
+            assert.equal(hasher.accepts(tampered), false, params);
+            assert.equal(await hasher.verify('correct horse battery staple', tampered), false, params);
+        }
+        assert.equal(hasher.accepts(hash), true);
+    });
+
+    it('keeps verifying hashes made with a higher cost after the cost is lowered', async () => {
+        const hash = await new PasswordHasher({ ...PARAMS, N: 4096 }).hash('correct horse battery staple');
+        const hasher = new PasswordHasher(PARAMS);
+
+        assert.equal(hasher.accepts(hash), true);
+        assert.equal(await hasher.verify('correct horse battery staple', hash), true);
+        assert.equal(hasher.needsRehash(hash), true);
+    });
+
+    it('rejects stored hashes with a short salt or digest', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+        const parts = (await hasher.hash('correct horse battery staple')).split('$');
+        const shorten = index => parts.map((part, i) => (i === index ? Buffer.from(part, 'base64').subarray(0, 8).toString('base64') : part)).join('$');
+
+        assert.equal(hasher.accepts(shorten(parts.length - 2)), false);
+        assert.equal(hasher.accepts(shorten(parts.length - 1)), false);
+    });
+
+    it('refuses to hash with parameters above the limits', () => {
+        assert.throws(() => new PasswordHasher({ N: 1048576 }), /outside the supported limits/);
+        assert.throws(() => new PasswordHasher({ ...PARAMS, saltLength: 8 }), /outside the supported limits/);
+        assert.throws(() => PasswordHasher.fromEnv({ PASSWORD_HASH_COST: '10000' }), /outside the supported limits/);
+    });
+
+    it('rejects a hash whose digest was changed', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+        const hash = await hasher.hash('correct horse battery staple');
+        const digest = hash.slice(hash.lastIndexOf('$') + 1);
+        const tampered = hash.slice(0, hash.lastIndexOf('$') + 1) + Buffer.from(digest, 'base64').fill(0, 0, 4).toString('base64');
+
+        assert.equal(await hasher.verify('correct horse battery staple', tampered), false);
+    });
+
+    it('runs a dummy check for unknown accounts that never succeeds', async () => {
+        const hasher = new PasswordHasher(PARAMS);
+
+        assert.equal(await hasher.verifyDummy('correct horse battery staple'), false);
+        assert.equal(await hasher.verifyDummy('correct horse battery staple'), false);
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PasswordPolicy } = require('../password-policy');
+
+describe('password policy', () => {
+    it('accepts a long password with three character classes', () => {
+        assert.deepEqual(new PasswordPolicy().check('Harbour-lights-42'), []);
+    });
+
+    it('enforces the length limits', () => {
+        const policy = new PasswordPolicy({ minLength: 10, maxLength: 12 });
+
+        assert.deepEqual(policy.check('Short-1a'), ['Password must be at least 10 characters long']);
+        assert.deepEqual(policy.check('Much-too-long-1'), ['Password must be at most 12 characters long']);
+    });
+
+    it('counts lowercase, uppercase, digits and symbols as character classes', () => {
+        const policy = new PasswordPolicy();
+        const problem = 'Password must contain at least 3 of: lowercase letters, uppercase letters, digits, symbols';
+
+        assert.deepEqual(policy.check('onlylowercase'), [problem]);
+        assert.deepEqual(policy.check('lowercase-and-symbols'), [problem]);
+        assert.deepEqual(policy.check('lowercase-and-symbols-7'), []);
+        assert.deepEqual(new PasswordPolicy({ minCharacterClasses: 0 }).check('onlylowercase'), []);
+    });
+
+    it('rejects blocklisted passwords regardless of case', () => {
+        const policy = new PasswordPolicy({ blocklist: new Set(['summer2024!']) });
+
+        assert.deepEqual(policy.check('Summer2024!'), ['Password is too common or has appeared in a data breach']);
+    });
+
+    it('loads the blocklist without comments and blank lines', () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blocklist-')), 'passwords.txt');
+        fs.writeFileSync(filePath, '# common passwords\n\nPassword1\r\nqwerty\n');
+
+        assert.deepEqual(Array.from(PasswordPolicy.loadBlocklist(filePath)).sort(), ['password1', 'qwerty']);
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    });
+
+    it('ships a blocklist that rejects well-known passwords', () => {
+        const policy = PasswordPolicy.fromEnv({});
+
+        assert.ok(policy.check('Password123').includes('Password is too common or has appeared in a data breach'));
+    });
+});
@@ -0,0 +1,207 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenService, InMemoryTokenStore, FileTokenStore, parseDuration } = require('../token-service');
+const { OneTimeTokenStore } = require('../one-time-tokens');
+
+describe('refresh token rotation', () => {
+    it('issues a new token and rejects the used one', async () => {
+        const service = new TokenService();
+        const token = await service.issueRefreshToken(1);
+
+        const rotated = await service.rotateRefreshToken(token);
+
+        assert.equal(rotated.userId, 1);
+        assert.notEqual(rotated.refreshToken, token);
+        assert.deepEqual(await service.rotateRefreshToken(token), { error: 'Refresh token has been revoked' });
+    });
+
+    it('rejects unknown tokens', async () => {
+        const service = new TokenService();
+
+        assert.deepEqual(await service.rotateRefreshToken('not-a-token'), { error: 'Invalid refresh token' });
+    });
+
+    it('revokes the whole family when a used token is presented again', async () => {
+        const service = new TokenService();
+        const token = await service.issueRefreshToken(1);
+        const { refreshToken } = await service.rotateRefreshToken(token);
+
+        await service.rotateRefreshToken(token);
+
+        assert.ok((await service.rotateRefreshToken(refreshToken)).error);
+    });
+
+    it('lets only one of two parallel rotations through', async () => {
+        const service = new TokenService();
+        const token = await service.issueRefreshToken(1);
+
+        const results = await Promise.all([service.rotateRefreshToken(token), service.rotateRefreshToken(token)]);
+
+        assert.equal(results.filter(result => result.refreshToken).length, 1);
+    });
+
+    it('lets users revoke only their own refresh tokens', async () => {
+        const service = new TokenService();
+        const token = await service.issueRefreshToken(1);
+
+        assert.equal(await service.revokeRefreshToken(token, 2), false);
+        assert.equal(await service.revokeRefreshToken(token, 1), true);
+        assert.ok((await service.rotateRefreshToken(token)).error);
+    });
+
+    it('invalidates refresh tokens issued before logout from all devices', async () => {
+        const service = new TokenService();
+        const token = await service.issueRefreshToken(1);
+
+        assert.equal(await service.revokeAllForUser(1), 1);
+        assert.ok((await service.rotateRefreshToken(token)).error);
+        assert.ok((await service.rotateRefreshToken(await service.issueRefreshToken(1))).refreshToken);
+    });
+});
+
+describe('revocations', () => {
+    it('lists revoked access tokens until they expire and session versions', async () => {
+        const service = new TokenService();
+        const exp = Math.floor(Date.now() / 1000) + 60;
+
+        await service.revokeAccessToken('jti-1', exp);
+        await service.revokeAccessToken('jti-2', Math.floor(Date.now() / 1000) - 1);
+        await service.revokeAllForUser(7);
+
+        const revocations = await service.getRevocations();
+        assert.deepEqual(revocations.tokens, [{ jti: 'jti-1', expiresAt: new Date(exp * 1000).toISOString() }]);
+        assert.deepEqual(revocations.sessionVersions, [{ userId: 7, version: 1 }]);
+        assert.equal(revocations.full, true);
+    });
+
+    it('returns only changes after the cursor', async () => {
+        const service = new TokenService();
+        const exp = Math.floor(Date.now() / 1000) + 60;
+        await service.revokeAccessToken('jti-1', exp);
+        await service.revokeAllForUser(7);
+        const { cursor } = await service.getRevocations();
+
+        await service.revokeAccessToken('jti-2', exp);
+        await service.revokeAllForUser(8);
+        const changes = await service.getRevocations(cursor);
+
+        assert.equal(changes.full, false);
+        assert.deepEqual(changes.tokens.map(({ jti }) => jti), ['jti-2']);
+        assert.deepEqual(changes.sessionVersions, [{ userId: 8, version: 1 }]);
+
+        const unchanged = await service.getRevocations(changes.cursor);
+        assert.deepEqual([unchanged.full, unchanged.tokens, unchanged.sessionVersions], [false, [], []]);
+    });
+
+    it('returns the full list for a cursor of another store', async () => {
+        const service = new TokenService();
+        await service.revokeAllForUser(7);
+        const { cursor } = await new TokenService().getRevocations();
+
+        const revocations = await service.getRevocations(cursor);
+
+        assert.equal(revocations.full, true);
+        assert.deepEqual(revocations.sessionVersions, [{ userId: 7, version: 1 }]);
+    });
+});
+
+describe('file token store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+        filePath = path.join(dir, 'tokens.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function open() {
+        const store = new FileTokenStore(filePath);
+        await store.init();
+        return store;
+    }
+
+    it('keeps session versions, used refresh tokens and one-time tokens after a restart', async () => {
+        const service = new TokenService({ store: await open() });
+        const token = await service.issueRefreshToken(1);
+        await service.rotateRefreshToken(token);
+        await service.revokeAllForUser(2);
+        const { token: resetToken } = await new OneTimeTokenStore(service.store, 'password-reset').issue(3);
+
+        const restarted = new TokenService({ store: await open() });
+
+        assert.equal(await restarted.getSessionVersion(2), 1);
+        assert.ok((await restarted.rotateRefreshToken(token)).error);
+        assert.deepEqual(await new OneTimeTokenStore(restarted.store, 'password-reset').consume(resetToken), { userId: 3 });
+    });
+
+    it('keeps the revocation cursor valid after a restart', async () => {
+        const service = new TokenService({ store: await open() });
+        await service.revokeAllForUser(1);
+        const { cursor } = await service.getRevocations();
+
+        const restarted = new TokenService({ store: await open() });
+        await restarted.revokeAllForUser(2);
+        const changes = await restarted.getRevocations(cursor);
+
+        assert.equal(changes.full, false);
+        assert.deepEqual(changes.sessionVersions, [{ userId: 2, version: 1 }]);
+    });
+
+    it('compacts the journal after compactAfter writes', async () => {
+        const store = new FileTokenStore(filePath, { compactAfter: 5 });
+        await store.init();
+        const service = new TokenService({ store });
+
+        for (let i = 0; i < 12; i++) {
+            await service.revokeAllForUser(1);
+        }
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+        assert.ok(lines.length < 6);
+        assert.equal(await (await open()).getSessionVersion(1), 12);
+    });
+});
+
+describe('one-time tokens', () => {
+    it('are consumed once and replaced by the next token of the same purpose', async () => {
+        const store = new InMemoryTokenStore();
+        const resets = new OneTimeTokenStore(store, 'password-reset');
+        const verifications = new OneTimeTokenStore(store, 'email-verification');
+
+        const first = await resets.issue(1);
+        const second = await resets.issue(1);
+        const verification = await verifications.issue(1, { email: 'user@example.com' });
+
+        assert.equal(await resets.consume(first.token), null);
+        assert.deepEqual(await resets.consume(second.token), { userId: 1 });
+        assert.equal(await resets.consume(second.token), null);
+        assert.equal(await resets.consume(verification.token), null);
+        assert.deepEqual(await verifications.consume(verification.token), { userId: 1, email: 'user@example.com' });
+    });
+
+    it('expire after ttlMs', async () => {
+        const tokens = new OneTimeTokenStore(new InMemoryTokenStore(), 'password-reset', { ttlMs: 1 });
+        const { token } = await tokens.issue(1);
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.equal(await tokens.consume(token), null);
+    });
+});
+
+describe('parseDuration', () => {
+    it('reads durations with units and falls back on invalid values', () => {
+        assert.equal(parseDuration('15m', 1), 15 * 60 * 1000);
+        assert.equal(parseDuration('30d', 1), 30 * 24 * 60 * 60 * 1000);
+        assert.equal(parseDuration('10', 1), 10000);
+        assert.equal(parseDuration('soon', 1), 1);
+        assert.equal(parseDuration(undefined, 1), 1);
+    });
+});
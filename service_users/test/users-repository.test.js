@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DuplicateEmailError, InMemoryUsersRepository } = require('../users-repository');
+
+// Журнал, запись в который можно сломать или задержать
+class ControlledRepository extends InMemoryUsersRepository {
+    async persist() {
+        if (this.pending) {
+            await this.pending;
+        }
+        if (this.failing) {
+            throw new Error('ENOSPC: no space left on device');
+        }
+    }
+}
+
+function user(email) {
+    return { email, name: 'Ann', roles: ['Customer'] };
+}
+
+describe('users repository', () => {
+    it('rolls back changes when the journal write fails', async () => {
+        const repository = new ControlledRepository();
+        const ann = await repository.create(user('ann@example.com'));
+        repository.failing = true;
+
+        await assert.rejects(repository.create(user('bob@example.com')), /ENOSPC/);
+        await assert.rejects(repository.update(ann.id, { ...ann, email: 'anna@example.com' }), /ENOSPC/);
+        await assert.rejects(repository.delete(ann.id), /ENOSPC/);
+
+        assert.equal(await repository.findByEmail('bob@example.com'), null);
+        assert.equal((await repository.findById(ann.id)).email, 'ann@example.com');
+        assert.equal((await repository.list()).total, 1);
+    });
+
+    it('rejects a duplicate email while the first write is still in progress', async () => {
+        const repository = new ControlledRepository();
+        let finishWrite;
+        repository.pending = new Promise(resolve => {
+            finishWrite = resolve;
+        });
+
+        const first = repository.create(user('ann@example.com'));
+        await assert.rejects(repository.create(user('ann@example.com')), DuplicateEmailError);
+        finishWrite();
+
+        assert.equal((await first).email, 'ann@example.com');
+    });
+});
@@ -0,0 +1,553 @@
+const crypto = require('crypto');
+const { JsonLog } = require('shared/json-log');
+
+const REFRESH_TOKEN_BYTES = 48;
+
+function parseDuration(value, fallbackMs) {
+    if (!value) {
+        return fallbackMs;
+    }
+
+    const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if (!match) {
+        return fallbackMs;
+    }
+
+    const multipliers = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * multipliers[match[2] || 's'];
+}
+
+// null для пустого или нераспознанного cursor: клиент получит полный список
+function parseRevocationCursor(cursor) {
+    const match = /^([\w-]+)\.(\d+)$/.exec(cursor || '');
+    return match ? { epoch: match[1], revision: parseInt(match[2], 10) } : null;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Состояние сессий в памяти процесса: версии сессий пользователей, refresh-токены (по хешу),
+// отозванные семейства refresh-токенов, отозванные access-токены и одноразовые токены из писем.
+// Записи с истекшим сроком удаляются при обращении.
+// Каждый отзыв access-токена и смена версии сессий получают очередной номер revision, чтобы
+// список отзыва можно было забирать по частям; epoch меняется, если состояние создано заново
+class InMemoryTokenStore {
+    constructor() {
+        this.epoch = crypto.randomUUID();
+        this.revision = 0;
+        this.sessionVersions = new Map();
+        this.refreshTokens = new Map();
+        this.revokedFamilies = new Map();
+        this.revokedAccessTokens = new Map();
+        this.oneTimeTokens = new Map();
+    }
+
+    async init() {}
+
+    async getSessionVersion(userId) {
+        const entry = this.sessionVersions.get(userId);
+        return entry ? entry.version : 0;
+    }
+
+    async incrementSessionVersion(userId) {
+        const version = (await this.getSessionVersion(userId)) + 1;
+        const revision = ++this.revision;
+        this.sessionVersions.set(userId, { version, revision });
+        await this.persist({ op: 'session', userId, version, revision });
+        return version;
+    }
+
+    async saveRefreshToken(key, record) {
+        this.refreshTokens.set(key, record);
+        await this.persist({ op: 'refresh', key, record });
+    }
+
+    async getRefreshToken(key) {
+        this.prune();
+        return this.refreshTokens.get(key) || null;
+    }
+
+    // false — токен уже был использован
+    async markRefreshTokenUsed(key, usedAt) {
+        const record = this.refreshTokens.get(key);
+        if (!record || record.usedAt) {
+            return false;
+        }
+
+        record.usedAt = usedAt;
+        await this.persist({ op: 'refresh', key, record });
+        return true;
+    }
+
+    async revokeFamily(familyId, expiresAt) {
+        this.revokedFamilies.set(familyId, expiresAt);
+        await this.persist({ op: 'family', familyId, expiresAt });
+    }
+
+    async isFamilyRevoked(familyId) {
+        this.prune();
+        return this.revokedFamilies.has(familyId);
+    }
+
+    async revokeAccessToken(jti, expiresAt) {
+        const revision = ++this.revision;
+        this.revokedAccessTokens.set(jti, { expiresAt, revision });
+        await this.persist({ op: 'access', jti, expiresAt, revision });
+    }
+
+    // Отозванные access-токены и версии сессий, изменившиеся после sinceRevision (0 — все)
+    async listRevocations(sinceRevision = 0) {
+        this.prune();
+        return {
+            epoch: this.epoch,
+            revision: this.revision,
+            tokens: Array.from(this.revokedAccessTokens.entries())
+                .filter(([, entry]) => entry.revision > sinceRevision)
+                .map(([jti, { expiresAt }]) => ({ jti, expiresAt })),
+            sessionVersions: Array.from(this.sessionVersions.entries())
+                .filter(([, entry]) => entry.revision > sinceRevision)
+                .map(([userId, { version }]) => ({ userId, version }))
+        };
+    }
+
+    oneTimeTokensFor(purpose) {
+        if (!this.oneTimeTokens.has(purpose)) {
+            this.oneTimeTokens.set(purpose, new Map());
+        }
+        return this.oneTimeTokens.get(purpose);
+    }
+
+    // У пользователя не больше одного токена на назначение: новый заменяет прежний
+    async saveOneTimeToken(purpose, key, record) {
+        await this.revokeOneTimeTokens(purpose, record.userId);
+        this.oneTimeTokensFor(purpose).set(key, record);
+        await this.persist({ op: 'one-time', purpose, key, record });
+    }
+
+    // Запись токена или null; токен удаляется при первом предъявлении
+    async consumeOneTimeToken(purpose, key) {
+        this.prune();
+        const tokens = this.oneTimeTokensFor(purpose);
+        const record = tokens.get(key);
+        if (!record) {
+            return null;
+        }
+
+        tokens.delete(key);
+        await this.persist({ op: 'one-time', purpose, key, record: null });
+        return record;
+    }
+
+    async revokeOneTimeTokens(purpose, userId) {
+        const tokens = this.oneTimeTokensFor(purpose);
+        for (const [key, record] of Array.from(tokens.entries())) {
+            if (record.userId === userId) {
+                tokens.delete(key);
+                await this.persist({ op: 'one-time', purpose, key, record: null });
+            }
+        }
+    }
+
+    apply(entry) {
+        this.revision = Math.max(this.revision, entry.revision || 0);
+
+        switch (entry.op) {
+            case 'epoch':
+                this.epoch = entry.epoch;
+                break;
+            case 'session':
+                this.sessionVersions.set(entry.userId, { version: entry.version, revision: entry.revision || 0 });
+                break;
+            case 'refresh':
+                this.refreshTokens.set(entry.key, entry.record);
+                break;
+            case 'family':
+                this.revokedFamilies.set(entry.familyId, entry.expiresAt);
+                break;
+            case 'access':
+                this.revokedAccessTokens.set(entry.jti, { expiresAt: entry.expiresAt, revision: entry.revision || 0 });
+                break;
+            case 'one-time':
+                if (entry.record) {
+                    this.oneTimeTokensFor(entry.purpose).set(entry.key, entry.record);
+                } else {
+                    this.oneTimeTokensFor(entry.purpose).delete(entry.key);
+                }
+                break;
+        }
+    }
+
+    // Текущее состояние в виде записей журнала
+    entries() {
+        this.prune();
+        return [].concat(
+            { op: 'epoch', epoch: this.epoch, revision: this.revision },
+            Array.from(this.sessionVersions.entries()).map(([userId, { version, revision }]) => ({ op: 'session', userId, version, revision })),
+            Array.from(this.refreshTokens.entries()).map(([key, record]) => ({ op: 'refresh', key, record })),
+            Array.from(this.revokedFamilies.entries()).map(([familyId, expiresAt]) => ({ op: 'family', familyId, expiresAt })),
+            Array.from(this.revokedAccessTokens.entries()).map(([jti, { expiresAt, revision }]) => ({ op: 'access', jti, expiresAt, revision })),
+            ...Array.from(this.oneTimeTokens.entries()).map(([purpose, tokens]) =>
+                Array.from(tokens.entries()).map(([key, record]) => ({ op: 'one-time', purpose, key, record })))
+        );
+    }
+
+    prune() {
+        const now = Date.now();
+
+        for (const tokens of [this.refreshTokens, ...this.oneTimeTokens.values()]) {
+            for (const [key, record] of tokens.entries()) {
+                if (record.expiresAt <= now) {
+                    tokens.delete(key);
+                }
+            }
+        }
+
+        for (const [familyId, expiresAt] of this.revokedFamilies.entries()) {
+            if (expiresAt <= now) {
+                this.revokedFamilies.delete(familyId);
+            }
+        }
+
+        for (const [jti, { expiresAt }] of this.revokedAccessTokens.entries()) {
+            if (expiresAt <= now) {
+                this.revokedAccessTokens.delete(jti);
+            }
+        }
+    }
+
+    async persist() {}
+
+    async close() {}
+}
+
+// Состояние сессий в памяти с журналом JsonLog: переживает перезапуск сервиса.
+// Журнал сжимается при запуске и после каждых compactAfter записей: иначе истекшие
+// refresh-токены и отзывы копились бы в нем до следующего перезапуска
+class FileTokenStore extends InMemoryTokenStore {
+    constructor(filePath, options = {}) {
+        super();
+        this.log = new JsonLog(filePath);
+        this.compactAfter = options.compactAfter || 1000;
+        this.appended = 0;
+    }
+
+    async init() {
+        await this.log.replay(entry => this.apply(entry));
+        await this.compact();
+    }
+
+    async persist(entry) {
+        await this.log.append(entry);
+        if (++this.appended >= this.compactAfter) {
+            await this.compact();
+        }
+    }
+
+    // Память меняется раньше записи в журнал, поэтому снимок уже содержит все изменения,
+    // записи которых стоят в очереди журнала перед сжатием
+    compact() {
+        this.appended = 0;
+        return this.log.compact([], 0, this.entries());
+    }
+}
+
+// Изменение и его номер revision записываются одним скриптом: список отзыва, прочитанный
+// с любого экземпляра, не может содержать изменение с номером N без изменений с меньшими номерами
+const INCREMENT_SESSION_VERSION_SCRIPT = `
+local version = redis.call('HINCRBY', KEYS[1], ARGV[1], 1)
+redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[1])
+return version
+`;
+
+const REVOKE_ACCESS_TOKEN_SCRIPT = `
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('ZADD', KEYS[2], redis.call('INCR', KEYS[3]), ARGV[1])
+`;
+
+// Удаляет истекшие отзывы и возвращает { epoch, revision, токены, версии сессий } после ARGV[2];
+// epoch создается при первом обращении (ARGV[3]) и пропадает вместе с остальными ключами
+const LIST_REVOCATIONS_SCRIPT = `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+for i = 1, #expired, 1000 do
+    local batch = { unpack(expired, i, math.min(i + 999, #expired)) }
+    redis.call('ZREM', KEYS[1], unpack(batch))
+    redis.call('ZREM', KEYS[2], unpack(batch))
+end
+
+local tokens = {}
+local sessions = {}
+if ARGV[2] == '0' then
+    tokens = redis.call('ZRANGE', KEYS[1], 0, -1, 'WITHSCORES')
+    sessions = redis.call('HGETALL', KEYS[3])
+else
+    for _, jti in ipairs(redis.call('ZRANGEBYSCORE', KEYS[2], '(' .. ARGV[2], '+inf')) do
+        table.insert(tokens, jti)
+        table.insert(tokens, redis.call('ZSCORE', KEYS[1], jti) or '0')
+    end
+    for _, userId in ipairs(redis.call('ZRANGEBYSCORE', KEYS[4], '(' .. ARGV[2], '+inf')) do
+        table.insert(sessions, userId)
+        table.insert(sessions, redis.call('HGET', KEYS[3], userId) or '0')
+    end
+end
+
+redis.call('SET', KEYS[6], ARGV[3], 'NX')
+return { redis.call('GET', KEYS[6]), redis.call('GET', KEYS[5]) or '0', tokens, sessions }
+`;
+
+// [a, 1, b, 2] -> [[a, 1], [b, 2]]
+function pairs(items) {
+    const result = [];
+    for (let i = 0; i < items.length; i += 2) {
+        result.push([items[i], items[i + 1]]);
+    }
+    return result;
+}
+
+// Состояние сессий в Redis, общее для всех экземпляров Users Service.
+// Срок жизни ключей совпадает со сроком действия токенов; использование refresh-токена
+// отмечается SET NX, поэтому из двух параллельных ротаций одного токена проходит одна
+class RedisTokenStore {
+    constructor(client, keyPrefix = 'users') {
+        this.client = client;
+        this.prefix = `${keyPrefix}:tokens:`;
+    }
+
+    async init() {}
+
+    async getSessionVersion(userId) {
+        return parseInt(await this.client.hget(`${this.prefix}session-versions`, String(userId)), 10) || 0;
+    }
+
+    incrementSessionVersion(userId) {
+        return this.client.eval(INCREMENT_SESSION_VERSION_SCRIPT, 3,
+            `${this.prefix}session-versions`, `${this.prefix}session-version-revisions`, `${this.prefix}revision`, String(userId));
+    }
+
+    async saveRefreshToken(key, record) {
+        await this.client.set(`${this.prefix}refresh:${key}`, JSON.stringify(record), 'PX', Math.max(record.expiresAt - Date.now(), 1));
+    }
+
+    async getRefreshToken(key) {
+        const [record, usedAt] = await this.client.mget(`${this.prefix}refresh:${key}`, `${this.prefix}refresh-used:${key}`);
+        if (!record) {
+            return null;
+        }
+        return { ...JSON.parse(record), usedAt: usedAt ? parseInt(usedAt, 10) : null };
+    }
+
+    async markRefreshTokenUsed(key, usedAt) {
+        const ttl = await this.client.pttl(`${this.prefix}refresh:${key}`);
+        if (ttl <= 0) {
+            return false;
+        }
+
+        return (await this.client.set(`${this.prefix}refresh-used:${key}`, String(usedAt), 'PX', ttl, 'NX')) === 'OK';
+    }
+
+    async revokeFamily(familyId, expiresAt) {
+        await this.client.set(`${this.prefix}family:${familyId}`, '1', 'PX', Math.max(expiresAt - Date.now(), 1));
+    }
+
+    async isFamilyRevoked(familyId) {
+        return (await this.client.exists(`${this.prefix}family:${familyId}`)) === 1;
+    }
+
+    async revokeAccessToken(jti, expiresAt) {
+        await this.client.eval(REVOKE_ACCESS_TOKEN_SCRIPT, 3,
+            `${this.prefix}revoked-access`, `${this.prefix}revoked-access-revisions`, `${this.prefix}revision`, jti, expiresAt);
+    }
+
+    async listRevocations(sinceRevision = 0) {
+        const [epoch, revision, tokens, sessions] = await this.client.eval(LIST_REVOCATIONS_SCRIPT, 6,
+            `${this.prefix}revoked-access`, `${this.prefix}revoked-access-revisions`,
+            `${this.prefix}session-versions`, `${this.prefix}session-version-revisions`,
+            `${this.prefix}revision`, `${this.prefix}epoch`,
+            Date.now(), sinceRevision, crypto.randomUUID());
+
+        return {
+            epoch,
+            revision: parseInt(revision, 10),
+            tokens: pairs(tokens).map(([jti, expiresAt]) => ({ jti, expiresAt: parseInt(expiresAt, 10) })),
+            sessionVersions: pairs(sessions).map(([userId, version]) => ({
+                userId: parseInt(userId, 10),
+                version: parseInt(version, 10)
+            }))
+        };
+    }
+
+    // Одноразовый токен и ссылка на него из ключа пользователя живут до истечения токена;
+    // GET и DEL в одной транзакции: токен, предъявленный параллельно на двух экземплярах, принимается один раз
+    async saveOneTimeToken(purpose, key, record) {
+        const ttl = Math.max(record.expiresAt - Date.now(), 1);
+
+        await this.revokeOneTimeTokens(purpose, record.userId);
+        await this.client.multi()
+            .set(`${this.prefix}one-time:${purpose}:${key}`, JSON.stringify(record), 'PX', ttl)
+            .set(`${this.prefix}one-time-user:${purpose}:${record.userId}`, key, 'PX', ttl)
+            .exec();
+    }
+
+    async consumeOneTimeToken(purpose, key) {
+        const tokenKey = `${this.prefix}one-time:${purpose}:${key}`;
+        const [[, record]] = await this.client.multi().get(tokenKey).del(tokenKey).exec();
+        return record ? JSON.parse(record) : null;
+    }
+
+    async revokeOneTimeTokens(purpose, userId) {
+        const userKey = `${this.prefix}one-time-user:${purpose}:${userId}`;
+        const key = await this.client.get(userKey);
+        if (key) {
+            await this.client.del(`${this.prefix}one-time:${purpose}:${key}`, userKey);
+        }
+    }
+
+    async close() {}
+}
+
+// Refresh-токены хранятся только в виде хеша и ротируются при каждом использовании:
+// повторное предъявление уже использованного токена отзывает всё семейство (признак кражи).
+// "Выход везде" увеличивает версию сессий пользователя: refresh-токены и access-токены (claim sv)
+// со старой версией перестают действовать.
+class TokenService {
+    constructor(options = {}) {
+        this.accessTokenTtlMs = options.accessTokenTtlMs || 15 * 60 * 1000;
+        this.refreshTokenTtlMs = options.refreshTokenTtlMs || 30 * 24 * 60 * 60 * 1000;
+        this.store = options.store || new InMemoryTokenStore();
+    }
+
+    static fromEnv(store, env = process.env) {
+        return new TokenService({
+            accessTokenTtlMs: parseDuration(env.ACCESS_TOKEN_TTL, 15 * 60 * 1000),
+            refreshTokenTtlMs: parseDuration(env.REFRESH_TOKEN_TTL, 30 * 24 * 60 * 60 * 1000),
+            store
+        });
+    }
+
+    generateTokenId() {
+        return crypto.randomUUID();
+    }
+
+    getSessionVersion(userId) {
+        return this.store.getSessionVersion(userId);
+    }
+
+    async issueRefreshToken(userId, familyId = this.generateTokenId()) {
+        const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+        const now = Date.now();
+
+        await this.store.saveRefreshToken(hashToken(token), {
+            userId,
+            familyId,
+            sessionVersion: await this.store.getSessionVersion(userId),
+            createdAt: now,
+            expiresAt: now + this.refreshTokenTtlMs,
+            usedAt: null
+        });
+
+        return token;
+    }
+
+    // Возвращает { userId, refreshToken } или { error } с причиной отказа
+    async rotateRefreshToken(token) {
+        const key = hashToken(token);
+        const record = await this.store.getRefreshToken(key);
+        if (!record) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        if (record.usedAt || await this.store.isFamilyRevoked(record.familyId)) {
+            await this.revokeFamily(record.familyId);
+            return { error: 'Refresh token has been revoked' };
+        }
+
+        if (record.sessionVersion !== await this.store.getSessionVersion(record.userId)) {
+            return { error: 'Refresh token has been revoked' };
+        }
+
+        if (!(await this.store.markRefreshTokenUsed(key, Date.now()))) {
+            await this.revokeFamily(record.familyId);
+            return { error: 'Refresh token has been revoked' };
+        }
+
+        return {
+            userId: record.userId,
+            refreshToken: await this.issueRefreshToken(record.userId, record.familyId)
+        };
+    }
+
+    async revokeRefreshToken(token, userId) {
+        const record = await this.store.getRefreshToken(hashToken(token));
+        if (!record || (userId !== undefined && record.userId !== userId)) {
+            return false;
+        }
+
+        await this.revokeFamily(record.familyId);
+        return true;
+    }
+
+    revokeFamily(familyId) {
+        return this.store.revokeFamily(familyId, Date.now() + this.refreshTokenTtlMs);
+    }
+
+    async revokeAccessToken(jti, exp) {
+        if (!jti) {
+            return;
+        }
+
+        const expiresAt = exp ? exp * 1000 : Date.now() + this.accessTokenTtlMs;
+        await this.store.revokeAccessToken(jti, expiresAt);
+    }
+
+    // "Выход везде": возвращает новую версию сессий пользователя
+    revokeAllForUser(userId) {
+        return this.store.incrementSessionVersion(userId);
+    }
+
+    // Изменения списка отзыва после cursor из предыдущего ответа ("<epoch>.<revision>").
+    // Без cursor или с cursor, выданным до потери состояния хранилища (другая epoch), — полный список, full: true
+    async getRevocations(cursor) {
+        const since = parseRevocationCursor(cursor);
+        let revocations = await this.store.listRevocations(since ? since.revision : 0);
+        let full = !since;
+
+        if (since && (since.epoch !== revocations.epoch || since.revision > revocations.revision)) {
+            revocations = await this.store.listRevocations(0);
+            full = true;
+        }
+
+        return {
+            full,
+            tokens: revocations.tokens.map(({ jti, expiresAt }) => ({
+                jti,
+                expiresAt: new Date(expiresAt).toISOString()
+            })),
+            sessionVersions: revocations.sessionVersions,
+            cursor: `${revocations.epoch}.${revocations.revision}`,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+// driver: memory | file | redis; для redis нужен client (ioredis)
+function createTokenStore({ driver = 'memory', filePath, client, keyPrefix } = {}) {
+    switch (driver) {
+        case 'memory':
+            return new InMemoryTokenStore();
+        case 'file':
+            return new FileTokenStore(filePath || './data/tokens.jsonl');
+        case 'redis':
+            return new RedisTokenStore(client, keyPrefix);
+        default:
+            throw new Error(`Unknown AUTH_STATE_STORE: ${driver}`);
+    }
+}
+
+module.exports = {
+    InMemoryTokenStore,
+    FileTokenStore,
+    RedisTokenStore,
+    TokenService,
+    createTokenStore,
+    parseDuration
+};
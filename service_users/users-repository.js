@@ -0,0 +1,199 @@
+const { JsonLog } = require('shared/json-log');
+const { paginate } = require('shared/cursor-pagination');
+
+class DuplicateEmailError extends Error {
+    constructor(email) {
+        super('User with this email already exists');
+        this.name = 'DuplicateEmailError';
+        this.email = email;
+    }
+}
+
+function compareUsers(sortBy, sortOrder) {
+    return (a, b) => {
+        let aValue = a[sortBy];
+        let bValue = b[sortBy];
+
+        if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
+            aValue = new Date(aValue);
+            bValue = new Date(bValue);
+        }
+
+        if (typeof aValue === 'string' && typeof bValue === 'string') {
+            aValue = aValue.toLowerCase();
+            bValue = bValue.toLowerCase();
+        }
+
+        let result = aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
+
+        // При равных значениях порядок определяется id, чтобы страницы и курсоры были стабильными
+        if (result === 0) {
+            result = a.id - b.id;
+        }
+
+        return sortOrder === 'desc' ? -result : result;
+    };
+}
+
+class InMemoryUsersRepository {
+    constructor() {
+        this.users = new Map();
+        this.currentId = 1;
+    }
+
+    async init() {}
+
+    async findById(id) {
+        return this.users.get(id) || null;
+    }
+
+    async findByEmail(email) {
+        return this.lookupEmail(email);
+    }
+
+    async isEmailTaken(email, excludeId) {
+        return this.emailTaken(email, excludeId);
+    }
+
+    // id назначается репозиторием; уникальность email проверяется синхронно
+    // вместе с записью, чтобы параллельные запросы не создали дубликат
+    async create(userData) {
+        if (this.emailTaken(userData.email)) {
+            throw new DuplicateEmailError(userData.email);
+        }
+
+        const user = { id: this.currentId++, ...userData };
+        await this.commit(user.id, user, [{ op: 'put', id: user.id, record: user }]);
+        return user;
+    }
+
+    async update(id, user) {
+        if (!this.users.has(id)) {
+            return null;
+        }
+
+        if (this.emailTaken(user.email, id)) {
+            throw new DuplicateEmailError(user.email);
+        }
+
+        const updatedUser = { ...user, id };
+        await this.commit(id, updatedUser, [{ op: 'put', id, record: updatedUser }]);
+        return updatedUser;
+    }
+
+    async delete(id) {
+        const user = this.users.get(id);
+        if (!user) {
+            return null;
+        }
+
+        await this.commit(id, null, [{ op: 'delete', id }]);
+        return user;
+    }
+
+    // cursor — { value, id, direction } из decodeCursor; без него используется page
+    async list({ filters = {}, sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 10, cursor = null } = {}) {
+        let users = Array.from(this.users.values());
+
+        if (filters.role) {
+            users = users.filter(user => user.roles && user.roles.includes(filters.role));
+        }
+
+        if (filters.email) {
+            const email = filters.email.toLowerCase();
+            users = users.filter(user => user.email.toLowerCase().includes(email));
+        }
+
+        if (filters.name) {
+            const name = filters.name.toLowerCase();
+            users = users.filter(user => user.name.toLowerCase().includes(name));
+        }
+
+        const compare = compareUsers(sortBy, sortOrder);
+        users.sort(compare);
+
+        return paginate(users, compare, { sortBy, page, limit, cursor });
+    }
+
+    lookupEmail(email) {
+        for (const user of this.users.values()) {
+            if (user.email === email) {
+                return user;
+            }
+        }
+        return null;
+    }
+
+    emailTaken(email, excludeId) {
+        const user = this.lookupEmail(email);
+        return Boolean(user && user.id !== excludeId);
+    }
+
+    // Изменение видно в памяти сразу, чтобы проверка уникальности email учитывала ещё не записанных
+    // пользователей; если запись в журнал не удалась, оно откатывается (если запись с тех пор не менялась)
+    async commit(id, user, entries) {
+        const previous = this.users.get(id) || null;
+        this.store(id, user);
+
+        try {
+            await this.persist(entries);
+        } catch (error) {
+            if ((this.users.get(id) || null) === user) {
+                this.store(id, previous);
+            }
+            throw error;
+        }
+    }
+
+    store(id, user) {
+        if (user) {
+            this.users.set(id, user);
+        } else {
+            this.users.delete(id);
+        }
+    }
+
+    async persist() {}
+}
+
+class FileUsersRepository extends InMemoryUsersRepository {
+    constructor(filePath) {
+        super();
+        this.log = new JsonLog(filePath);
+    }
+
+    async init() {
+        const { records, sequence } = await this.log.load();
+
+        for (const user of records.values()) {
+            this.users.set(user.id, user);
+        }
+        this.currentId = sequence + 1;
+
+        await this.log.compact(Array.from(this.users.values()), sequence);
+    }
+
+    persist(entries) {
+        return this.log.appendAll(entries);
+    }
+}
+
+function createUsersRepository(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return new InMemoryUsersRepository();
+        case 'file':
+            return new FileUsersRepository(env.STORAGE_PATH || './data/users.jsonl');
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+module.exports = {
+    DuplicateEmailError,
+    InMemoryUsersRepository,
+    FileUsersRepository,
+    createUsersRepository
+};
@@ -0,0 +1,133 @@
+// Единый формат ошибок API во всех сервисах:
+// { success: false, error: { code, message, details?, traceId? } }
+// code — машиночитаемый код из ERROR_STATUS, details — ошибки полей [{ field, message }],
+// traceId совпадает с заголовком X-Trace-Id. Модуль общий для api_gateway, service_users и service_orders (пакет shared).
+
+// Коды ошибок и HTTP-статусы по умолчанию
+const ERROR_STATUS = {
+    VALIDATION_FAILED: 400,
+    INVALID_JSON: 400,
+    INVALID_CURSOR: 400,
+    INVALID_IDEMPOTENCY_KEY: 400,
+    INVALID_RESET_TOKEN: 400,
+    INVALID_VERIFICATION_TOKEN: 400,
+    AUTHENTICATION_REQUIRED: 401,
+    INVALID_TOKEN: 401,
+    TOKEN_REVOKED: 401,
+    INVALID_CREDENTIALS: 401,
+    INVALID_REFRESH_TOKEN: 401,
+    FORBIDDEN: 403,
+    EMAIL_NOT_VERIFIED: 403,
+    ROUTE_NOT_FOUND: 404,
+    USER_NOT_FOUND: 404,
+    ORDER_NOT_FOUND: 404,
+    EMAIL_TAKEN: 409,
+    EMAIL_ALREADY_VERIFIED: 409,
+    INVALID_STATUS_TRANSITION: 409,
+    IDEMPOTENCY_REQUEST_IN_PROGRESS: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    IDEMPOTENCY_KEY_REUSED: 422,
+    ACCOUNT_LOCKED: 423,
+    RATE_LIMITED: 429,
+    LOGIN_THROTTLED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_UNAVAILABLE: 503,
+    CIRCUIT_OPEN: 503,
+    UPSTREAM_TIMEOUT: 504
+};
+
+// Ошибка с кодом из ERROR_STATUS; обработчики бросают ее или передают в next(), ответ формирует errorHandler.
+// options: status — вместо статуса по умолчанию, details — ошибки полей, extra — дополнительные поля error
+class ApiError extends Error {
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = options.status || ERROR_STATUS[code] || 500;
+        this.details = options.details;
+        this.extra = options.extra;
+    }
+}
+
+function errorBody(code, message, options = {}) {
+    const error = { code, message, ...options.extra };
+
+    if (options.details) {
+        error.details = options.details;
+    }
+    if (options.traceId) {
+        error.traceId = options.traceId;
+    }
+
+    return { success: false, error };
+}
+
+// traceId берется из SERVER span запроса (tracer.middleware)
+function requestTraceId(req) {
+    return req && req.span ? req.span.traceId : undefined;
+}
+
+function sendError(res, code, message, options = {}) {
+    return res.status(options.status || ERROR_STATUS[code] || 500).json(errorBody(code, message, {
+        ...options,
+        traceId: requestTraceId(res.req)
+    }));
+}
+
+// ZodError без зависимости от zod: шлюз его не использует, и пакет shared zod не подключает
+function isZodError(error) {
+    return Boolean(error) && error.name === 'ZodError' && Array.isArray(error.issues);
+}
+
+function zodErrorDetails(error) {
+    return error.issues.map(issue => ({
+        field: issue.path.join('.'),
+        message: issue.message
+    }));
+}
+
+// Express 4 не перехватывает отклонённые промисы — передаём ошибку в error middleware
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function notFoundHandler(req, res) {
+    sendError(res, 'ROUTE_NOT_FOUND', `Route ${req.method} ${req.path} not found`);
+}
+
+// Последний middleware приложения: ApiError, ZodError и ошибки express.json() отдаются как есть,
+// остальное логируется и превращается в INTERNAL_ERROR без подробностей
+function errorHandler(logger) {
+    // Express распознает error middleware по четырем аргументам
+    return (error, req, res, next) => {
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        if (error instanceof ApiError) {
+            return sendError(res, error.code, error.message, error);
+        }
+        if (isZodError(error)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Validation failed', { details: zodErrorDetails(error) });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return sendError(res, 'INVALID_JSON', 'Request body is not valid JSON');
+        }
+        if (error.type === 'entity.too.large') {
+            return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+        }
+
+        logger.error({ error: error.message, stack: error.stack, method: req.method, path: req.originalUrl }, 'Unhandled error');
+        sendError(res, 'INTERNAL_ERROR', 'Internal server error');
+    };
+}
+
+module.exports = {
+    ERROR_STATUS,
+    ApiError,
+    errorBody,
+    sendError,
+    asyncHandler,
+    notFoundHandler,
+    errorHandler
+};
@@ -0,0 +1,72 @@
+// Пагинация по курсору (keyset) для отсортированных списков.
+// Курсор указывает на запись-якорь (значение поля сортировки и id) и направление,
+// поэтому записи, созданные или удаленные между запросами, не вызывают пропусков и повторов.
+// Для клиента курсор непрозрачен: base64url от JSON { sortBy, sortOrder, value, id, direction }.
+
+function encodeCursor({ sortBy, sortOrder, value, id, direction }) {
+    return Buffer.from(JSON.stringify({ sortBy, sortOrder, value, id, direction })).toString('base64url');
+}
+
+// Возвращает расшифрованный курсор или null, если он поврежден
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const valid = decoded
+            && typeof decoded.sortBy === 'string'
+            && (decoded.sortOrder === 'asc' || decoded.sortOrder === 'desc')
+            && Number.isInteger(decoded.id)
+            && (decoded.direction === 'next' || decoded.direction === 'prev');
+
+        return valid ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// sortedItems должны быть упорядочены compare, который при равенстве поля сортировки сравнивает id.
+// cursor — { value, id, direction } или null для постраничного режима (page).
+function paginate(sortedItems, compare, { sortBy, page = 1, limit, cursor = null }) {
+    let start;
+    let end;
+
+    if (cursor) {
+        const anchor = { [sortBy]: cursor.value, id: cursor.id };
+
+        if (cursor.direction === 'prev') {
+            end = sortedItems.findIndex(item => compare(item, anchor) >= 0);
+            end = end === -1 ? sortedItems.length : end;
+            start = Math.max(0, end - limit);
+        } else {
+            start = sortedItems.findIndex(item => compare(item, anchor) > 0);
+            start = start === -1 ? sortedItems.length : start;
+            end = Math.min(sortedItems.length, start + limit);
+        }
+    } else {
+        start = Math.min(sortedItems.length, (page - 1) * limit);
+        end = Math.min(sortedItems.length, start + limit);
+    }
+
+    return {
+        items: sortedItems.slice(start, end),
+        total: sortedItems.length,
+        hasPrev: start > 0,
+        hasNext: end < sortedItems.length
+    };
+}
+
+// nextCursor/prevCursor для страницы, полученной из list() репозитория
+function pageCursors({ items, hasPrev, hasNext }, sortBy, sortOrder) {
+    const cursorFor = (item, direction) => encodeCursor({ sortBy, sortOrder, value: item[sortBy], id: item.id, direction });
+
+    return {
+        nextCursor: hasNext && items.length > 0 ? cursorFor(items[items.length - 1], 'next') : null,
+        prevCursor: hasPrev && items.length > 0 ? cursorFor(items[0], 'prev') : null
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    paginate,
+    pageCursors
+};
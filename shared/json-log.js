@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only журнал изменений в формате JSON Lines.
+// Каждая строка — { op: 'put' | 'delete', id, record } или { op: 'seq', value }.
+// Несколько записей, которые должны примениться атомарно, пишутся одной строкой
+// { op: 'tx', entries: [...] }: оборванная строка отбрасывается целиком.
+// При загрузке журнал проигрывается целиком, после чего сжимается до текущего состояния.
+// sequence — наибольший когда-либо выданный id, чтобы id удалённых записей не переиспользовались.
+class JsonLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.queue = Promise.resolve();
+    }
+
+    // Вызывает apply для каждой записи журнала; записи из tx разворачиваются.
+    // Пропускается только оборванная последняя строка (аварийная остановка во время записи),
+    // нечитаемая строка в середине журнала означает повреждение файла и прерывает загрузку
+    async replay(apply) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const lines = content.split('\n');
+
+        for (const [index, line] of lines.entries()) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Каждая запись дописывается вместе с переводом строки, поэтому оборванной может быть только последняя
+                if (index === lines.length - 1) {
+                    continue;
+                }
+                throw new Error(`Corrupted journal ${this.filePath} at line ${index + 1}: ${error.message}`);
+            }
+
+            for (const item of entry.op === 'tx' ? entry.entries : [entry]) {
+                apply(item);
+            }
+        }
+    }
+
+    async load(applyOther = () => {}) {
+        const records = new Map();
+        let sequence = 0;
+
+        await this.replay(entry => {
+            switch (entry.op) {
+                case 'put':
+                    records.set(entry.id, entry.record);
+                    sequence = Math.max(sequence, entry.id);
+                    break;
+                case 'delete':
+                    records.delete(entry.id);
+                    sequence = Math.max(sequence, entry.id);
+                    break;
+                case 'seq':
+                    sequence = Math.max(sequence, entry.value);
+                    break;
+                default:
+                    applyOther(entry);
+            }
+        });
+
+        return { records, sequence };
+    }
+
+    append(entry) {
+        return this.enqueue(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'));
+    }
+
+    appendAll(entries) {
+        return this.append(entries.length === 1 ? entries[0] : { op: 'tx', entries });
+    }
+
+    compact(records, sequence, extraEntries = []) {
+        return this.enqueue(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            const lines = [JSON.stringify({ op: 'seq', value: sequence }) + '\n'].concat(
+                records.map(record => JSON.stringify({ op: 'put', id: record.id, record }) + '\n'),
+                extraEntries.map(entry => JSON.stringify(entry) + '\n')
+            );
+
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, lines.join(''));
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = { JsonLog };
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Адаптер брокера сообщений реализует методы:
+//   connect()                          — установить соединение (может бросить ошибку)
+//   publish({ topic, key, payload })   — опубликовать сообщение, вернуть его id
+//   subscribe(topic, handler, options) — получать сообщения топика; handler({ id, topic, key, payload })
+//   disconnect()                       — закрыть соединение
+// topic — тип события (event.type), key — ключ партиционирования (event.aggregateId).
+// Доставка at-least-once: получатель должен быть идемпотентным (дедупликация по event.id).
+
+function partitionFor(key, partitions) {
+    if (partitions <= 1) {
+        return 0;
+    }
+
+    const digest = crypto.createHash('md5').update(String(key)).digest();
+    return digest.readUInt32BE(0) % partitions;
+}
+
+// In-process реализация для тестов и локальной разработки без брокера
+class InMemoryBrokerAdapter {
+    constructor(options = {}) {
+        this.partitions = options.partitions || 1;
+        this.messages = [];
+        this.subscribers = new Map();
+        this.connected = false;
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async publish({ topic, key, payload }) {
+        if (!this.connected) {
+            throw new Error('In-memory broker is not connected');
+        }
+
+        const message = {
+            id: String(this.messages.length + 1),
+            topic,
+            key,
+            partition: partitionFor(key, this.partitions),
+            payload
+        };
+
+        this.messages.push(message);
+
+        for (const handler of this.subscribers.get(topic) || []) {
+            await handler(message);
+        }
+
+        return message.id;
+    }
+
+    async subscribe(topic, handler) {
+        if (!this.subscribers.has(topic)) {
+            this.subscribers.set(topic, []);
+        }
+        this.subscribers.get(topic).push(handler);
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+}
+
+// Redis Streams: по одному стриму на тип события и партицию,
+// например domain-events:order.created:3. Порядок событий одного агрегата
+// сохраняется, так как все они попадают в одну партицию.
+// Сообщение, не подтвержденное за retryAfterMs (обработчик упал или consumer остановился),
+// забирается (XCLAIM) и обрабатывается повторно; после maxDeliveries попыток оно переносится
+// в стрим <стрим>:dead-letter и подтверждается.
+class RedisStreamsBrokerAdapter {
+    constructor(options = {}) {
+        this.url = options.url || 'redis://localhost:6379';
+        this.streamPrefix = options.streamPrefix || 'domain-events';
+        this.partitions = options.partitions || 1;
+        this.maxLength = options.maxLength || 100000;
+        this.retryAfterMs = options.retryAfterMs || 30000;
+        this.maxDeliveries = options.maxDeliveries || 5;
+        this.logger = options.logger;
+        this.createClient = options.createClient || (url => {
+            const Redis = require('ioredis');
+            return new Redis(url, {
+                lazyConnect: true,
+                maxRetriesPerRequest: 3,
+                retryStrategy: times => Math.min(times * 200, 5000)
+            });
+        });
+        this.client = null;
+        this.readers = [];
+        this.ephemeralGroups = [];
+    }
+
+    async connect() {
+        const client = this.createClient(this.url);
+        client.on('error', error => {
+            if (this.logger) {
+                this.logger.warn({ error: error.message }, 'Redis broker connection error');
+            }
+        });
+
+        try {
+            await client.connect();
+        } catch (error) {
+            client.disconnect();
+            throw error;
+        }
+
+        this.client = client;
+    }
+
+    streamFor(topic, key) {
+        const base = `${this.streamPrefix}:${topic}`;
+        return this.partitions > 1 ? `${base}:${partitionFor(key, this.partitions)}` : base;
+    }
+
+    streamsFor(topic) {
+        const base = `${this.streamPrefix}:${topic}`;
+        if (this.partitions <= 1) {
+            return [base];
+        }
+        return Array.from({ length: this.partitions }, (_, partition) => `${base}:${partition}`);
+    }
+
+    async publish({ topic, key, payload }) {
+        if (!this.client) {
+            throw new Error('Redis broker is not connected');
+        }
+
+        return this.client.xadd(
+            this.streamFor(topic, key),
+            'MAXLEN', '~', this.maxLength,
+            '*',
+            'eventId', payload.id,
+            'type', topic,
+            'key', String(key),
+            'payload', JSON.stringify(payload)
+        );
+    }
+
+    // Чтение через consumer group: сообщение подтверждается (XACK) после обработки.
+    // При старте сначала дочитываются неподтверждённые сообщения этого consumer.
+    // startId — с какого сообщения читает новая группа ('0' — весь стрим, '$' — только новые);
+    // группа с ephemeral: true принадлежит одному процессу и удаляется при disconnect().
+    async subscribe(topic, handler, options = {}) {
+        if (!this.client) {
+            throw new Error('Redis broker is not connected');
+        }
+
+        const group = options.group || 'default';
+        const consumer = options.consumer || `${os.hostname()}-${process.pid}`;
+        const streams = this.streamsFor(topic);
+
+        for (const stream of streams) {
+            try {
+                await this.client.xgroup('CREATE', stream, group, options.startId || '0', 'MKSTREAM');
+            } catch (error) {
+                if (!String(error.message).includes('BUSYGROUP')) {
+                    throw error;
+                }
+            }
+
+            if (options.ephemeral) {
+                this.ephemeralGroups.push({ stream, group });
+            }
+        }
+
+        const reader = this.client.duplicate();
+        reader.on('error', () => {});
+        this.readers.push(reader);
+
+        this.consume(reader, topic, streams, { group, consumer }, handler);
+    }
+
+    async consume(reader, topic, streams, { group, consumer }, handler) {
+        let cursor = '0';
+        let retryAt = Date.now() + this.retryAfterMs;
+
+        while (this.readers.includes(reader)) {
+            if (Date.now() >= retryAt) {
+                retryAt = Date.now() + this.retryAfterMs;
+                try {
+                    await this.retryPending(reader, topic, streams, { group, consumer }, handler);
+                } catch (error) {
+                    if (!this.readers.includes(reader)) {
+                        return;
+                    }
+                    if (this.logger) {
+                        this.logger.warn({ topic, error: error.message }, 'Failed to retry pending broker messages');
+                    }
+                }
+            }
+
+            let response;
+            try {
+                response = await reader.xreadgroup(
+                    'GROUP', group, consumer,
+                    'COUNT', 50,
+                    'BLOCK', 5000,
+                    'STREAMS', ...streams, ...streams.map(() => cursor)
+                );
+            } catch (error) {
+                if (!this.readers.includes(reader)) {
+                    return;
+                }
+                if (this.logger) {
+                    this.logger.warn({ topic, error: error.message }, 'Failed to read from Redis stream');
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                continue;
+            }
+
+            for (const [stream, messages] of response || []) {
+                await this.handleMessages(reader, stream, topic, group, messages, handler);
+            }
+
+            cursor = '>';
+        }
+    }
+
+    // Неподтвержденное сообщение остается в списке ожидающих (PEL) и будет повторено в retryPending
+    async handleMessages(reader, stream, topic, group, messages, handler) {
+        for (const [id, fields] of messages) {
+            const values = {};
+            for (let i = 0; i < fields.length; i += 2) {
+                values[fields[i]] = fields[i + 1];
+            }
+
+            try {
+                await handler({ id, topic, key: values.key, payload: JSON.parse(values.payload) });
+                await reader.xack(stream, group, id);
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error({ topic, messageId: id, error: error.message }, 'Failed to handle broker message');
+                }
+            }
+        }
+    }
+
+    async retryPending(reader, topic, streams, { group, consumer }, handler) {
+        for (const stream of streams) {
+            const pending = await reader.xpending(stream, group, 'IDLE', this.retryAfterMs, '-', '+', 50);
+            if (pending.length === 0) {
+                continue;
+            }
+
+            const exhausted = new Set(pending
+                .filter(([, , , deliveries]) => deliveries >= this.maxDeliveries)
+                .map(([id]) => id));
+
+            // Удаленные из стрима (MAXLEN) сообщения XCLAIM возвращает как null
+            const claimed = (await reader.xclaim(stream, group, consumer, this.retryAfterMs, ...pending.map(([id]) => id)))
+                .filter(message => message && message[1]);
+            const claimedIds = new Set(claimed.map(([id]) => id));
+            const missing = pending.map(([id]) => id).filter(id => !claimedIds.has(id));
+            if (missing.length > 0) {
+                await reader.xack(stream, group, ...missing);
+            }
+
+            for (const [id, fields] of claimed.filter(([id]) => exhausted.has(id))) {
+                await reader.xadd(`${stream}:dead-letter`, 'MAXLEN', '~', this.maxLength, '*', ...fields, 'group', group);
+                await reader.xack(stream, group, id);
+                if (this.logger) {
+                    this.logger.error({ topic, messageId: id, group, deliveries: this.maxDeliveries }, 'Broker message moved to dead-letter stream');
+                }
+            }
+
+            await this.handleMessages(reader, stream, topic, group, claimed.filter(([id]) => !exhausted.has(id)), handler);
+        }
+    }
+
+    async disconnect() {
+        const readers = this.readers;
+        this.readers = [];
+        readers.forEach(reader => reader.disconnect());
+
+        const ephemeralGroups = this.ephemeralGroups;
+        this.ephemeralGroups = [];
+
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+
+            for (const { stream, group } of ephemeralGroups) {
+                try {
+                    await client.xgroup('DESTROY', stream, group);
+                } catch (error) {
+                    if (this.logger) {
+                        this.logger.warn({ stream, group, error: error.message }, 'Failed to remove consumer group');
+                    }
+                }
+            }
+
+            await client.quit();
+        }
+    }
+}
+
+function createBrokerAdapter(config = {}) {
+    switch (config.type) {
+        case 'memory':
+            return new InMemoryBrokerAdapter(config);
+        case 'redis':
+            return new RedisStreamsBrokerAdapter(config);
+        default:
+            throw new Error(`Unknown message broker type: ${config.type}`);
+    }
+}
+
+module.exports = {
+    partitionFor,
+    InMemoryBrokerAdapter,
+    RedisStreamsBrokerAdapter,
+    createBrokerAdapter
+};
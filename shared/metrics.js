@@ -0,0 +1,71 @@
+const client = require('prom-client');
+
+// Метрики процесса в формате Prometheus.
+// Каждый сервис создает свой реестр с меткой service; HTTP-метрики собирает middleware(),
+// остальные метрики сервис регистрирует через counter()/gauge()/histogram().
+class Metrics {
+    constructor(serviceName, options = {}) {
+        this.registry = new client.Registry();
+        this.registry.setDefaultLabels({ service: serviceName });
+        client.collectDefaultMetrics({ register: this.registry });
+
+        this.httpRequests = this.counter({
+            name: 'http_requests_total',
+            help: 'Total number of HTTP requests',
+            labelNames: ['method', 'route', 'status']
+        });
+
+        this.httpRequestDuration = this.histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request duration in seconds',
+            labelNames: ['method', 'route', 'status'],
+            buckets: options.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        });
+    }
+
+    counter(config) {
+        return new client.Counter({ ...config, registers: [this.registry] });
+    }
+
+    gauge(config) {
+        return new client.Gauge({ ...config, registers: [this.registry] });
+    }
+
+    histogram(config) {
+        return new client.Histogram({ ...config, registers: [this.registry] });
+    }
+
+    // В метку route попадает шаблон маршрута (/orders/:orderId), а не URL,
+    // чтобы число временных рядов не зависело от ID в запросах
+    middleware() {
+        return (req, res, next) => {
+            const endTimer = this.httpRequestDuration.startTimer();
+
+            res.on('finish', () => {
+                const labels = {
+                    method: req.method,
+                    route: req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched'),
+                    status: res.statusCode
+                };
+
+                this.httpRequests.inc(labels);
+                endTimer(labels);
+            });
+
+            next();
+        };
+    }
+
+    handler() {
+        return async (req, res) => {
+            try {
+                res.set('Content-Type', this.registry.contentType);
+                res.end(await this.registry.metrics());
+            } catch (error) {
+                res.status(500).end(error.message);
+            }
+        };
+    }
+}
+
+module.exports = { Metrics };
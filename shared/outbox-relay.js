@@ -0,0 +1,108 @@
+// Доставляет события из outbox в брокер сообщений.
+// Событие удаляется из outbox только после успешной публикации, поэтому при сбое
+// оно будет отправлено повторно (at-least-once); получатели дедуплицируют по event.id.
+// События публикуются строго по порядку: при ошибке пачка прерывается до следующей попытки.
+// options.onPublished(event) и options.onFailed(event, error) вызываются после каждой попытки (метрики).
+class OutboxRelay {
+    constructor(repository, broker, logger, options = {}) {
+        this.repository = repository;
+        this.broker = broker;
+        this.logger = logger;
+        this.intervalMs = options.intervalMs || 1000;
+        this.batchSize = options.batchSize || 100;
+        this.connectRetryDelayMs = options.connectRetryDelayMs || 1000;
+        this.maxConnectRetryDelayMs = options.maxConnectRetryDelayMs || 30000;
+        this.onPublished = options.onPublished || (() => {});
+        this.onFailed = options.onFailed || (() => {});
+
+        this.connected = false;
+        this.stopped = false;
+        this.flushing = null;
+        this.timer = null;
+    }
+
+    // Подключение повторяется до успеха: пока брокер недоступен, события копятся в outbox
+    async start() {
+        await this.connect();
+        if (this.stopped) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.flush(), this.intervalMs);
+        this.timer.unref();
+        this.flush();
+    }
+
+    async connect() {
+        for (let attempt = 0; !this.stopped; attempt++) {
+            try {
+                await this.broker.connect();
+                this.connected = true;
+                this.logger.info('Outbox relay connected to message broker');
+                return;
+            } catch (error) {
+                const delay = Math.min(this.connectRetryDelayMs * Math.pow(2, attempt), this.maxConnectRetryDelayMs);
+                this.logger.warn({ error: error.message, retryInMs: delay }, 'Message broker connection failed, retrying');
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Запускает доставку немедленно, не дожидаясь таймера
+    poke() {
+        if (this.connected) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.deliverPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async deliverPending() {
+        const events = await this.repository.pendingEvents(this.batchSize);
+
+        for (const event of events) {
+            try {
+                await this.broker.publish({
+                    topic: event.type,
+                    key: String(event.aggregateId),
+                    payload: event
+                });
+                await this.repository.markEventDelivered(event.id);
+                this.onPublished(event);
+
+                this.logger.info({ eventId: event.id, eventType: event.type, aggregateId: event.aggregateId }, `Domain event published: ${event.type}`);
+            } catch (error) {
+                this.onFailed(event, error);
+                this.logger.error({ eventId: event.id, eventType: event.type, error: error.message }, 'Failed to deliver outbox event');
+                return;
+            }
+        }
+    }
+
+    async stop() {
+        this.stopped = true;
+
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this.flushing) {
+            await this.flushing;
+        }
+
+        if (this.connected) {
+            this.connected = false;
+            await this.broker.disconnect();
+        }
+    }
+}
+
+module.exports = { OutboxRelay };
@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonLog } = require('../json-log');
+
+describe('json log', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-log-'));
+        filePath = path.join(dir, 'log.jsonl');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function replay() {
+        const entries = [];
+        await new JsonLog(filePath).replay(entry => entries.push(entry));
+        return entries;
+    }
+
+    it('replays entries in order and unpacks transactions', async () => {
+        const log = new JsonLog(filePath);
+        await log.append({ op: 'put', id: 1 });
+        await log.appendAll([{ op: 'put', id: 2 }, { op: 'outbox', event: { id: 'e1' } }]);
+
+        assert.deepEqual(await replay(), [{ op: 'put', id: 1 }, { op: 'put', id: 2 }, { op: 'outbox', event: { id: 'e1' } }]);
+    });
+
+    it('treats a missing file as an empty journal', async () => {
+        assert.deepEqual(await replay(), []);
+    });
+
+    it('skips a torn last line', async () => {
+        fs.writeFileSync(filePath, '{"op":"put","id":1}\n{"op":"tx","entries":[{"op":"put"');
+
+        assert.deepEqual(await replay(), [{ op: 'put', id: 1 }]);
+    });
+
+    it('refuses a journal with an unreadable line in the middle', async () => {
+        fs.writeFileSync(filePath, '{"op":"put","id":1}\nnot json\n{"op":"put","id":2}\n');
+
+        await assert.rejects(replay(), /Corrupted journal .* at line 2/);
+    });
+});
@@ -0,0 +1,230 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { partitionFor, InMemoryBrokerAdapter, RedisStreamsBrokerAdapter, createBrokerAdapter } = require('../message-broker');
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+// Стримы и consumer group в памяти: только команды, которые использует адаптер
+class FakeStreamsClient {
+    constructor() {
+        this.streams = new Map();
+        this.groups = new Map();
+        this.sequence = 0;
+    }
+
+    on() {}
+    async connect() {}
+    async quit() {}
+    disconnect() {}
+
+    duplicate() {
+        return this;
+    }
+
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, []);
+        }
+        return this.streams.get(name);
+    }
+
+    group(stream, name) {
+        const key = `${stream} ${name}`;
+        if (!this.groups.has(key)) {
+            this.groups.set(key, { lastId: 0, pending: new Map() });
+        }
+        return this.groups.get(key);
+    }
+
+    async xgroup(command, stream, group) {
+        if (command === 'DESTROY') {
+            this.groups.delete(`${stream} ${group}`);
+        } else {
+            this.stream(stream);
+            this.group(stream, group);
+        }
+    }
+
+    async xadd(stream, ...args) {
+        const id = `${++this.sequence}-0`;
+        this.stream(stream).push([id, args.slice(args.indexOf('*') + 1)]);
+        return id;
+    }
+
+    async xreadgroup(...args) {
+        const [group, consumer] = args.slice(1, 3);
+        const streams = args.slice(args.indexOf('STREAMS') + 1);
+        const names = streams.slice(0, streams.length / 2);
+        const response = [];
+
+        for (const name of names) {
+            const state = this.group(name, group);
+            const messages = this.stream(name).filter(([id]) => parseInt(id, 10) > state.lastId);
+            for (const [id] of messages) {
+                state.lastId = parseInt(id, 10);
+                state.pending.set(id, { consumer, deliveredAt: Date.now(), deliveries: 1 });
+            }
+            if (messages.length > 0) {
+                response.push([name, messages]);
+            }
+        }
+
+        if (response.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            return null;
+        }
+        return response;
+    }
+
+    async xack(stream, group, ...ids) {
+        ids.forEach(id => this.group(stream, group).pending.delete(id));
+    }
+
+    async xpending(stream, group, _idle, idleMs) {
+        const now = Date.now();
+        return Array.from(this.group(stream, group).pending.entries())
+            .filter(([, entry]) => now - entry.deliveredAt >= idleMs)
+            .map(([id, entry]) => [id, entry.consumer, now - entry.deliveredAt, entry.deliveries]);
+    }
+
+    async xclaim(stream, group, consumer, _idleMs, ...ids) {
+        return ids.map(id => {
+            const entry = this.group(stream, group).pending.get(id);
+            const message = this.stream(stream).find(([messageId]) => messageId === id);
+            if (!entry || !message) {
+                return null;
+            }
+            Object.assign(entry, { consumer, deliveredAt: Date.now(), deliveries: entry.deliveries + 1 });
+            return message;
+        });
+    }
+}
+
+function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) {
+                return resolve();
+            }
+            if (Date.now() > deadline) {
+                return reject(new Error('Timed out waiting for condition'));
+            }
+            setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+async function connectBroker(client, options = {}) {
+    const broker = new RedisStreamsBrokerAdapter({ createClient: () => client, retryAfterMs: 20, maxDeliveries: 3, logger, ...options });
+    await broker.connect();
+    return broker;
+}
+
+describe('Redis Streams broker', () => {
+    it('publishes events of one aggregate to one partition stream', async () => {
+        const client = new FakeStreamsClient();
+        const broker = await connectBroker(client, { partitions: 4 });
+
+        await broker.publish({ topic: 'order.created', key: '42', payload: { id: 'event-1' } });
+        await broker.publish({ topic: 'order.created', key: '42', payload: { id: 'event-2' } });
+
+        const stream = client.stream(`domain-events:order.created:${partitionFor('42', 4)}`);
+        assert.deepEqual(stream.map(([, fields]) => fields.slice(0, 6)), [
+            ['eventId', 'event-1', 'type', 'order.created', 'key', '42'],
+            ['eventId', 'event-2', 'type', 'order.created', 'key', '42']
+        ]);
+        assert.deepEqual(JSON.parse(stream[0][1][7]), { id: 'event-1' });
+        await broker.disconnect();
+    });
+
+    it('uses one stream per event type without partitions', async () => {
+        const client = new FakeStreamsClient();
+        const broker = await connectBroker(client);
+
+        await broker.publish({ topic: 'user.updated', key: '1', payload: { id: 'event-1' } });
+
+        assert.deepEqual(Array.from(client.streams.keys()), ['domain-events:user.updated']);
+        await broker.disconnect();
+    });
+
+    it('refuses to publish before connecting', async () => {
+        const broker = new RedisStreamsBrokerAdapter({ createClient: () => new FakeStreamsClient(), logger });
+
+        await assert.rejects(broker.publish({ topic: 'user.updated', key: '1', payload: { id: 'event-1' } }), /not connected/);
+    });
+
+    it('redelivers a message until the handler succeeds', async () => {
+        const client = new FakeStreamsClient();
+        const broker = await connectBroker(client);
+        let attempts = 0;
+
+        await broker.subscribe('order.created', async () => {
+            attempts++;
+            if (attempts < 2) {
+                throw new Error('handler failed');
+            }
+        }, { group: 'api-gateway' });
+        await broker.publish({ topic: 'order.created', key: '1', payload: { id: 'event-1' } });
+
+        await waitFor(() => attempts === 2);
+        assert.equal(client.group('domain-events:order.created', 'api-gateway').pending.size, 0);
+        await broker.disconnect();
+    });
+
+    it('moves a message to the dead-letter stream after maxDeliveries', async () => {
+        const client = new FakeStreamsClient();
+        const broker = await connectBroker(client);
+        let attempts = 0;
+
+        await broker.subscribe('order.created', async () => {
+            attempts++;
+            throw new Error('handler failed');
+        }, { group: 'api-gateway' });
+        await broker.publish({ topic: 'order.created', key: '1', payload: { id: 'event-1' } });
+
+        await waitFor(() => client.stream('domain-events:order.created:dead-letter').length === 1);
+        assert.equal(attempts, 3);
+        assert.equal(client.group('domain-events:order.created', 'api-gateway').pending.size, 0);
+        await broker.disconnect();
+    });
+
+    it('removes ephemeral consumer groups on disconnect', async () => {
+        const client = new FakeStreamsClient();
+        const broker = await connectBroker(client, { partitions: 2 });
+
+        await broker.subscribe('user.updated', async () => {}, { group: 'api-gateway' });
+        await broker.subscribe('user.updated', async () => {}, { group: 'api-gateway-cache-1', startId: '$', ephemeral: true });
+        await broker.disconnect();
+
+        assert.deepEqual(Array.from(client.groups.keys()).sort(), [
+            'domain-events:user.updated:0 api-gateway',
+            'domain-events:user.updated:1 api-gateway'
+        ]);
+    });
+});
+
+describe('broker adapters', () => {
+    it('spreads keys over partitions deterministically', () => {
+        assert.equal(partitionFor('42', 1), 0);
+        assert.equal(partitionFor('42', 8), partitionFor('42', 8));
+        assert.ok(partitionFor('42', 8) < 8);
+    });
+
+    it('delivers in-memory messages to subscribers of the topic', async () => {
+        const broker = new InMemoryBrokerAdapter();
+        const received = [];
+        await broker.connect();
+
+        broker.subscribe('order.created', message => received.push(message.payload.id));
+        await broker.publish({ topic: 'order.created', key: '1', payload: { id: 'event-1' } });
+        await broker.publish({ topic: 'order.cancelled', key: '1', payload: { id: 'event-2' } });
+
+        assert.deepEqual(received, ['event-1']);
+    });
+
+    it('rejects unknown broker types', () => {
+        assert.throws(() => createBrokerAdapter({ type: 'kafka' }), /Unknown message broker type: kafka/);
+    });
+});
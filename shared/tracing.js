@@ -0,0 +1,350 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+// Распределенная трассировка в формате W3C Trace Context и OpenTelemetry (OTLP/JSON).
+// Текущий span хранится в AsyncLocalStorage, поэтому исходящие вызовы внутри обработчика
+// запроса автоматически становятся его дочерними span и получают заголовок traceparent.
+
+const SPAN_KIND = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3
+};
+
+const SPAN_STATUS = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2
+};
+
+const TRACEPARENT_HEADER = 'traceparent';
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// Возвращает { traceId, spanId, sampled } или null для отсутствующего/некорректного заголовка
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+    if (!match || match[1] === 'ff' || match[2] === INVALID_TRACE_ID || match[3] === INVALID_SPAN_ID) {
+        return null;
+    }
+
+    return {
+        traceId: match[2],
+        spanId: match[3],
+        sampled: (parseInt(match[4], 16) & 1) === 1
+    };
+}
+
+function formatTraceparent({ traceId, spanId, sampled }) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+function nowUnixNano() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+function toOtlpValue(value) {
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    if (Number.isInteger(value)) {
+        return { intValue: String(value) };
+    }
+    if (typeof value === 'number') {
+        return { doubleValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+class Span {
+    constructor(tracer, name, { kind = SPAN_KIND.INTERNAL, parent = null, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = kind;
+        this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.sampled = parent ? parent.sampled : true;
+        this.attributes = { ...attributes };
+        this.status = { code: SPAN_STATUS.UNSET };
+        this.startTime = nowUnixNano();
+        this.endTime = null;
+    }
+
+    get traceparent() {
+        return formatTraceparent(this);
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setStatus(code, message) {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    recordException(error) {
+        this.setAttribute('exception.type', error.name);
+        this.setAttribute('exception.message', error.message);
+        return this.setStatus(SPAN_STATUS.ERROR, error.message);
+    }
+
+    end() {
+        if (this.endTime === null) {
+            this.endTime = nowUnixNano();
+            this.tracer.onSpanEnd(this);
+        }
+    }
+
+    toOtlp() {
+        const span = {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: String(this.startTime),
+            endTimeUnixNano: String(this.endTime),
+            attributes: toOtlpAttributes(this.attributes),
+            status: this.status
+        };
+
+        if (this.parentSpanId) {
+            span.parentSpanId = this.parentSpanId;
+        }
+        return span;
+    }
+}
+
+// Каждая пачка span записывается одной строкой ExportTraceServiceRequest (OTLP/JSON)
+class FileSpanExporter {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async export(request) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.appendFile(this.filePath, JSON.stringify(request) + '\n');
+    }
+}
+
+// OTLP/HTTP с JSON-кодированием, например OpenTelemetry Collector или Jaeger на порту 4318
+class OtlpHttpSpanExporter {
+    constructor(endpoint, options = {}) {
+        this.url = `${endpoint.replace(/\/$/, '')}/v1/traces`;
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    async export(request) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`OTLP collector responded with ${response.status}`);
+        }
+    }
+}
+
+// Без экспортера трассировка только передает контекст между сервисами
+class Tracer {
+    constructor(serviceName, exporter = null, logger = null, options = {}) {
+        this.serviceName = serviceName;
+        this.exporter = exporter;
+        this.logger = logger;
+        this.maxBatchSize = options.maxBatchSize || 512;
+        this.maxQueueSize = options.maxQueueSize || 2048;
+        this.storage = new AsyncLocalStorage();
+        this.queue = [];
+        this.exporting = Promise.resolve();
+        this.timer = null;
+
+        if (exporter) {
+            this.timer = setInterval(() => this.flush(), options.flushIntervalMs || 5000);
+            this.timer.unref();
+        }
+    }
+
+    currentSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    // Родитель — явный контекст { traceId, spanId, sampled } или текущий span
+    startSpan(name, { kind, parent, attributes } = {}) {
+        return new Span(this, name, {
+            kind,
+            parent: parent === undefined ? this.currentSpan() : parent,
+            attributes
+        });
+    }
+
+    withSpan(span, fn) {
+        return this.storage.run(span, fn);
+    }
+
+    // Выполняет fn(span) внутри нового span и завершает его, в том числе при ошибке
+    async trace(name, options, fn) {
+        const span = this.startSpan(name, options);
+
+        try {
+            return await this.withSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    // Добавляет traceparent текущего span в заголовки исходящего запроса
+    injectHeaders(headers = {}, span = this.currentSpan()) {
+        return span ? { ...headers, [TRACEPARENT_HEADER]: span.traceparent } : headers;
+    }
+
+    // Express middleware: SERVER span на каждый входящий запрос; с options.logger — строка лога с traceId.
+    // Подключается после express.json(), чтобы обработчики выполнялись в контексте span.
+    middleware(options = {}) {
+        return (req, res, next) => {
+            const span = this.startSpan(req.method, {
+                kind: SPAN_KIND.SERVER,
+                parent: parseTraceparent(req.get(TRACEPARENT_HEADER)),
+                attributes: {
+                    'http.request.method': req.method,
+                    'url.path': req.path,
+                    'client.address': req.ip
+                }
+            });
+            const startedAt = Date.now();
+
+            req.span = span;
+            res.set('X-Trace-Id', span.traceId);
+
+            res.on('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+                if (route) {
+                    span.name = `${req.method} ${route}`;
+                    span.setAttribute('http.route', route);
+                }
+                span.setAttribute('http.response.status_code', res.statusCode);
+                if (res.statusCode >= 500) {
+                    span.setStatus(SPAN_STATUS.ERROR);
+                }
+                span.end();
+
+                if (options.logger) {
+                    options.logger.info({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        method: req.method,
+                        path: req.originalUrl,
+                        status: res.statusCode,
+                        durationMs: Date.now() - startedAt
+                    }, 'Request completed');
+                }
+            });
+
+            this.withSpan(span, next);
+        };
+    }
+
+    onSpanEnd(span) {
+        if (!this.exporter || !span.sampled) {
+            return;
+        }
+
+        if (this.queue.length >= this.maxQueueSize) {
+            return;
+        }
+
+        this.queue.push(span);
+        if (this.queue.length >= this.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.exporter || this.queue.length === 0) {
+            return this.exporting;
+        }
+
+        const spans = this.queue.splice(0, this.queue.length);
+        const request = {
+            resourceSpans: [{
+                resource: { attributes: toOtlpAttributes({ 'service.name': this.serviceName }) },
+                scopeSpans: [{
+                    scope: { name: 'microservices-tracing', version: '1.0.0' },
+                    spans: spans.map(span => span.toOtlp())
+                }]
+            }]
+        };
+
+        this.exporting = this.exporting
+            .then(() => this.exporter.export(request))
+            .catch(error => {
+                if (this.logger) {
+                    this.logger.warn({ error: error.message, droppedSpans: spans.length }, 'Failed to export spans');
+                }
+            });
+        return this.exporting;
+    }
+
+    async shutdown() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.flush();
+    }
+}
+
+// TRACING_EXPORTER: none | file | otlp
+function createTracer(defaultServiceName, logger, env = process.env) {
+    const serviceName = env.OTEL_SERVICE_NAME || defaultServiceName;
+    const type = env.TRACING_EXPORTER || 'none';
+    let exporter;
+
+    switch (type) {
+        case 'none':
+            exporter = null;
+            break;
+        case 'file':
+            exporter = new FileSpanExporter(env.TRACING_FILE_PATH || './data/traces.jsonl');
+            break;
+        case 'otlp':
+            exporter = new OtlpHttpSpanExporter(env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318');
+            break;
+        default:
+            throw new Error(`Unknown TRACING_EXPORTER: ${type}`);
+    }
+
+    return new Tracer(serviceName, exporter, logger, {
+        flushIntervalMs: parseInt(env.TRACING_FLUSH_INTERVAL_MS, 10) || undefined
+    });
+}
+
+module.exports = {
+    SPAN_KIND,
+    SPAN_STATUS,
+    TRACEPARENT_HEADER,
+    parseTraceparent,
+    formatTraceparent,
+    Span,
+    Tracer,
+    FileSpanExporter,
+    OtlpHttpSpanExporter,
+    createTracer
+};